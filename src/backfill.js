@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Historical backfill entry point.
+ * Processes past filing years at a controlled rate and can be stopped with
+ * Ctrl+C and resumed by running it again.
+ * 
+ * Usage: npm run backfill -- --from 2012 --to 2023 --delay 30
+ * @module backfill
+ */
+
+import { parseArgs } from "node:util";
+import chalk from "chalk";
+import { CONFIG } from "./utils/config.js";
+import runBackfill from "./services/backfill.js";
+import { closeConnection } from "./db/dbConnection.js";
+
+const { values } = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    delay: { type: "string" },
+  },
+});
+
+const fromYear = parseInt(values.from) || CONFIG.backfill.firstYear;
+const toYear = parseInt(values.to) || new Date().getFullYear();
+const delay = values.delay !== undefined ? parseFloat(values.delay) * 1000 : CONFIG.backfill.delay;
+
+let stopRequested = false;
+
+// Finish the filing in progress before stopping
+process.on("SIGINT", () => {
+  if (stopRequested) {
+    process.exit(1);
+  }
+  stopRequested = true;
+  console.log(chalk.yellow("\n⏸️  Stopping after the current filing (press Ctrl+C again to force quit)\n"));
+});
+
+try {
+  const report = await runBackfill({
+    fromYear,
+    toYear,
+    delay,
+    shouldStop: () => stopRequested,
+    onProgress: ({ year, done, failed, remaining }) => {
+      console.log(chalk.blue(`📊 ${year}: ${chalk.white(done)} done, ${chalk.white(failed)} failed, ${chalk.white(remaining)} remaining`));
+    },
+  });
+
+  console.log(chalk.bold.cyan("\n=== Backfill Summary ===\n"));
+  console.table(report);
+} catch (error) {
+  console.error(chalk.red("❌ Backfill Error:"));
+  console.error(chalk.red(`  • ${error.message}\n`));
+  process.exitCode = 1;
+} finally {
+  await closeConnection();
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Matching of PTR amendments to the filings they amend.
+ * An amendment is a new report that replaces an earlier one of the same
+ * member. It is matched to the earlier filing sharing the most transactions,
+ * and compared to it field by field.
+ * @module components/amendments
+ */
+
+import { pairTransactions, sameAmount, sameAsset } from "./extractionConsensus.js";
+
+/** Filing information fields compared between versions */
+const FILING_INFORMATION_FIELDS = ["Name", "Status", "State_District"];
+
+/** Transaction fields compared between versions, as printed on the report */
+const TRANSACTION_FIELDS = ["ID_Owner", "Asset", "Transaction_Type", "Date", "Amount"];
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {'changed'|'added'|'removed'} change - Whether a value changed, or a row was added or removed
+ * @property {string} field - Path of the field, such as "Transactions.0.Amount". Changed and
+ *   added rows use their index in the amendment, removed rows their index in the amended filing
+ * @property {*} from - Value in the amended filing, null for added rows
+ * @property {*} to - Value in the amendment, null for removed rows
+ */
+
+/**
+ * Reduces free text to lowercase letters and digits for comparison.
+ * 
+ * @param {*} value - Value to reduce
+ * @returns {string} The comparable text
+ */
+function toComparableText(value) {
+  return String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Checks whether a field has the same value in two versions.
+ * 
+ * @param {string} field - Field name
+ * @param {string} previous - Value in the amended filing
+ * @param {string} current - Value in the amendment
+ * @returns {boolean} True if the values match
+ */
+function sameValue(field, previous, current) {
+  if (field === "Asset") {
+    return sameAsset(previous, current);
+  }
+  if (field === "Amount") {
+    return sameAmount(previous, current);
+  }
+  return toComparableText(previous) === toComparableText(current);
+}
+
+/**
+ * Picks the filing an amendment amends among earlier filings of the member.
+ * The filing sharing the most transactions wins, the most recent one on a tie.
+ * 
+ * @param {import("../db/db.js").FilingDocument[]} candidates - Latest versions of the member's filings
+ * @param {import("../db/db.js").TransactionData} data - Data of the amendment
+ * @returns {{filing: import("../db/db.js").FilingDocument, overlap: number}|null} The amended
+ *   filing and the number of shared transactions, null if no filing shares one
+ */
+export function findAmendedFiling(candidates, data) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    const overlap = pairTransactions(candidate.Transactions || [], data.Transactions).length;
+    if (overlap === 0) {
+      continue;
+    }
+    if (!best || overlap > best.overlap
+      || (overlap === best.overlap && candidate.processedAt > best.filing.processedAt)) {
+      best = { filing: candidate, overlap };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Dates the transactions of an amendment by when they were first reported.
+ * Rows the amended filing already reported keep its date, or the date it
+ * carried over itself, so only the rows the amendment adds count from its own date.
+ * 
+ * @param {import("../db/db.js").FilingDocument} previous - Stored version the amendment replaces
+ * @param {import("../db/db.js").TransactionData} current - Data of the amendment
+ * @returns {import("../db/db.js").Transaction[]} The amendment's transactions, carried over rows
+ *   with their reportedDate
+ */
+export function carryReportedDates(previous, current) {
+  const transactions = current.Transactions.map((row) => ({ ...row }));
+
+  for (const [previousIndex, currentIndex] of pairTransactions(previous.Transactions || [], current.Transactions)) {
+    const reportedDate = previous.Transactions[previousIndex].reportedDate || previous.filingDate;
+    if (reportedDate) {
+      transactions[currentIndex].reportedDate = reportedDate;
+    }
+  }
+
+  return transactions;
+}
+
+/**
+ * Compares an amendment with the filing it amends, field by field.
+ * 
+ * @param {import("../db/db.js").TransactionData} previous - Data of the amended filing
+ * @param {import("../db/db.js").TransactionData} current - Data of the amendment
+ * @returns {FieldChange[]} Changed fields, added rows and removed rows
+ */
+export function diffFilings(previous, current) {
+  const changes = [];
+
+  for (const field of FILING_INFORMATION_FIELDS) {
+    const from = previous.Filing_Information?.[field];
+    const to = current.Filing_Information?.[field];
+    if (!sameValue(field, from, to)) {
+      changes.push({ change: "changed", field: `Filing_Information.${field}`, from, to });
+    }
+  }
+
+  const pairs = pairTransactions(previous.Transactions, current.Transactions);
+  for (const [previousIndex, currentIndex] of pairs) {
+    const from = previous.Transactions[previousIndex];
+    const to = current.Transactions[currentIndex];
+    for (const field of TRANSACTION_FIELDS) {
+      if (!sameValue(field, from[field], to[field])) {
+        changes.push({ change: "changed", field: `Transactions.${currentIndex}.${field}`, from: from[field], to: to[field] });
+      }
+    }
+  }
+
+  const pairedPrevious = new Set(pairs.map(([previousIndex]) => previousIndex));
+  const pairedCurrent = new Set(pairs.map(([, currentIndex]) => currentIndex));
+
+  current.Transactions.forEach((row, index) => {
+    if (!pairedCurrent.has(index)) {
+      changes.push({ change: "added", field: `Transactions.${index}`, from: null, to: row });
+    }
+  });
+  previous.Transactions.forEach((row, index) => {
+    if (!pairedPrevious.has(index)) {
+      changes.push({ change: "removed", field: `Transactions.${index}`, from: row, to: null });
+    }
+  });
+
+  return changes;
+}
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Data normalization component.
+ * Turns the free text fields extracted from a filing into structured fields.
+ * @module components/dataNormalization
+ */
+
+import { ASSET_TYPE_CODES, ISSUER_TICKERS } from "../utils/tickerReference.js";
+import { logWarning } from "../utils/logger.js";
+import { NormalizationError } from "../utils/errors.js";
+
+/**
+ * Canonical transaction types.
+ * 
+ * @enum {string}
+ */
+export const TRANSACTION_TYPES = {
+  PURCHASE: "purchase",
+  SALE: "sale",
+  PARTIAL_SALE: "partial_sale",
+  EXCHANGE: "exchange",
+};
+
+/**
+ * Canonical transaction owners.
+ * 
+ * @enum {string}
+ */
+export const OWNERS = {
+  SELF: "self",
+  SPOUSE: "spouse",
+  JOINT: "joint",
+  DEPENDENT_CHILD: "dependent_child",
+};
+
+/** Known spellings of each transaction type, compared after simplifyCode */
+const TRANSACTION_TYPE_ALIASES = {
+  [TRANSACTION_TYPES.PURCHASE]: ["p", "purchase", "purchased", "buy", "bought"],
+  [TRANSACTION_TYPES.SALE]: ["s", "sale", "sold", "sell", "sfull", "salefull", "full sale"],
+  [TRANSACTION_TYPES.PARTIAL_SALE]: ["spartial", "salepartial", "partialsale", "partial"],
+  [TRANSACTION_TYPES.EXCHANGE]: ["e", "exchange", "exchanged"],
+};
+
+/** Known spellings of each owner, compared after simplifyCode */
+const OWNER_ALIASES = {
+  [OWNERS.SELF]: ["self", "filer", "me", "member"],
+  [OWNERS.SPOUSE]: ["sp", "spouse", "spousal"],
+  [OWNERS.JOINT]: ["jt", "joint", "jointly"],
+  [OWNERS.DEPENDENT_CHILD]: ["dc", "dependent", "dependentchild", "child"],
+};
+
+/**
+ * @typedef {Object} NormalizedAsset
+ * @property {string|null} ticker - Ticker symbol of the asset
+ * @property {'filing'|'reference'|null} tickerSource - Whether the ticker was printed or looked up
+ * @property {string|null} assetType - House asset type code, such as "ST"
+ * @property {string|null} assetTypeDescription - Description of the asset type code
+ * @property {string|null} issuer - Issuer name without ticker, class or asset type
+ */
+
+/**
+ * @typedef {Object} NormalizedAmount
+ * @property {number|null} amountMin - Lower bound of the amount in dollars
+ * @property {number|null} amountMax - Upper bound in dollars, null for open ranges
+ * @property {boolean} amountBracketMatched - Whether the amount is an official bracket
+ */
+
+/**
+ * Official STOCK Act amount brackets of periodic transaction reports.
+ * A null max marks an open "Over" bracket.
+ * 
+ * @type {{min: number, max: number|null}[]}
+ */
+export const AMOUNT_BRACKETS = [
+  { min: 1001, max: 15000 },
+  { min: 15001, max: 50000 },
+  { min: 50001, max: 100000 },
+  { min: 100001, max: 250000 },
+  { min: 250001, max: 500000 },
+  { min: 500001, max: 1000000 },
+  { min: 1000001, max: 5000000 },
+  { min: 5000001, max: 25000000 },
+  { min: 25000001, max: 50000000 },
+  { min: 50000001, max: null },
+  // Spouse or dependent child assets over $1,000,000
+  { min: 1000001, max: null },
+];
+
+/** Matches a trailing asset type code such as "[ST]" */
+const ASSET_TYPE_PATTERN = /\[([A-Z0-9]{2})\]/g;
+
+/** Matches a ticker in parentheses such as "(AAPL)" or "(BRK.B)" */
+const TICKER_PATTERN = /\(([A-Z]{1,5}(?:[.-][A-Z]{1,2})?)\)/g;
+
+/** Matches a share description trailing the issuer, such as "Class A Common Stock" */
+const SHARE_DESCRIPTION_PATTERN =
+  /\s+(new\s+)?(class [a-z]\s+)?(common stock|ordinary shares?|american depositary shares?|adrs?|ads)\b.*$/i;
+
+/** Corporate suffixes, share descriptions and filler words ignored when looking up an issuer */
+const ISSUER_NOISE_PATTERN =
+  /\b(incorporated|inc|corporation|corp|company|co|ltd|limited|plc|sa|nv|ag|holdings?|the|and|class [a-z]|common stock|ordinary shares?|adr|ads)\b/g;
+
+/**
+ * Returns the last capture of a global pattern in a text.
+ * 
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern with one capture group
+ * @returns {string|null} The last captured value, if any
+ */
+function lastMatch(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Normalizes an issuer name into a key of the ticker reference table.
+ * "Amazon.com, Inc." becomes "amazon com" and "Eli Lilly and Company" "eli lilly".
+ * 
+ * @param {string} issuer - Issuer name
+ * @returns {string} Lookup key
+ */
+export function toIssuerKey(issuer) {
+  return issuer
+    .toLowerCase()
+    .replace(/[,'’()]/g, "")
+    .replace(/[.-]/g, " ")
+    .replace(ISSUER_NOISE_PATTERN, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Splits a free text asset description into ticker, asset type and issuer.
+ * "Apple Inc. - Common Stock (AAPL) [ST]" becomes ticker "AAPL",
+ * asset type "ST" and issuer "Apple Inc.". When no ticker is printed the
+ * issuer is looked up in the local reference table.
+ * 
+ * @param {string} asset - Asset description from the filing
+ * @returns {NormalizedAsset} The structured asset fields
+ */
+export function normalizeAsset(asset) {
+  const text = (asset || "").trim();
+
+  const assetType = lastMatch(text, ASSET_TYPE_PATTERN);
+  let ticker = lastMatch(text, TICKER_PATTERN);
+  let tickerSource = ticker ? "filing" : null;
+
+  // The issuer is what precedes the share description, ticker and type code
+  const issuer = text
+    .replace(ASSET_TYPE_PATTERN, "")
+    .replace(TICKER_PATTERN, "")
+    .split(/\s+-\s+/)[0]
+    .replace(SHARE_DESCRIPTION_PATTERN, "")
+    .replace(/\s+/g, " ")
+    .trim() || null;
+
+  if (!ticker && issuer) {
+    const referenceTicker = ISSUER_TICKERS[toIssuerKey(issuer)];
+    if (referenceTicker) {
+      ticker = referenceTicker;
+      tickerSource = "reference";
+    }
+  }
+
+  return {
+    ticker,
+    tickerSource,
+    assetType,
+    assetTypeDescription: assetType ? ASSET_TYPE_CODES[assetType] ?? null : null,
+    issuer,
+  };
+}
+
+/**
+ * Simplifies a code for alias lookup: "Sale - Partial" becomes "salepartial".
+ * 
+ * @param {string} text - Code as written in the filing
+ * @returns {string} Lowercase code without spaces or punctuation
+ */
+function simplifyCode(text) {
+  return (text || "").toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Looks a code up in an alias table.
+ * 
+ * @param {string} text - Code as written in the filing
+ * @param {Object<string, string[]>} aliases - Spellings by canonical value
+ * @returns {string|null} The canonical value, null if unknown
+ */
+function resolveAlias(text, aliases) {
+  const code = simplifyCode(text);
+  const match = Object.entries(aliases).find(([, spellings]) =>
+    spellings.some((spelling) => simplifyCode(spelling) === code)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Maps a transaction type such as "P", "S (partial)" or "Sale - Partial"
+ * to its canonical value.
+ * 
+ * @param {string} transactionType - Transaction type from the filing
+ * @returns {TRANSACTION_TYPES|null} The canonical type, null if unknown
+ */
+export function normalizeTransactionType(transactionType) {
+  return resolveAlias(transactionType, TRANSACTION_TYPE_ALIASES);
+}
+
+/**
+ * Maps an owner such as "SP", "JT" or "Dependent Child" to its canonical value.
+ * A blank owner column means the filer on House PTRs.
+ * 
+ * @param {string} owner - Owner from the filing
+ * @returns {OWNERS|null} The canonical owner, null if unknown
+ */
+export function normalizeOwner(owner) {
+  if (!owner || !owner.trim()) {
+    return OWNERS.SELF;
+  }
+  return resolveAlias(owner, OWNER_ALIASES);
+}
+
+/**
+ * Parses an amount range into numeric bounds using the STOCK Act brackets.
+ * "$1,001 - $15,000" becomes 1001 to 15000 and "Over $50,000,000" becomes
+ * 50000001 with no upper bound. Amounts that are not an official bracket
+ * keep whatever bounds can be read from them and are flagged.
+ * 
+ * @param {string} amount - Amount text from the filing
+ * @returns {NormalizedAmount} The numeric amount fields
+ */
+export function normalizeAmount(amount) {
+  const text = (amount || "").replace(/\s+/g, " ").trim();
+  const values = (text.match(/\d[\d,]*(?:\.\d+)?/g) || [])
+    .map((value) => Number(value.replace(/,/g, "")));
+  const isOverRange = /\b(over|more than)\b/i.test(text);
+  const isPlusRange = /\+$/.test(text);
+
+  let bounds = null;
+  if (isOverRange && values.length === 1) {
+    bounds = { min: values[0] + 1, max: null };
+  } else if (isPlusRange && values.length === 1) {
+    bounds = { min: values[0], max: null };
+  } else if (values.length === 2) {
+    bounds = { min: values[0], max: values[1] };
+  } else if (values.length === 1) {
+    bounds = { min: values[0], max: values[0] };
+  }
+
+  if (!bounds) {
+    return { amountMin: null, amountMax: null, amountBracketMatched: false };
+  }
+
+  const bracketMatched = AMOUNT_BRACKETS.some(
+    (bracket) => bracket.min === bounds.min && bracket.max === bounds.max
+  );
+
+  return {
+    amountMin: bounds.min,
+    amountMax: bounds.max,
+    amountBracketMatched: bracketMatched,
+  };
+}
+
+/**
+ * Adds the structured fields to every transaction of the extracted data.
+ * The original text fields are kept unchanged.
+ * 
+ * @param {import("../db/db.js").TransactionData} data - Validated transaction data
+ * @returns {import("../db/db.js").TransactionData} The data with normalized transactions
+ * @throws {NormalizationError} If a transaction type or owner cannot be mapped
+ */
+export function normalizeTransactionData(data) {
+  const problems = [];
+
+  const transactions = data.Transactions.map((transaction, row) => {
+    const transactionType = normalizeTransactionType(transaction.Transaction_Type);
+    if (!transactionType) {
+      problems.push({ row, field: "Transaction_Type", value: transaction.Transaction_Type });
+    }
+
+    const owner = normalizeOwner(transaction.ID_Owner);
+    if (!owner) {
+      problems.push({ row, field: "ID_Owner", value: transaction.ID_Owner });
+    }
+
+    const amount = normalizeAmount(transaction.Amount);
+    if (!amount.amountBracketMatched) {
+      logWarning(`Amount "${transaction.Amount}" does not match a STOCK Act bracket`);
+    }
+
+    return {
+      ...transaction,
+      transactionType,
+      owner,
+      ...normalizeAsset(transaction.Asset),
+      ...amount,
+    };
+  });
+
+  const normalizedData = {
+    ...data,
+    Transactions: transactions,
+  };
+
+  if (problems.length > 0) {
+    throw new NormalizationError(problems, normalizedData);
+  }
+
+  return normalizedData;
+}
@@ -54,8 +54,9 @@ function normalizeName(name) {
  * @async
  * @param {Object} data - Transaction data from OpenAI
  * @param {string} nameInWebsite - Politician name from website
- * @param {string} officeInWebsite - Office/district from website
- * @returns {Promise<void>}
+ * @param {string} officeInWebsite - Office/district from website, empty when not listed
+ * @returns {Promise<import("../db/reviewQueue.js").ReviewReason[]>} Mismatches the data was
+ *   accepted with, empty when everything matches
  * @throws {Error} If validation fails
  */
 export async function validateGeneratedOpenAiData(
@@ -67,12 +68,12 @@ export async function validateGeneratedOpenAiData(
     logSection('Data Validation');
     
     // Early validation of input parameters
-    if (!nameInWebsite || !officeInWebsite) {
+    if (!nameInWebsite) {
       logWarning('Missing website data - limited validation possible');
       if (!hasTransactions(data)) {
         throw new Error('No transactions found in processed data');
       }
-      return;
+      return [];
     }
 
     const websiteData = {
@@ -88,11 +89,15 @@ export async function validateGeneratedOpenAiData(
     const normalizedTransactionName = normalizeName(transactionData.name);
     const nameMatch = normalizedWebsiteName === normalizedTransactionName;
     
-    const officeMatch = transactionData.office.toLowerCase().includes(websiteData.office.toLowerCase());
+    // Senate listings carry no office, only the name can be compared then
+    const officeMatch = !websiteData.office
+      || (transactionData.office || '').toLowerCase().includes(websiteData.office.toLowerCase());
     
     logValidation('Name match', nameMatch);
     logValidation('Office match', officeMatch);
 
+    const reviewReasons = [];
+
     if (!nameMatch || !officeMatch) {
       logInfo('Data mismatch detected');
       logInfo(`  Name: ${websiteData.name}`, '📋');
@@ -106,6 +111,22 @@ export async function validateGeneratedOpenAiData(
       if (officeMatch && normalizedWebsiteName.includes(normalizedTransactionName) || 
           normalizedTransactionName.includes(normalizedWebsiteName)) {
         logInfo('Names are similar enough to proceed with caution');
+        if (!nameMatch) {
+          reviewReasons.push({
+            type: 'validation',
+            field: 'Name',
+            value: transactionData.name,
+            message: `Filing name "${transactionData.name}" differs from "${websiteData.name}" on the website`,
+          });
+        }
+        if (!officeMatch) {
+          reviewReasons.push({
+            type: 'validation',
+            field: 'State_District',
+            value: transactionData.office,
+            message: `Filing office "${transactionData.office}" differs from "${websiteData.office}" on the website`,
+          });
+        }
       } else {
         throw new Error('Data mismatch between website and filing');
       }
@@ -118,6 +139,7 @@ export async function validateGeneratedOpenAiData(
 
     logSuccess(`Found ${data.Transactions.length} transaction(s)`);
     logSectionEnd();
+    return reviewReasons;
   } catch (error) {
     logError('Validation failed', error);
     throw error;
@@ -153,64 +175,6 @@ function hasTransactions(data) {
   );
 }
 
-/**
- * Extracts JSON content from between backticks in a text response.
- * Handles both ```json and ``` code blocks.
- * 
- * @param {string} text - The text to extract JSON from
- * @returns {string|false} The extracted JSON string or false if not found
- */
-export function extractStringBetweenBackticks(text) {
-  try {
-    // First try to find JSON block with json tag
-    const jsonBlockRegex = /```json\s*([\s\S]*?)```/;
-    const jsonMatch = text.match(jsonBlockRegex);
-    
-    if (jsonMatch) {
-      const extracted = jsonMatch[1].trim();
-      try {
-        // Validate it's proper JSON
-        JSON.parse(extracted);
-        return extracted;
-      } catch (e) {
-        console.log("Found JSON block but content is not valid JSON, trying other matches");
-      }
-    }
-
-    // If no valid JSON block found, try other backtick blocks
-    const regex = /```([\s\S]*?)```/g;
-    let matches = [];
-    let match;
-    
-    while ((match = regex.exec(text)) !== null) {
-      const content = match[1].trim();
-      // Skip if content starts with obvious non-JSON text
-      if (content.startsWith('The') || content.startsWith('Given')) {
-        continue;
-      }
-      try {
-        // Try to parse as JSON to validate
-        JSON.parse(content);
-        return content; // Return first valid JSON found
-      } catch (e) {
-        continue;
-      }
-    }
-
-    // If we get here, we couldn't find valid JSON
-    console.error("Could not find valid JSON in response. Full response:", text);
-    return false;
-  } catch (error) {
-    console.error(
-      "Error extracting JSON from response:",
-      error,
-      "\nFull response:",
-      text
-    );
-    return false;
-  }
-}
-
 /**
  * Checks if a string is valid JSON.
  * 
@@ -218,7 +182,7 @@ export function extractStringBetweenBackticks(text) {
  * @returns {boolean} True if string is valid JSON
  */
 export function isJSON(obj) {
-  if (typeof text !== "string") {
+  if (typeof obj !== "string") {
     return false;
   }
   try {
@@ -255,8 +219,8 @@ export function validateTransactionData(data) {
   if (data.Transactions) {
     data.Transactions = data.Transactions.map(transaction => ({
       ...transaction,
-      // Clean up amount field (remove newlines and ensure $ symbol)
-      Amount: transaction.Amount?.replace(/\n/g, '')?.replace(/^(?!\$)/, '$'),
+      // Clean up amount field (remove newlines and ensure $ symbol before a leading number)
+      Amount: transaction.Amount?.replace(/\n/g, '')?.replace(/^(?=\d)/, '$'),
       // Clean up asset field (remove garbled text and newlines)
       Asset: transaction.Asset?.replace(/[\uFFFD\u0000-\u001F]/g, '')
         ?.replace(/\n/g, ' ')
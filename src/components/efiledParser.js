@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Local parser for electronically filed PTRs.
+ * Reads the fixed table layout of e-filed House PTRs without an LLM and
+ * produces the same Filing_Information/Transactions shape as OpenAI.
+ * @module components/efiledParser
+ */
+
+import { readPDFText } from "../utils/pdf.js";
+import { validateTransactionData } from "./dataValidation.js";
+import { logInfo, logWarning } from "../utils/logger.js";
+
+/** Vertical distance under which text items belong to the same line */
+const LINE_TOLERANCE = 0.3;
+
+/** Horizontal slack when assigning text items to table columns */
+const COLUMN_TOLERANCE = 0.5;
+
+/** Matches a MM/DD/YYYY date */
+export const DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+/** Matches the filing status, subholding, description, location and comment notes under a row */
+const ROW_NOTE_PATTERN = /^(F\s*S|S\s*O|D|L|C)\s*:/;
+
+/** Matches the signature line and its MM/DD/YYYY date, "Digitally Signed: Hon. Jane Doe , 01/19/2024" */
+export const SIGNATURE_DATE_PATTERN = /Digitally Signed:.*,\s*(\d{1,2}\/\d{1,2}\/\d{4})/;
+
+/** Matches the lines that end the transactions table */
+const TABLE_END_PATTERN = /^\* For the complete list|^I\s*P\s*O|^Initial Public Offerings|^C\s*S\b|^Certification/i;
+
+/**
+ * @typedef {Object} TextLine
+ * @property {number} y - Vertical position of the line
+ * @property {import("../utils/pdf.js").PDFTextItem[]} items - Items sorted left to right
+ * @property {string} text - Items joined with spaces
+ */
+
+/**
+ * @typedef {Object} TableColumns
+ * @property {number} owner - Left edge of the owner column
+ * @property {number} asset - Left edge of the asset column
+ * @property {number} type - Left edge of the transaction type column
+ * @property {number} date - Left edge of the transaction date column
+ * @property {number} notificationDate - Left edge of the notification date column
+ * @property {number} amount - Left edge of the amount column
+ * @property {number} capitalGains - Left edge of the capital gains column
+ */
+
+/**
+ * Groups the text items of a page into lines, top to bottom.
+ * 
+ * @param {import("../utils/pdf.js").PDFTextItem[]} items - Text items of a page
+ * @returns {TextLine[]} The lines of the page
+ */
+function groupIntoLines(items) {
+  const lines = [];
+
+  for (const item of [...items].sort((a, b) => a.y - b.y || a.x - b.x)) {
+    const line = lines.find((candidate) => Math.abs(candidate.y - item.y) <= LINE_TOLERANCE);
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  }
+
+  return lines.map((line) => {
+    const sortedItems = line.items.sort((a, b) => a.x - b.x);
+    return {
+      y: line.y,
+      items: sortedItems,
+      text: sortedItems.map((item) => item.text.trim()).join(" ").replace(/\s+/g, " "),
+    };
+  });
+}
+
+/**
+ * Finds the column positions from the table header line.
+ * 
+ * @param {TextLine} line - Candidate header line
+ * @returns {TableColumns|null} The columns, null if the line is not the header
+ */
+function findColumns(line) {
+  const startOf = (pattern) => line.items.find((item) => pattern.test(item.text.trim()))?.x;
+
+  const columns = {
+    owner: startOf(/^ID\b/),
+    asset: startOf(/^Asset$/),
+    type: startOf(/^Transaction\b/),
+    date: startOf(/^Date$/),
+    notificationDate: startOf(/^Notification\b/),
+    amount: startOf(/^Amount$/),
+    capitalGains: startOf(/^Cap\./),
+  };
+
+  const found = Object.values(columns).every((x) => x !== undefined);
+  return found && columns.asset < columns.type && columns.type < columns.date ? columns : null;
+}
+
+/**
+ * Returns the column a text item belongs to.
+ * 
+ * @param {import("../utils/pdf.js").PDFTextItem} item - Text item
+ * @param {TableColumns} columns - Column positions
+ * @returns {string} Column name
+ */
+function getColumn(item, columns) {
+  const [name] = Object.entries(columns)
+    .filter(([, start]) => start <= item.x + COLUMN_TOLERANCE)
+    .sort((a, b) => b[1] - a[1])[0] || ["owner"];
+  return name;
+}
+
+/**
+ * Splits a table line into the text of each column.
+ * 
+ * @param {TextLine} line - Table line
+ * @param {TableColumns} columns - Column positions
+ * @returns {Object<string, string>} Text by column name
+ */
+function splitColumns(line, columns) {
+  const cells = {};
+  for (const item of line.items) {
+    const column = getColumn(item, columns);
+    cells[column] = cells[column] ? `${cells[column]} ${item.text.trim()}` : item.text.trim();
+  }
+  return cells;
+}
+
+/**
+ * Converts a MM/DD/YYYY date to YYYY-MM-DD.
+ * 
+ * @param {string} date - Date as printed in the filing
+ * @returns {string} ISO date
+ */
+export function toISODate(date) {
+  const [, month, day, year] = date.match(DATE_PATTERN);
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+/**
+ * Reads the Name, Status and State/District fields of the filer information.
+ * 
+ * @param {TextLine[]} lines - Lines of the first page
+ * @returns {import("../db/db.js").FilingInformation|null} The filer information, null if incomplete
+ */
+function parseFilingInformation(lines) {
+  const field = (label) => {
+    const line = lines.find((candidate) => candidate.text.startsWith(`${label}:`));
+    return line ? line.text.slice(label.length + 1).trim() : null;
+  };
+
+  const filingInformation = {
+    Name: field("Name"),
+    Status: field("Status"),
+    State_District: field("State/District"),
+  };
+
+  return Object.values(filingInformation).every(Boolean) ? filingInformation : null;
+}
+
+/**
+ * Reads the transaction rows of the table across all pages.
+ * 
+ * @param {TextLine[][]} pages - Lines of every page
+ * @returns {import("../db/db.js").Transaction[]|null} The transactions, null without a table header
+ */
+function parseTransactions(pages) {
+  let columns = null;
+  const rows = [];
+  let current = null;
+
+  for (const lines of pages) {
+    for (const line of lines) {
+      const headerColumns = findColumns(line);
+      if (headerColumns) {
+        // The header can be repeated on every page
+        columns = headerColumns;
+        current = null;
+        continue;
+      }
+
+      if (!columns || /^Filing ID #/.test(line.text)) {
+        continue;
+      }
+
+      if (TABLE_END_PATTERN.test(line.text)) {
+        return rows;
+      }
+
+      // Notes under a row end its wrapped cells
+      if (ROW_NOTE_PATTERN.test(line.text)) {
+        current = null;
+        continue;
+      }
+
+      const cells = splitColumns(line, columns);
+
+      if (cells.date && DATE_PATTERN.test(cells.date)) {
+        current = {
+          owner: cells.owner || "",
+          asset: cells.asset || "",
+          type: cells.type || "",
+          date: cells.date,
+          amount: cells.amount || "",
+        };
+        rows.push(current);
+      } else if (current) {
+        // Continuation line of wrapped cells
+        current.asset = [current.asset, cells.asset].filter(Boolean).join(" ");
+        current.type = [current.type, cells.type].filter(Boolean).join(" ");
+        current.amount = [current.amount, cells.amount].filter(Boolean).join(" ");
+      }
+    }
+  }
+
+  return columns ? rows : null;
+}
+
+/**
+ * Parses the text of an e-filed House PTR.
+ * 
+ * @param {import("../utils/pdf.js").PDFTextItem[][]} pageItems - Text items per page
+ * @returns {import("../db/db.js").TransactionData|null} The filing data, null if the layout is not recognized
+ */
+export function parseElectronicPTR(pageItems) {
+  const pages = pageItems.map(groupIntoLines);
+  const firstPage = pages[0] || [];
+
+  if (!firstPage.some((line) => /^Filing ID #\d+/.test(line.text))) {
+    return null;
+  }
+
+  const filingInformation = parseFilingInformation(firstPage);
+  const rows = parseTransactions(pages);
+  if (!filingInformation || !rows) {
+    return null;
+  }
+
+  // The report is signed on the last page when it is filed
+  const signatureDate = pages.flat()
+    .map((line) => line.text.match(SIGNATURE_DATE_PATTERN)?.[1])
+    .find(Boolean);
+
+  return {
+    Filing_Information: {
+      ...filingInformation,
+      Filing_Date: signatureDate ? toISODate(signatureDate) : null,
+    },
+    Transactions: rows.map((row) => ({
+      ID_Owner: row.owner || "Self",
+      Asset: row.asset.replace(/\s+/g, " ").trim(),
+      Transaction_Type: row.type.replace(/\s+/g, " ").trim(),
+      Date: toISODate(row.date),
+      Amount: row.amount.replace(/\s*-\s*/, " - ").replace(/\s+/g, " ").trim(),
+    })),
+  };
+}
+
+/**
+ * Extracts filing data from a PDF without an LLM when it is an e-filed PTR.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<import("../db/db.js").TransactionData|null>} The filing data, null if the
+ *   layout is not recognized or the parsed data fails validation
+ */
+export async function extractElectronicPTR(filePath) {
+  let pageItems;
+  try {
+    pageItems = await readPDFText(filePath);
+  } catch (error) {
+    logWarning(`Could not read PDF text: ${error.message}`);
+    return null;
+  }
+
+  const data = parseElectronicPTR(pageItems);
+  if (!data) {
+    logInfo('PDF layout not recognized as an e-filed PTR');
+    return null;
+  }
+
+  if (!validateTransactionData(data)) {
+    logWarning('Locally parsed data failed validation');
+    return null;
+  }
+
+  return data;
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Consensus check between two extractions of the same PDF.
+ * Runs a second extraction provider on high-stakes filings and compares the
+ * transactions both extractions found, producing a disagreement report.
+ * @module components/extractionConsensus
+ */
+
+import { getExtractionProvider } from "../lib/extractors/index.js";
+import { assertProviderAvailable } from "../lib/extractors/circuitBreaker.js";
+import { normalizeAmount, normalizeAsset } from "./dataNormalization.js";
+import { recordExtractionUsage } from "../services/extractionBudget.js";
+import { CONFIG } from "../utils/config.js";
+import { ExtractionPausedError } from "../utils/errors.js";
+import { logInfo, logSuccess, logWarning } from "../utils/logger.js";
+
+/** Transaction fields compared between the two extractions */
+const COMPARED_FIELDS = ["Asset", "Date", "Amount"];
+
+/**
+ * @typedef {Object} RowMismatch
+ * @property {number|null} row - Index of the row in the primary Transactions, null when
+ *   only the second extraction has the row
+ * @property {number|null} secondaryRow - Index of the row in the second Transactions, null
+ *   when only the primary extraction has the row
+ * @property {string[]} fields - Differing fields, or ["row"] when only one extraction has the row
+ * @property {import("../db/db.js").Transaction|null} primary - Row of the primary extraction
+ * @property {import("../db/db.js").Transaction|null} secondary - Row of the second extraction
+ */
+
+/**
+ * @typedef {Object} ConsensusReport
+ * @property {'agreed'|'disagreed'|'unavailable'} status - Outcome of the check
+ * @property {boolean} flagged - Whether the filing needs a closer look
+ * @property {{primary: string, secondary: string}} providers - Providers that were compared
+ * @property {{primary: number, secondary: number}} rowCount - Rows found by each extraction
+ * @property {number[]} matchedRows - Primary indexes of the rows both extractions agree on
+ * @property {RowMismatch[]} mismatches - Rows the extractions disagree on
+ * @property {import("../lib/extractors/index.js").ExtractionMetadata} [extraction] - How the second
+ *   extraction was made, including its token usage and cost
+ * @property {string} [error] - Why the second extraction failed, when unavailable
+ * @property {Date} checkedAt - When the check ran
+ */
+
+/**
+ * Reduces free text to lowercase letters and digits for comparison.
+ * 
+ * @param {string} text - Text to reduce
+ * @returns {string} The comparable text
+ */
+function toComparableText(text) {
+  return (text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Checks whether two amount ranges are the same, comparing bounds when both parse.
+ * 
+ * @param {string} primary - Amount of the primary row
+ * @param {string} secondary - Amount of the second row
+ * @returns {boolean} True if the amounts match
+ */
+export function sameAmount(primary, secondary) {
+  const a = normalizeAmount(primary);
+  const b = normalizeAmount(secondary);
+  if (a.amountMin !== null && b.amountMin !== null) {
+    return a.amountMin === b.amountMin && a.amountMax === b.amountMax;
+  }
+  return toComparableText(primary) === toComparableText(secondary);
+}
+
+/**
+ * Checks whether two asset descriptions name the same asset.
+ * Tickers decide when both descriptions resolve to one.
+ * 
+ * @param {string} primary - Asset of the primary row
+ * @param {string} secondary - Asset of the second row
+ * @returns {boolean} True if the assets match
+ */
+export function sameAsset(primary, secondary) {
+  const { ticker: a } = normalizeAsset(primary);
+  const { ticker: b } = normalizeAsset(secondary);
+  if (a && b) {
+    return a === b;
+  }
+  return toComparableText(primary) === toComparableText(secondary);
+}
+
+/** Comparison of each compared field */
+const FIELD_COMPARATORS = {
+  Asset: sameAsset,
+  Date: (primary, secondary) => (primary || "").trim() === (secondary || "").trim(),
+  Amount: sameAmount,
+};
+
+/**
+ * Pairs the transactions of two versions or extractions of a filing.
+ * Rows pair up when they report the same asset on the same date, whatever
+ * their position, as the amount, owner or type are what differs.
+ * 
+ * @param {import("../db/db.js").Transaction[]} previous - Rows of the amended filing or primary extraction
+ * @param {import("../db/db.js").Transaction[]} current - Rows of the amendment or second extraction
+ * @returns {Array<[number, number]>} Pairs of previous and current row indexes
+ */
+export function pairTransactions(previous, current) {
+  const pairs = [];
+  const paired = new Set();
+
+  current.forEach((row, currentIndex) => {
+    const previousIndex = previous.findIndex((candidate, index) =>
+      !paired.has(index)
+      && toComparableText(candidate.Date) === toComparableText(row.Date)
+      && sameAsset(candidate.Asset, row.Asset)
+    );
+    if (previousIndex !== -1) {
+      paired.add(previousIndex);
+      pairs.push([previousIndex, currentIndex]);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Compares two Transactions arrays. Rows are paired by asset and date, so a
+ * row only one extraction found does not shift the comparison of the others.
+ * 
+ * @param {import("../db/db.js").Transaction[]} primary - Rows of the primary extraction
+ * @param {import("../db/db.js").Transaction[]} secondary - Rows of the second extraction
+ * @returns {{matchedRows: number[], mismatches: RowMismatch[]}} Matching and differing rows
+ */
+export function compareTransactions(primary, secondary) {
+  const matchedRows = [];
+  const mismatches = [];
+  const pairs = pairTransactions(primary, secondary);
+
+  for (const [row, secondaryRow] of pairs) {
+    const a = primary[row];
+    const b = secondary[secondaryRow];
+    const fields = COMPARED_FIELDS.filter((field) => !FIELD_COMPARATORS[field](a[field], b[field]));
+
+    if (fields.length === 0) {
+      matchedRows.push(row);
+    } else {
+      mismatches.push({ row, secondaryRow, fields, primary: a, secondary: b });
+    }
+  }
+
+  const pairedPrimary = new Set(pairs.map(([row]) => row));
+  const pairedSecondary = new Set(pairs.map(([, secondaryRow]) => secondaryRow));
+
+  primary.forEach((a, row) => {
+    if (!pairedPrimary.has(row)) {
+      mismatches.push({ row, secondaryRow: null, fields: ["row"], primary: a, secondary: null });
+    }
+  });
+  secondary.forEach((b, secondaryRow) => {
+    if (!pairedSecondary.has(secondaryRow)) {
+      mismatches.push({ row: null, secondaryRow, fields: ["row"], primary: null, secondary: b });
+    }
+  });
+
+  matchedRows.sort((a, b) => a - b);
+  return { matchedRows, mismatches };
+}
+
+/**
+ * Checks whether a filing is worth a second extraction.
+ * 
+ * @param {import("../db/db.js").TransactionData} data - Extracted filing data
+ * @param {number} [minAmount] - Lowest amount that makes a transaction high-stakes
+ * @returns {boolean} True if some transaction reaches the amount
+ */
+export function isHighStakes(data, minAmount = CONFIG.extraction.consensus.minAmount) {
+  return data.Transactions.some((transaction) => {
+    const { amountMin } = normalizeAmount(transaction.Amount);
+    return amountMin !== null && amountMin >= minAmount;
+  });
+}
+
+/**
+ * Runs the second extraction on a PDF and compares it to the primary one.
+ * A failed second extraction does not fail the filing, it flags it instead.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @param {import("../lib/extractors/index.js").ExtractionContext} context - Filing context
+ * @param {import("../db/db.js").TransactionData} data - Data of the primary extraction
+ * @param {string} primaryProvider - Name of the provider that produced the data
+ * @returns {Promise<ConsensusReport>} The disagreement report
+ * @throws {ExtractionPausedError} If the second provider has to wait for a pause to end
+ */
+export async function checkConsensus(filePath, context, data, primaryProvider) {
+  const secondaryProvider = CONFIG.extraction.consensus.provider;
+  const report = {
+    providers: { primary: primaryProvider, secondary: secondaryProvider },
+    checkedAt: new Date(),
+  };
+
+  logInfo(`Checking extraction against the ${secondaryProvider} provider`, '⚖️');
+
+  let secondary;
+  let extraction;
+  let provider;
+  try {
+    provider = await getExtractionProvider(secondaryProvider);
+    assertProviderAvailable(provider);
+    ({ data: secondary, metadata: extraction } = await provider.extract(filePath, context));
+  } catch (error) {
+    // A paused provider holds the whole filing back, it does not flag it
+    if (error instanceof ExtractionPausedError) {
+      throw error;
+    }
+    if (provider) {
+      await recordExtractionUsage({ filingId: context.filingId, provider, purpose: "consensus", details: error, failed: true });
+    }
+    logWarning(`Consensus extraction failed: ${error.message}`);
+    return {
+      ...report,
+      status: "unavailable",
+      flagged: true,
+      rowCount: { primary: data.Transactions.length, secondary: 0 },
+      matchedRows: [],
+      mismatches: [],
+      error: error.message,
+    };
+  }
+
+  await recordExtractionUsage({ filingId: context.filingId, provider, purpose: "consensus", details: extraction });
+
+  const secondaryRows = Array.isArray(secondary?.Transactions) ? secondary.Transactions : [];
+  const { matchedRows, mismatches } = compareTransactions(data.Transactions, secondaryRows);
+  const agreed = mismatches.length === 0;
+
+  if (agreed) {
+    logSuccess(`Both extractions agree on all ${matchedRows.length} transactions`);
+  } else {
+    logWarning(`Extractions disagree on ${mismatches.length} of ${Math.max(data.Transactions.length, secondaryRows.length)} transactions`);
+  }
+
+  return {
+    ...report,
+    status: agreed ? "agreed" : "disagreed",
+    flagged: !agreed,
+    extraction,
+    rowCount: { primary: data.Transactions.length, secondary: secondaryRows.length },
+    matchedRows,
+    mismatches,
+  };
+}
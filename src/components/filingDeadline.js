@@ -0,0 +1,108 @@
+/**
+ * @fileoverview STOCK Act filing deadline check.
+ * A PTR is due within 45 days of a transaction. Each transaction is compared
+ * with the date it was first reported, and the days past the deadline counted.
+ * That is the date of its filing, unless an amendment carried the transaction
+ * over from an earlier filing.
+ * @module components/filingDeadline
+ */
+
+import { DATE_PATTERN, toISODate } from "./efiledParser.js";
+
+/** Days the STOCK Act allows between a transaction and its report */
+export const STOCK_ACT_DEADLINE_DAYS = 45;
+
+/** Milliseconds in a day */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TransactionDeadline
+ * @property {number|null} daysToFile - Days from the transaction to the filing, null if a date is unknown
+ * @property {number|null} daysLate - Days past the deadline, 0 when filed in time, null if a date is unknown
+ * @property {boolean|null} late - Whether the transaction was reported after the deadline,
+ *   null if a date is unknown
+ */
+
+/**
+ * @typedef {Object} FilingDeadline
+ * @property {string|null} filingDate - Date the filing was made (YYYY-MM-DD), when known
+ * @property {import("../db/db.js").Transaction[]} Transactions - Transactions with their TransactionDeadline fields
+ * @property {boolean|null} late - Whether any transaction was reported after the deadline,
+ *   null if the filing date is unknown
+ * @property {number} lateTransactionCount - Number of late transactions
+ * @property {number|null} maxDaysLate - Most days past the deadline among the transactions,
+ *   null without late transactions
+ */
+
+/**
+ * Reads a date as printed or extracted, YYYY-MM-DD or MM/DD/YYYY.
+ * 
+ * @param {*} value - Date to read
+ * @returns {string|null} ISO date, null if unreadable
+ */
+export function readDate(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (DATE_PATTERN.test(text)) {
+    return toISODate(text);
+  }
+
+  const isoDate = text.match(/^(\d{4}-\d{2}-\d{2})/)?.[1];
+  return isoDate && !Number.isNaN(Date.parse(isoDate)) ? isoDate : null;
+}
+
+/**
+ * Returns the date a filing was made: the date listed on the website when
+ * there is one, otherwise the date printed on the report.
+ * 
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata from the website
+ * @param {import("../db/db.js").TransactionData} data - Extracted filing data
+ * @returns {string|null} ISO date, null if unknown
+ */
+export function getFilingDate(filing, data) {
+  return readDate(filing.filingDate) || readDate(data.Filing_Information?.Filing_Date);
+}
+
+/**
+ * Checks one transaction against the deadline.
+ * 
+ * @param {import("../db/db.js").Transaction} transaction - Transaction to check
+ * @param {string|null} filingDate - ISO date of the filing, for transactions without a reportedDate
+ * @returns {TransactionDeadline} Days to file and days late
+ */
+function checkTransaction(transaction, filingDate) {
+  const transactionDate = readDate(transaction.Date);
+  const reportedDate = readDate(transaction.reportedDate) || filingDate;
+  if (!filingDate || !reportedDate || !transactionDate) {
+    return { daysToFile: null, daysLate: null, late: null };
+  }
+
+  const daysToFile = Math.round((Date.parse(reportedDate) - Date.parse(transactionDate)) / DAY);
+  const daysLate = Math.max(0, daysToFile - STOCK_ACT_DEADLINE_DAYS);
+  return { daysToFile, daysLate, late: daysLate > 0 };
+}
+
+/**
+ * Checks every transaction of a filing against the STOCK Act deadline.
+ * 
+ * @param {import("../db/db.js").Transaction[]} transactions - Transactions of the filing
+ * @param {string|null} filingDate - ISO date of the filing
+ * @returns {FilingDeadline} The transactions with their deadline fields and the filing summary
+ */
+export function checkFilingDeadline(transactions, filingDate) {
+  const checkedTransactions = (transactions || []).map((transaction) => ({
+    ...transaction,
+    ...checkTransaction(transaction, filingDate),
+  }));
+
+  const daysLate = checkedTransactions
+    .filter((transaction) => transaction.late)
+    .map((transaction) => transaction.daysLate);
+
+  return {
+    filingDate,
+    Transactions: checkedTransactions,
+    late: filingDate ? daysLate.length > 0 : null,
+    lateTransactionCount: daysLate.length,
+    maxDaysLate: daysLate.length > 0 ? Math.max(...daysLate) : null,
+  };
+}
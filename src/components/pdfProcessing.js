@@ -1,107 +1,337 @@
 /**
  * @fileoverview PDF processing component.
- * Handles downloading, processing, and cleanup of PDF files.
+ * Handles downloading, processing, and cleanup of PDF files. E-filed Senate
+ * reports, which are HTML pages, are read here too.
  * @module components/pdfProcessing
  */
 
-import { downloadPDF, cleanupPDF } from "../utils/pdf.js";
-import convertPDFToJSON from "../lib/openai.js";
-import { sleep, retryDelays } from "../utils/config.js";
+import { cleanupPDF, hashPDF, classifyPDF, PDF_SOURCE_TYPES } from "../utils/pdf.js";
+import { getExtractionProvider } from "../lib/extractors/index.js";
+import { assertProviderAvailable } from "../lib/extractors/circuitBreaker.js";
+import runOCR from "../lib/ocr.js";
+import { findCachedExtraction, cacheExtraction, cacheConsensus } from "../db/extractionCache.js";
+import { CONFIG, extractionPromptVersion } from "../utils/config.js";
 import { validateGeneratedOpenAiData } from "./dataValidation.js";
-import { logSection, logSectionEnd, logProcessStart, logProcessEnd, logError, logInfo } from "../utils/logger.js";
+import { normalizeTransactionData } from "./dataNormalization.js";
+import { extractElectronicPTR } from "./efiledParser.js";
+import { fetchDocument } from "../sources/index.js";
+import { parseSenateElectronicPTR } from "../sources/senate.js";
+import { checkConsensus, isHighStakes } from "./extractionConsensus.js";
+import { recordExtractionUsage } from "../services/extractionBudget.js";
+import { NormalizationError } from "../utils/errors.js";
+import { logSection, logSectionEnd, logProcessStart, logProcessEnd, logError, logInfo, logWarning } from "../utils/logger.js";
 
-// Cache for file path between try/finally blocks
-let path = null;
+/**
+ * Adds the token usage and cost of a metered extraction to the summary.
+ * 
+ * @param {Object<string, {tokens: number, cost: number|null}>} subProcessCosts - Costs by step
+ * @param {string} name - Step name
+ * @param {import("../lib/extractors/index.js").ExtractionMetadata} [metadata] - Metadata of the extraction
+ */
+function addCost(subProcessCosts, name, metadata) {
+  if (metadata?.usage) {
+    subProcessCosts[name] = { tokens: metadata.usage.total_tokens, cost: metadata.cost ?? null };
+  }
+}
+
+/**
+ * Builds the extraction cache key of a PDF.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @param {import("../lib/extractors/index.js").ExtractionProvider} provider - Provider that extracts the PDF
+ * @param {string} [filingId] - House filing ID
+ * @returns {Promise<import("../db/extractionCache.js").CacheKey|null>} The key, or null when
+ *   the provider's results are not cached or the filing bypasses the cache
+ */
+async function getCacheKey(filePath, provider, filingId) {
+  if (!CONFIG.extraction.cache.enabled || !provider.cacheable) {
+    return null;
+  }
+  if (CONFIG.extraction.cache.bypass.includes(filingId)) {
+    logInfo(`Filing ${filingId} bypasses the extraction cache`);
+    return null;
+  }
+  return { hash: await hashPDF(filePath), provider: provider.name, promptVersion: extractionPromptVersion };
+}
+
+/**
+ * OCRs a scanned PDF before extraction. Without OCR the provider still gets
+ * the scanned images, so a failure is not fatal.
+ * 
+ * @async
+ * @param {string} filePath - Path to the scanned PDF
+ * @returns {Promise<{path: string, ocr: Object}>} The PDF to extract from and how it was OCRed
+ */
+async function applyOCR(filePath) {
+  if (!CONFIG.ocr.enabled) {
+    return { path: filePath, ocr: { status: 'disabled' } };
+  }
+
+  logProcessStart('Running OCR on the scanned PDF');
+  try {
+    const { path: ocrPath, engine, language, duration } = await runOCR(filePath);
+    logInfo(`OCR completed in ${duration.toFixed(2)}s`, '🔤');
+    return { path: ocrPath, ocr: { status: 'applied', engine, language, duration } };
+  } catch (error) {
+    logWarning(`${error.message}, extracting from the scanned images`);
+    return { path: filePath, ocr: { status: 'failed', error: error.message } };
+  }
+}
+
+/**
+ * Normalizes extracted data. Rows that cannot be normalized are kept as
+ * they are and added to the review reasons for a reviewer to fix.
+ * 
+ * @param {import("../db/db.js").TransactionData} data - Extracted data
+ * @param {import("../db/reviewQueue.js").ReviewReason[]} reviewReasons - Review reasons, extended in place
+ * @returns {import("../db/db.js").TransactionData} The normalized data
+ */
+function normalizeForReview(data, reviewReasons) {
+  try {
+    return normalizeTransactionData(data);
+  } catch (error) {
+    if (!(error instanceof NormalizationError)) {
+      throw error;
+    }
+    logWarning(error.message);
+    reviewReasons.push(...error.problems.map(({ row, field, value }) => ({
+      type: 'normalization',
+      row,
+      field,
+      value,
+      message: `Row ${row + 1} ${field} "${value}" could not be normalized`,
+    })));
+    return error.data;
+  }
+}
+
+/**
+ * Processes an e-filed Senate report, whose transactions table is read
+ * straight from its HTML page.
+ * 
+ * @async
+ * @param {Object} transactionData - Transaction metadata, see processPDFTransactionData
+ * @param {string} html - HTML of the report page
+ * @param {number} startTime - When the processing started
+ * @returns {Promise<Object>} Processed transaction data
+ */
+async function processSenateHTMLReport(transactionData, html, startTime) {
+  const subProcessTimes = {};
+  const { filingId, name, office, filingDate } = transactionData;
+
+  logProcessStart('Converting Senate report to structured data');
+  const parseStartTime = Date.now();
+  let data = parseSenateElectronicPTR(html, { name, office, filingDate });
+  if (!data) {
+    throw new Error(`No transactions table in Senate report ${filingId}`);
+  }
+  const extraction = { provider: 'senate-html', duration: (Date.now() - parseStartTime) / 1000 };
+  subProcessTimes['HTML Parse'] = extraction.duration;
+
+  const validationStartTime = Date.now();
+  const reviewReasons = await validateGeneratedOpenAiData(data, name, office);
+  subProcessTimes['Validation'] = (Date.now() - validationStartTime) / 1000;
+
+  const normalizationStartTime = Date.now();
+  data = normalizeForReview(data, reviewReasons);
+  subProcessTimes['Normalization'] = (Date.now() - normalizationStartTime) / 1000;
+
+  logProcessEnd(startTime, 'Senate report processing');
+  logSectionEnd(startTime, subProcessTimes);
+  return { ...data, sourceType: PDF_SOURCE_TYPES.HTML, extraction, consensus: null, reviewReasons, calledProvider: null };
+}
 
 /**
  * Processes a PDF transaction file.
- * Downloads, validates, and extracts data from the PDF.
+ * Downloads, validates, and extracts data from the PDF. Extractions of a PDF
+ * already seen with the same content are reused from the cache. Scanned
+ * PDFs are OCRed before extraction and tagged with their source type.
  * 
  * @async
  * @param {Object} transactionData - Transaction metadata
  * @param {string} transactionData.pdfUrl - URL of the PDF to process
  * @param {string} transactionData.name - Politician's name from website
  * @param {string} transactionData.office - Office/district from website
- * @returns {Promise<Object|null>} Processed transaction data or null on failure
+ * @param {string} [transactionData.filingId] - House or Senate filing ID
+ * @param {string} [transactionData.chamber="house"] - Chamber whose source serves the filing
+ * @param {string} [transactionData.format] - Report format of Senate filings,
+ *   electronic or paper; House filings are always PDFs
+ * @param {string} [transactionData.filingDate] - Date the report was received, when listed
+ * @returns {Promise<Object>} Processed transaction data with its source type,
+ *   extraction metadata, consensus report and the reasons it needs a review, and the
+ *   extraction provider that was called, null for local parses and cached extractions
+ * @throws {Error} If the PDF cannot be downloaded, extracted or validated
+ * @throws {ExtractionPausedError} If the filing needs an extraction provider while extraction is paused
  */
 export default async function processPDFTransactionData(transactionData) {
   const startTime = Date.now();
   const subProcessTimes = {};
+  const subProcessCosts = {};
   
   const {
     name: nameInWebsite,
     office: officeInWebsite,
     pdfUrl,
+    filingId,
   } = transactionData;
 
+  // The downloaded PDF, and its OCRed copy when the PDF is a scanned form
+  let path = null;
+  let extractionPath = null;
+
   try {
     logSection('Processing PDF');
-    
-    // Download the PDF from the given URL, returning the path to the file
+
+    // Fetch the filing from the source of its chamber. E-filed Senate reports
+    // are HTML pages, anything else is saved as a PDF
     const downloadStartTime = Date.now();
-    path = await downloadPDF(pdfUrl);
+    const document = await fetchDocument({
+      id: filingId,
+      chamber: transactionData.chamber,
+      format: transactionData.format,
+      pdfUrl,
+    });
+    if (document.type === 'html') {
+      return await processSenateHTMLReport(transactionData, document.html, startTime);
+    }
+
+    path = document.path;
+    extractionPath = path;
     subProcessTimes['Download'] = (Date.now() - downloadStartTime) / 1000;
 
-    // Upload the PDF to OpenAI and store the JSON in data
+    // Scanned paper forms have no usable text layer
+    const classificationStartTime = Date.now();
+    const { sourceType } = await classifyPDF(path);
+    subProcessTimes['Classification'] = (Date.now() - classificationStartTime) / 1000;
+    logInfo(`PDF is ${sourceType === PDF_SOURCE_TYPES.SCANNED ? 'a scanned form' : 'text-based'}`, '🔎');
+
     logProcessStart('Converting PDF to structured data');
-    const conversionStartTime = Date.now();
-    let data = await convertPDFToJSON(path);
-    subProcessTimes['OpenAI Conversion'] = (Date.now() - conversionStartTime) / 1000;
-
-    // validate that the data from OpenAI is correct by comparing it to the website data
-    const validationStartTime = Date.now();
-    await validateGeneratedOpenAiData(data, nameInWebsite, officeInWebsite);
-    subProcessTimes['Validation'] = (Date.now() - validationStartTime) / 1000;
-    logProcessEnd(validationStartTime, 'Data validation');
-
-    // Cleanup temporary files
-    const cleanupStartTime = Date.now();
-    await cleanupPDF(path);
-    subProcessTimes['Cleanup'] = (Date.now() - cleanupStartTime) / 1000;
-    
+    let data = null;
+    let extraction = null;
+    let consensus = null;
+    let calledProvider = null;
+    let reviewReasons = [];
+    const context = { filingId, pdfUrl, name: nameInWebsite, office: officeInWebsite };
+    let cacheKey = null;
+    let cached = null;
+
+    // E-filed PTRs share a fixed layout that can be parsed without an LLM
+    const localStartTime = Date.now();
+    if (sourceType === PDF_SOURCE_TYPES.TEXT) {
+      data = await extractElectronicPTR(path);
+      extraction = { provider: 'local', duration: (Date.now() - localStartTime) / 1000 };
+      subProcessTimes['Local Parse'] = extraction.duration;
+    }
+
+    if (data) {
+      const validationStartTime = Date.now();
+      try {
+        reviewReasons = await validateGeneratedOpenAiData(data, nameInWebsite, officeInWebsite);
+        logProcessEnd(localStartTime, 'Parsed e-filed PTR locally');
+      } catch (error) {
+        logWarning('Local parse failed validation, falling back to the extraction provider');
+        data = null;
+      }
+      subProcessTimes['Validation'] = (Date.now() - validationStartTime) / 1000;
+    }
+
+    if (!data) {
+      // Hand the PDF to the configured extraction provider, unless the same PDF was extracted before
+      const provider = await getExtractionProvider();
+      cacheKey = await getCacheKey(path, provider, filingId);
+      cached = cacheKey && await findCachedExtraction(cacheKey, filingId);
+
+      if (cached) {
+        const conversionStartTime = Date.now();
+        logInfo(`Reusing the extraction cached at ${cached.cachedAt.toISOString()}`, '♻️');
+        data = cached.data;
+        extraction = { ...cached.extraction, cache: { hash: cacheKey.hash, cachedAt: cached.cachedAt } };
+        subProcessTimes['Extraction (cache)'] = (Date.now() - conversionStartTime) / 1000;
+      } else {
+        // While extraction is paused the filing waits, instead of failing
+        assertProviderAvailable(provider);
+
+        // Scanned forms are OCRed first, the cache stays keyed by the downloaded PDF
+        let ocr = null;
+        if (sourceType === PDF_SOURCE_TYPES.SCANNED) {
+          const ocrStartTime = Date.now();
+          ({ path: extractionPath, ocr } = await applyOCR(path));
+          subProcessTimes['OCR'] = (Date.now() - ocrStartTime) / 1000;
+        }
+
+        const conversionStartTime = Date.now();
+        try {
+          ({ data, metadata: extraction } = await provider.extract(extractionPath, context));
+        } catch (error) {
+          // Failed calls are billed too, the error carries their usage when there was a response
+          await recordExtractionUsage({ filingId, provider, purpose: 'primary', details: error, failed: true });
+          throw error;
+        }
+        calledProvider = provider;
+        subProcessTimes[`Extraction (${provider.name})`] = (Date.now() - conversionStartTime) / 1000;
+        if (ocr) {
+          extraction = { ...extraction, ocr };
+        }
+        await recordExtractionUsage({ filingId, provider, purpose: 'primary', details: extraction });
+        addCost(subProcessCosts, `Extraction (${provider.name})`, extraction);
+      }
+
+      // validate that the extracted data is correct by comparing it to the website data
+      const validationStartTime = Date.now();
+      reviewReasons = await validateGeneratedOpenAiData(data, nameInWebsite, officeInWebsite);
+      subProcessTimes['Validation'] = (Date.now() - validationStartTime) / 1000;
+      logProcessEnd(validationStartTime, 'Data validation');
+
+      if (cacheKey && !cached) {
+        await cacheExtraction(cacheKey, filingId, data, extraction);
+      }
+    }
+
+    // Cross-check high-stakes filings with a second extraction, whichever way they were extracted
+    if (CONFIG.extraction.consensus.provider && isHighStakes(data)) {
+      const consensusStartTime = Date.now();
+      if (cached?.consensus) {
+        consensus = cached.consensus;
+      } else {
+        consensus = await checkConsensus(extractionPath, context, data, extraction.provider);
+        addCost(subProcessCosts, 'Consensus', consensus.extraction);
+        // A failed second extraction is tried again next time
+        if (cacheKey && consensus.status !== 'unavailable') {
+          await cacheConsensus(cacheKey, consensus);
+        }
+      }
+      subProcessTimes['Consensus'] = (Date.now() - consensusStartTime) / 1000;
+
+      if (consensus.flagged) {
+        reviewReasons.push({
+          type: 'consensus',
+          message: consensus.error
+            ? `Consensus extraction failed: ${consensus.error}`
+            : `Extractions disagree on ${consensus.mismatches.length} transaction(s)`,
+        });
+      }
+    }
+
+    // Resolve the free text asset descriptions into structured fields
+    const normalizationStartTime = Date.now();
+    data = normalizeForReview(data, reviewReasons);
+    subProcessTimes['Normalization'] = (Date.now() - normalizationStartTime) / 1000;
+    logProcessEnd(normalizationStartTime, 'Data normalization');
+
     logProcessEnd(startTime, 'PDF processing');
-    logSectionEnd(startTime, subProcessTimes);
-    return data;
+    logSectionEnd(startTime, subProcessTimes, subProcessCosts);
+    return { ...data, sourceType, extraction, consensus, reviewReasons, calledProvider };
   } catch (error) {
     logError('PDF processing failed', error);
-    return null;
-  }
-}
-
-/**
- * Retries processing a PDF file with exponential backoff.
- * 
- * @async
- * @param {string} path - Path to the PDF file
- * @returns {Promise<Object|null>} Processed data or null after all retries fail
- */
-async function retryProcessPDFData(path) {
-  let attempt = 0;
-  while (attempt < retryDelays.length) {
-    try {
-      logInfo(`Attempt ${attempt + 1} to process PDF...`, '🔄');
-      return await convertPDFToJSON(path);
-    } catch (error) {
-      const delay = retryDelays[attempt];
-      const delayMinutes = Math.floor(delay / 60000);
-      const delaySeconds = (delay % 60000) / 1000;
-      
-      logError(`Processing failed on attempt ${attempt + 1}`, error);
-      
-      if (attempt === retryDelays.length - 1) {
-        logError('All retry attempts failed');
-        break;
-      }
-      
-      const timeUnit = delay > 60000 ? "minutes" : "seconds";
-      const timeValue = delay > 60000 ? delayMinutes : delaySeconds;
-      logInfo(`Retrying in ${timeValue} ${timeUnit}...`, '⏳');
-      
-      await sleep(delay);
-      attempt++;
+    throw error;
+  } finally {
+    // Cleanup temporary files, whether or not the filing was processed
+    if (path) {
+      await cleanupPDF(path);
+    }
+    if (extractionPath && extractionPath !== path) {
+      await cleanupPDF(extractionPath);
     }
   }
-  
-  logError('Failed to process PDF after multiple attempts');
-  return null;
 }
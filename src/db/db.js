@@ -4,24 +4,16 @@
  * @module db/db
  */
 
-import dotenv from "dotenv";
-import { MongoClient } from "mongodb";
 import chalk from "chalk";
-
-dotenv.config();
-
-const MONGODB_USER = process.env.MONGODB_USER;
-const MONGODB_PASSWORD = process.env.MONGODB_PASSWORD;
-const MONGODB_URI = process.env.MONGODB_URI;
-
-const uri = `mongodb+srv://${MONGODB_USER}:${MONGODB_PASSWORD}@${MONGODB_URI}`;
-const client = new MongoClient(uri);
+import { getCollection, COLLECTIONS } from "./dbConnection.js";
+import { checkFilingDeadline, getFilingDate } from "../components/filingDeadline.js";
 
 /**
  * @typedef {Object} FilingInformation
  * @property {string} Name - Politician's name
  * @property {string} Status - Filing status
  * @property {string} State_District - State and district information
+ * @property {string|null} [Filing_Date] - Date the report was signed (YYYY-MM-DD), when printed
  */
 
 /**
@@ -31,6 +23,21 @@ const client = new MongoClient(uri);
  * @property {string} Transaction_Type - Type of transaction
  * @property {string} Date - Transaction date
  * @property {string} Amount - Transaction amount range
+ * @property {string} transactionType - Canonical type: purchase, sale, partial_sale or exchange
+ * @property {string} owner - Canonical owner: self, spouse, joint or dependent_child
+ * @property {string|null} ticker - Ticker symbol resolved from the asset
+ * @property {'filing'|'reference'|null} tickerSource - Whether the ticker was printed or looked up
+ * @property {string|null} assetType - House asset type code, such as "ST"
+ * @property {string|null} assetTypeDescription - Description of the asset type code
+ * @property {string|null} issuer - Issuer name parsed from the asset
+ * @property {number|null} amountMin - Lower bound of the amount in dollars
+ * @property {number|null} amountMax - Upper bound in dollars, null for open ranges
+ * @property {boolean} amountBracketMatched - Whether the amount is an official STOCK Act bracket
+ * @property {string} [reportedDate] - Date the transaction was first reported (YYYY-MM-DD), set on the
+ *   rows an amendment carries over from the filing it amends
+ * @property {number|null} [daysToFile] - Days from the transaction to the filing, null if a date is unknown
+ * @property {number|null} [daysLate] - Days past the STOCK Act deadline, 0 when filed in time
+ * @property {boolean|null} [late] - Whether the transaction was reported after the deadline
  */
 
 /**
@@ -40,24 +47,98 @@ const client = new MongoClient(uri);
  */
 
 /**
- * Retrieves the latest transaction data from the database.
+ * @typedef {Object} FilingReview
+ * @property {string} reviewer - Who approved the filing
+ * @property {Date} approvedAt - When the filing was approved
+ * @property {import("./reviewQueue.js").ReviewReason[]} reasons - Why the filing was reviewed
+ * @property {import("./reviewQueue.js").ReviewEvent[]} history - Every event of the review
+ */
+
+/**
+ * @typedef {Object} FilingDocument
+ * @property {string} filingId - House or Senate filing ID, unique per document
+ * @property {import("../utils/transaction.js").CHAMBERS} chamber - Chamber the filing was made in
+ * @property {string} politicianId - Stable politician identifier derived from the name
+ * @property {string} pdfUrl - URL of the filing PDF
+ * @property {string} name - Politician's name from the website
+ * @property {string} office - Office/district from the website
+ * @property {string} filingYear - Year of the filing
+ * @property {string|null} filingDate - Date the report was received (YYYY-MM-DD), or signed
+ *   for House filings, when known
+ * @property {Date} processedAt - When the filing was processed
+ * @property {import("../utils/pdf.js").PDF_SOURCE_TYPES|null} sourceType - Whether the PDF was
+ *   text-based or a scanned form read through OCR, null for filings stored before the check
+ * @property {FilingInformation} Filing_Information - Filing details
+ * @property {Transaction[]} Transactions - Array of transactions
+ * @property {import("../lib/extractors/index.js").ExtractionMetadata} extraction - How the data was extracted
+ * @property {import("../components/extractionConsensus.js").ConsensusReport|null} consensus - Comparison
+ *   with a second extraction, null when the filing was not cross-checked
+ * @property {boolean} flagged - Whether the consensus check found a disagreement
+ * @property {boolean|null} late - Whether a transaction was reported after the STOCK Act
+ *   deadline, null when the filing date is unknown
+ * @property {number} lateTransactionCount - Number of transactions reported late
+ * @property {number|null} maxDaysLate - Most days past the deadline among the transactions
+ * @property {FilingReview|null} review - Audit trail of the human review, null when
+ *   the filing was stored without one
+ * @property {boolean} isAmendment - Whether the filing was listed as a PTR amendment
+ * @property {number} version - Version of the filing, 1 for originals
+ * @property {string} originalFilingId - Filing ID of the first version
+ * @property {string|null} amends - Filing ID of the version the amendment replaces
+ * @property {import("../components/amendments.js").FieldChange[]|null} diff - Changes from the
+ *   replaced version, null for first versions
+ * @property {string|null} supersededBy - Filing ID of the amendment that replaced this version
+ * @property {boolean} isLatest - Whether this is the current version of the filing
+ */
+
+/**
+ * @typedef {Object} FilingVersion
+ * @property {number} version - Version number
+ * @property {string} originalFilingId - Filing ID of the first version
+ * @property {string|null} amends - Filing ID of the replaced version
+ * @property {import("../components/amendments.js").FieldChange[]|null} diff - Changes from the replaced version
+ */
+
+/** @type {Promise<void>|null} Pending or completed index setup */
+let indexesReady = null;
+
+/**
+ * Returns the filings collection, making sure filing IDs are unique.
+ * 
+ * @async
+ * @returns {Promise<import("mongodb").Collection<FilingDocument>>} The filings collection
+ */
+export async function getFilingsCollection() {
+  const collection = await getCollection(COLLECTIONS.FILINGS);
+
+  if (!indexesReady) {
+    indexesReady = collection
+      .createIndex({ filingId: 1 }, { unique: true })
+      .then(() => {})
+      .catch((error) => {
+        indexesReady = null;
+        throw error;
+      });
+  }
+
+  await indexesReady;
+  return collection;
+}
+
+/**
+ * Retrieves the most recently processed filing from the database.
  * 
  * @async
- * @returns {Promise<TransactionData|null>} The latest transaction data or null if none found
+ * @returns {Promise<FilingDocument|null>} The latest filing or null if none found
  * @throws {Error} If database operations fail
  */
 export async function getLatestTransactionData() {
   try {
     console.log(chalk.blue("🔍 Fetching latest transaction data..."));
-    await client.connect();
-    
-    const collection = client
-      .db("polititian-transactions")
-      .collection("transactions-test");
+    const collection = await getFilingsCollection();
     
     const result = await collection
       .find({})
-      .sort({ _id: -1 })
+      .sort({ processedAt: -1 })
       .limit(1)
       .toArray();
 
@@ -72,41 +153,92 @@ export async function getLatestTransactionData() {
     console.error(chalk.red("❌ Database Error:"));
     console.error(chalk.red(`  • ${error.message}`));
     throw error;
-  } finally {
-    await client.close();
   }
 }
 
 /**
- * Stores transaction data in the database.
- * Creates a new document in the transactions collection.
+ * Stores a processed filing in the database.
+ * Writes are keyed by filing ID, so reprocessing a filing replaces its
+ * document instead of adding a duplicate. A reprocessed version that an
+ * amendment replaced stays superseded.
  * 
  * @async
- * @param {TransactionData} transactionData - Transaction data to store
- * @returns {Promise<void>}
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata from the website
+ * @param {TransactionData} transactionData - Extracted transaction data with its extraction
+ *   metadata, consensus report and review audit trail
+ * @param {FilingVersion} [version] - Version of the filing, a first version when omitted
+ * @returns {Promise<FilingDocument>} The stored document
  * @throws {Error} If database operations fail
  */
-export async function storeTransactionDataInDatabase(transactionData) {
+export async function storeTransactionDataInDatabase(filing, transactionData, version) {
   try {
     console.log(chalk.blue("💾 Storing transaction data..."));
-    await client.connect();
-    
-    // Verify connection
-    await client.db("admin").command({ ping: 1 });
-    console.log(chalk.green("✅ Connected to MongoDB"));
+    const collection = await getFilingsCollection();
+    const existing = await collection.findOne({ filingId: filing.id }, { projection: { supersededBy: 1 } });
+    const deadline = checkFilingDeadline(transactionData.Transactions, getFilingDate(filing, transactionData));
 
-    const collection = client
-      .db("polititian-transactions")
-      .collection("transactions-test");
-    
-    const result = await collection.insertOne(transactionData);
-    console.log(chalk.green("✅ Transaction data stored successfully"));
-    console.log(chalk.blue(`📝 Document ID: ${chalk.white(result.insertedId)}`));
+    const document = {
+      filingId: filing.id,
+      chamber: filing.chamber || "house",
+      politicianId: filing.politicianId,
+      pdfUrl: filing.pdfUrl,
+      name: filing.name,
+      office: filing.office,
+      filingYear: filing.filingYear,
+      filingDate: deadline.filingDate,
+      processedAt: new Date(),
+      sourceType: transactionData.sourceType || null,
+      Filing_Information: transactionData.Filing_Information,
+      Transactions: deadline.Transactions,
+      extraction: transactionData.extraction,
+      consensus: transactionData.consensus || null,
+      flagged: Boolean(transactionData.consensus?.flagged),
+      late: deadline.late,
+      lateTransactionCount: deadline.lateTransactionCount,
+      maxDaysLate: deadline.maxDaysLate,
+      review: transactionData.review || null,
+      isAmendment: Boolean(filing.isAmendment),
+      version: version?.version || 1,
+      originalFilingId: version?.originalFilingId || filing.id,
+      amends: version?.amends || null,
+      diff: version?.diff || null,
+      supersededBy: existing?.supersededBy || null,
+      isLatest: !existing?.supersededBy,
+    };
+
+    const result = await collection.replaceOne(
+      { filingId: filing.id },
+      document,
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      console.log(chalk.green("✅ Transaction data stored successfully"));
+    } else {
+      console.log(chalk.green("✅ Existing transaction data replaced"));
+    }
+    console.log(chalk.blue(`📝 Filing ID: ${chalk.white(filing.id)}`));
+
+    return document;
   } catch (error) {
     console.error(chalk.red("❌ Database Error:"));
     console.error(chalk.red(`  • ${error.message}`));
     throw error;
-  } finally {
-    await client.close();
   }
 }
+
+/**
+ * Marks a filing version as replaced by an amendment.
+ * 
+ * @async
+ * @param {string} filingId - Filing ID of the replaced version
+ * @param {string} amendmentId - Filing ID of the amendment
+ * @returns {Promise<void>}
+ */
+export async function supersedeFiling(filingId, amendmentId) {
+  const collection = await getFilingsCollection();
+  await collection.updateOne(
+    { filingId },
+    { $set: { supersededBy: amendmentId, isLatest: false } }
+  );
+}
@@ -1,3 +1,88 @@
+/**
+ * @fileoverview Shared MongoDB connection.
+ * Lazily connects a single client that is reused across database modules.
+ * @module db/dbConnection
+ */
 
+import dotenv from "dotenv";
+import { MongoClient } from "mongodb";
 
+dotenv.config();
 
+const MONGODB_USER = process.env.MONGODB_USER;
+const MONGODB_PASSWORD = process.env.MONGODB_PASSWORD;
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const uri = `mongodb+srv://${MONGODB_USER}:${MONGODB_PASSWORD}@${MONGODB_URI}`;
+const client = new MongoClient(uri);
+
+/** @type {string} Name of the application database */
+export const DATABASE_NAME = process.env.MONGODB_DB || "polititian-transactions";
+
+/**
+ * Collection names used by the application.
+ * 
+ * @enum {string}
+ */
+export const COLLECTIONS = {
+  FILINGS: process.env.MONGODB_COLLECTION || "transactions-test",
+  PROCESSED_FILINGS: "processed-filings",
+  REVIEW_QUEUE: "review-queue",
+  EXTRACTION_COSTS: "extraction-costs",
+  EXTRACTION_CACHE: "extraction-cache",
+  FILING_EVENTS: "filing-events",
+};
+
+/** @type {Promise<MongoClient>|null} Pending or established connection */
+let connection = null;
+
+/** @type {{collection: function(string): import("mongodb").Collection}|null} Database used instead of the client */
+let database = null;
+
+/**
+ * Serves every collection from the given database instead of connecting,
+ * such as an in-memory database in tests. Null goes back to the client.
+ * 
+ * @param {{collection: function(string): import("mongodb").Collection}|null} replacement - Database to use
+ */
+export function useDatabase(replacement) {
+  database = replacement;
+}
+
+/**
+ * Returns a collection from the application database, connecting on first use.
+ * 
+ * @async
+ * @param {string} name - Collection name
+ * @returns {Promise<import("mongodb").Collection>} The requested collection
+ * @throws {Error} If the connection fails
+ */
+export async function getCollection(name) {
+  if (database) {
+    return database.collection(name);
+  }
+  if (!connection) {
+    connection = client.connect().catch((error) => {
+      // Allow the next call to retry the connection
+      connection = null;
+      throw error;
+    });
+  }
+
+  await connection;
+  return client.db(DATABASE_NAME).collection(name);
+}
+
+/**
+ * Closes the shared connection if it is open.
+ * 
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function closeConnection() {
+  if (!connection) {
+    return;
+  }
+  connection = null;
+  await client.close();
+}
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Cache of extraction results by PDF content.
+ * Validated extractions are stored under the hash of the PDF, the provider
+ * and the prompt version, so reprocessing, backfills and re-uploads of an
+ * identical PDF reuse the result instead of paying for a new extraction.
+ * @module db/extractionCache
+ */
+
+import { getCollection, COLLECTIONS } from "./dbConnection.js";
+
+/**
+ * @typedef {Object} CacheKey
+ * @property {string} hash - SHA-256 of the PDF
+ * @property {string} provider - Provider that extracted the data
+ * @property {string} promptVersion - Version of the extraction prompt
+ */
+
+/**
+ * @typedef {Object} CachedExtraction
+ * @property {string} hash - SHA-256 of the PDF
+ * @property {string} provider - Provider that extracted the data
+ * @property {string} promptVersion - Version of the extraction prompt
+ * @property {string[]} filingIds - Filings the PDF was seen under
+ * @property {import("./db.js").TransactionData} data - Extracted data, before normalization
+ * @property {import("../lib/extractors/index.js").ExtractionMetadata} extraction - How the data was extracted
+ * @property {import("../components/extractionConsensus.js").ConsensusReport|null} consensus - Consensus
+ *   report, once a second extraction succeeded
+ * @property {number} hits - Times the entry was reused
+ * @property {Date} cachedAt - When the data was extracted
+ * @property {Date|null} lastHitAt - When the entry was last reused
+ */
+
+/**
+ * Looks up a cached extraction and counts the hit.
+ * 
+ * @async
+ * @param {CacheKey} key - Cache key
+ * @param {string} [filingId] - Filing the PDF is processed for
+ * @returns {Promise<CachedExtraction|null>} The cached extraction or null on a miss
+ */
+export async function findCachedExtraction({ hash, provider, promptVersion }, filingId) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_CACHE);
+  return collection.findOneAndUpdate(
+    { hash, provider, promptVersion },
+    {
+      $inc: { hits: 1 },
+      $set: { lastHitAt: new Date() },
+      ...(filingId && { $addToSet: { filingIds: filingId } }),
+    },
+    { returnDocument: "after" }
+  );
+}
+
+/**
+ * Caches a validated extraction, replacing any entry with the same key.
+ * 
+ * @async
+ * @param {CacheKey} key - Cache key
+ * @param {string} [filingId] - Filing the PDF was processed for
+ * @param {import("./db.js").TransactionData} data - Extracted data, before normalization
+ * @param {import("../lib/extractors/index.js").ExtractionMetadata} extraction - How the data was extracted
+ * @returns {Promise<void>}
+ */
+export async function cacheExtraction({ hash, provider, promptVersion }, filingId, data, extraction) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_CACHE);
+  await collection.replaceOne(
+    { hash, provider, promptVersion },
+    {
+      hash,
+      provider,
+      promptVersion,
+      filingIds: filingId ? [filingId] : [],
+      data,
+      extraction,
+      consensus: null,
+      hits: 0,
+      cachedAt: new Date(),
+      lastHitAt: null,
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Adds the consensus report to a cached extraction.
+ * 
+ * @async
+ * @param {CacheKey} key - Cache key
+ * @param {import("../components/extractionConsensus.js").ConsensusReport} consensus - Consensus report
+ * @returns {Promise<void>}
+ */
+export async function cacheConsensus({ hash, provider, promptVersion }, consensus) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_CACHE);
+  await collection.updateOne({ hash, provider, promptVersion }, { $set: { consensus } });
+}
+
+/**
+ * Removes the cached extractions of every PDF a filing was seen with, so
+ * the filing is extracted again on its next processing.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function evictFilingExtractions(filingId) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_CACHE);
+  const { deletedCount } = await collection.deleteMany({ filingIds: filingId });
+  return deletedCount;
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Ledger of metered extraction calls.
+ * Every billed extraction, including failed and consensus ones, adds an
+ * entry with its model, token usage and estimated cost, so spending can be
+ * totalled per day and month and checked against the budget.
+ * @module db/extractionCosts
+ */
+
+import { getCollection, COLLECTIONS } from "./dbConnection.js";
+
+/**
+ * @typedef {Object} ExtractionCost
+ * @property {string|null} filingId - House filing ID
+ * @property {string} provider - Provider that made the call
+ * @property {'primary'|'consensus'} purpose - Which extraction of the filing the call was
+ * @property {string|null} model - Model that served the call
+ * @property {number} promptTokens - Prompt tokens billed
+ * @property {number} completionTokens - Completion tokens billed
+ * @property {number} totalTokens - All tokens billed
+ * @property {number} cost - Estimated cost in USD, 0 when the model price is unknown
+ * @property {boolean} failed - Whether the call produced no usable data
+ * @property {string} day - UTC day of the call, YYYY-MM-DD
+ * @property {string} month - UTC month of the call, YYYY-MM
+ * @property {Date} recordedAt - When the call was recorded
+ */
+
+/**
+ * @typedef {Object} CostTotals
+ * @property {number} calls - Number of metered calls
+ * @property {number} promptTokens - Prompt tokens billed
+ * @property {number} completionTokens - Completion tokens billed
+ * @property {number} totalTokens - All tokens billed
+ * @property {number} cost - Estimated cost in USD
+ * @property {Object<string, CostTotals>} [byModel] - The same totals per model
+ */
+
+/** Sums accumulated by the totals aggregation */
+const TOTAL_FIELDS = {
+  calls: { $sum: 1 },
+  promptTokens: { $sum: "$promptTokens" },
+  completionTokens: { $sum: "$completionTokens" },
+  totalTokens: { $sum: "$totalTokens" },
+  cost: { $sum: "$cost" },
+};
+
+/** Totals of a period without calls */
+const EMPTY_TOTALS = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+
+/**
+ * Records a metered extraction call.
+ * 
+ * @async
+ * @param {Object} call - The call to record
+ * @param {string|null} call.filingId - House filing ID
+ * @param {string} call.provider - Provider that made the call
+ * @param {'primary'|'consensus'} call.purpose - Which extraction of the filing the call was
+ * @param {string|null} call.model - Model that served the call
+ * @param {Object} [call.usage] - Token usage reported by the model
+ * @param {number|null} [call.cost] - Estimated cost in USD
+ * @param {boolean} [call.failed=false] - Whether the call produced no usable data
+ * @returns {Promise<ExtractionCost>} The recorded entry
+ */
+export async function recordExtractionCost({ filingId, provider, purpose, model, usage, cost, failed = false }) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_COSTS);
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+
+  const entry = {
+    filingId: filingId || null,
+    provider,
+    purpose,
+    model: model || null,
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+    cost: cost || 0,
+    failed,
+    day,
+    month: day.slice(0, 7),
+    recordedAt: now,
+  };
+
+  await collection.insertOne(entry);
+  return entry;
+}
+
+/**
+ * Totals the recorded calls matching a filter, overall and per model.
+ * 
+ * @async
+ * @param {Object} [filter] - MongoDB filter, such as {day: "2024-01-31"}
+ * @returns {Promise<CostTotals>} The totals
+ */
+export async function getCostTotals(filter = {}) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_COSTS);
+  const models = await collection
+    .aggregate([
+      { $match: filter },
+      { $group: { _id: "$model", ...TOTAL_FIELDS } },
+      { $sort: { cost: -1 } },
+    ])
+    .toArray();
+
+  const totals = { ...EMPTY_TOTALS, byModel: {} };
+  for (const { _id: model, ...modelTotals } of models) {
+    totals.byModel[model || "unknown"] = modelTotals;
+    for (const field of Object.keys(EMPTY_TOTALS)) {
+      totals[field] += modelTotals[field];
+    }
+  }
+  return totals;
+}
+
+/**
+ * Sums the estimated cost of the recorded calls matching a filter.
+ * 
+ * @async
+ * @param {Object} filter - MongoDB filter, such as {month: "2024-01"}
+ * @returns {Promise<number>} Cost in USD
+ */
+export async function getSpent(filter) {
+  const collection = await getCollection(COLLECTIONS.EXTRACTION_COSTS);
+  const [result] = await collection
+    .aggregate([
+      { $match: filter },
+      { $group: { _id: null, cost: { $sum: "$cost" } } },
+    ])
+    .toArray();
+  return result?.cost || 0;
+}
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Store of non-PTR filing events.
+ * Blind trusts, financial disclosures, extensions and other reports are not
+ * extracted, only recorded with their filer and document URL the first time
+ * they are listed.
+ * @module db/filingEvents
+ */
+
+import { getCollection, COLLECTIONS } from "./dbConnection.js";
+import { BadRequestError } from "../utils/errors.js";
+import { CHAMBERS, FILING_EVENT_TYPES } from "../utils/transaction.js";
+import {
+  parseSort,
+  parseLimit,
+  cursorFilter,
+  sortDocument,
+  toPage,
+} from "../utils/pagination.js";
+
+/** Sort names accepted by the filing events listing, mapped to event fields */
+const FILING_EVENT_SORT_FIELDS = {
+  firstSeenAt: "firstSeenAt",
+  name: "name",
+};
+
+/**
+ * @typedef {import("../utils/transaction.js").FilingEvent & {firstSeenAt: Date}} FilingEventRecord
+ */
+
+/** @type {Promise<void>|null} Pending or completed index setup */
+let indexesReady = null;
+
+/**
+ * Returns the filing events collection, making sure event IDs are unique.
+ * 
+ * @async
+ * @returns {Promise<import("mongodb").Collection<FilingEventRecord>>} The filing events collection
+ */
+async function getFilingEventsCollection() {
+  const collection = await getCollection(COLLECTIONS.FILING_EVENTS);
+
+  if (!indexesReady) {
+    indexesReady = collection
+      .createIndex({ eventId: 1 }, { unique: true })
+      .then(() => {})
+      .catch((error) => {
+        indexesReady = null;
+        throw error;
+      });
+  }
+
+  await indexesReady;
+  return collection;
+}
+
+/**
+ * Checks whether any filing event has been recorded yet for a chamber.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").CHAMBERS} chamber - Chamber to check
+ * @returns {Promise<boolean>} True if the store holds at least one event of the chamber
+ */
+export async function hasRecordedFilingEvents(chamber) {
+  const collection = await getFilingEventsCollection();
+  const count = await collection.countDocuments({ chamber }, { limit: 1 });
+  return count > 0;
+}
+
+/**
+ * Records filing events, keeping the first time each report was seen.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").FilingEvent[]} events - Events listed by the sources
+ * @returns {Promise<FilingEventRecord[]>} The events that were not recorded before
+ */
+export async function recordFilingEvents(events) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  const collection = await getFilingEventsCollection();
+  const firstSeenAt = new Date();
+  const result = await collection.bulkWrite(
+    events.map((event) => ({
+      updateOne: {
+        filter: { eventId: event.eventId },
+        update: { $setOnInsert: { ...event, firstSeenAt } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return Object.keys(result.upsertedIds).map((index) => ({ ...events[index], firstSeenAt }));
+}
+
+/**
+ * Lists filing events, newest first by default, one page at a time.
+ * 
+ * @async
+ * @param {Object} query - Query parameters
+ * @param {string} [query.type] - Kind of report, such as blind_trust or extension
+ * @param {string} [query.chamber] - house or senate
+ * @param {string} [query.politician] - Politician ID, such as "phillips-dean"
+ * @param {string} [query.year] - Filing year
+ * @param {string} [query.sort] - firstSeenAt or name, "-" prefix for descending
+ * @param {string} [query.cursor] - Cursor returned with the previous page
+ * @param {string} [query.limit] - Page size
+ * @returns {Promise<{data: FilingEventRecord[], nextCursor: string|null}>} A page of events
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function findFilingEvents(query) {
+  for (const name of ["type", "chamber", "politician", "year", "sort", "cursor", "limit"]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      throw new BadRequestError(`Invalid ${name}, expected a single value`);
+    }
+  }
+
+  const filter = {};
+  if (query.type) {
+    if (!Object.values(FILING_EVENT_TYPES).includes(query.type)) {
+      throw new BadRequestError(
+        `Invalid type, expected one of: ${Object.values(FILING_EVENT_TYPES).join(", ")}`
+      );
+    }
+    filter.type = query.type;
+  }
+  if (query.chamber) {
+    if (!Object.values(CHAMBERS).includes(query.chamber)) {
+      throw new BadRequestError(
+        `Invalid chamber, expected one of: ${Object.values(CHAMBERS).join(", ")}`
+      );
+    }
+    filter.chamber = query.chamber;
+  }
+  if (query.politician) {
+    filter.politicianId = query.politician;
+  }
+  if (query.year) {
+    if (!/^\d{4}$/.test(query.year)) {
+      throw new BadRequestError("Invalid year, expected YYYY");
+    }
+    // Extensions span two years, such as "2023 - 2024"
+    filter.filingYear = new RegExp(`\\b${query.year}\\b`);
+  }
+
+  const sort = parseSort(query.sort, FILING_EVENT_SORT_FIELDS, "-firstSeenAt");
+  const limit = parseLimit(query.limit);
+
+  const collection = await getFilingEventsCollection();
+  const events = await collection
+    .find({ ...filter, ...cursorFilter(sort, query.cursor, "eventId") })
+    .sort(sortDocument(sort, "eventId"))
+    .limit(limit + 1)
+    .toArray();
+
+  return toPage(events, limit, sort, "eventId");
+}
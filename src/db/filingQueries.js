@@ -0,0 +1,713 @@
+/**
+ * @fileoverview Read queries over stored filings and their transactions.
+ * Translates API query parameters into MongoDB filters with cursor pagination.
+ * @module db/filingQueries
+ */
+
+import { getFilingsCollection } from "./db.js";
+import { BadRequestError } from "../utils/errors.js";
+import {
+  TRANSACTION_TYPES,
+  normalizeTransactionType,
+  normalizeOwner,
+} from "../components/dataNormalization.js";
+import { PDF_SOURCE_TYPES } from "../utils/pdf.js";
+import { CHAMBERS } from "../utils/transaction.js";
+import {
+  parseSort,
+  parseLimit,
+  cursorFilter,
+  sortDocument,
+  toPage,
+} from "../utils/pagination.js";
+
+/** Sort names accepted by the filings query, mapped to document fields */
+const FILING_SORT_FIELDS = {
+  processedAt: "processedAt",
+  name: "name",
+  office: "office",
+};
+
+/** Sort names accepted by the transactions query, mapped to row fields */
+const TRANSACTION_SORT_FIELDS = {
+  date: "Date",
+  processedAt: "processedAt",
+  name: "name",
+};
+
+/** Sort names accepted by the politicians query, mapped to profile fields */
+const POLITICIAN_SORT_FIELDS = {
+  lastFilingDate: "lastFilingDate",
+  name: "name",
+  filingCount: "filingCount",
+};
+
+/** Number of assets listed in a profile's most traded assets */
+const TOP_ASSETS_COUNT = 5;
+
+/** Matches the current version of each filing, filings stored before versioning included */
+const LATEST_VERSION = { isLatest: { $ne: false } };
+
+/**
+ * @typedef {Object} FilingQuery
+ * @property {string} [chamber] - "house" or "senate"
+ * @property {string} [politician] - Words that must all appear in the politician's name
+ * @property {string} [office] - Exact office, such as "CA17"
+ * @property {string} [state] - State prefix of the office, such as "CA"
+ * @property {string} [transactionType] - Transaction type, such as "purchase" or "S (partial)"
+ * @property {string} [owner] - Transaction owner, such as "spouse" or "SP"
+ * @property {string} [asset] - Text contained in the asset description
+ * @property {string} [ticker] - Exact ticker symbol, such as "AAPL"
+ * @property {string} [assetType] - Exact House asset type code, such as "ST"
+ * @property {string} [dateFrom] - Earliest transaction date (YYYY-MM-DD)
+ * @property {string} [dateTo] - Latest transaction date (YYYY-MM-DD)
+ * @property {string} [filedFrom] - Earliest filing date (YYYY-MM-DD)
+ * @property {string} [filedTo] - Latest filing date (YYYY-MM-DD)
+ * @property {string} [flagged] - "true" or "false" to filter on consensus disagreements
+ * @property {string} [late] - "true" or "false" to filter on filings reported after the STOCK Act deadline
+ * @property {string} [sourceType] - "text", "scanned" or "html" to filter on how the report was produced
+ * @property {string} [versions] - "latest" (default) for the current version of each filing,
+ *   "all" to include the versions replaced by amendments
+ * @property {string} [sort] - Sort name, prefixed with "-" for descending order
+ * @property {string} [cursor] - Cursor returned with the previous page
+ * @property {string} [limit] - Page size
+ */
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Reads a single string parameter, rejecting repeated parameters.
+ * 
+ * @param {FilingQuery} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} The trimmed value, if given
+ * @throws {BadRequestError} If the parameter is not a string
+ */
+function getParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (typeof value !== "string") {
+    throw new BadRequestError(`Invalid ${name}, expected a single value`);
+  }
+  return value.trim();
+}
+
+/**
+ * Builds a date range condition from two query parameters.
+ * 
+ * @param {FilingQuery} query - Query parameters
+ * @param {string} fromName - Name of the lower bound parameter
+ * @param {string} toName - Name of the upper bound parameter
+ * @returns {Object|null} MongoDB range condition or null without bounds
+ * @throws {BadRequestError} If a bound is not a YYYY-MM-DD date
+ */
+function dateRange(query, fromName, toName) {
+  const range = {};
+
+  for (const [name, operator] of [[fromName, "$gte"], [toName, "$lte"]]) {
+    const value = getParam(query, name);
+    if (value === undefined) {
+      continue;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new BadRequestError(`Invalid ${name}, expected a YYYY-MM-DD date`);
+    }
+    range[operator] = value;
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+/**
+ * Converts a YYYY-MM-DD date range into a range of processing times,
+ * the upper bound covering the whole day.
+ * 
+ * @param {{$gte?: string, $lte?: string}} range - Date range condition
+ * @returns {{$gte?: Date, $lt?: Date}} Range condition on processedAt
+ */
+function toProcessedAtRange(range) {
+  const processedAt = {};
+  if (range.$gte) {
+    processedAt.$gte = new Date(`${range.$gte}T00:00:00.000Z`);
+  }
+  if (range.$lte) {
+    processedAt.$lt = new Date(Date.parse(`${range.$lte}T00:00:00.000Z`) + 24 * 60 * 60 * 1000);
+  }
+  return processedAt;
+}
+
+/**
+ * Builds the conditions a single transaction must meet.
+ * Field names match both the stored transactions and the flattened rows.
+ * 
+ * @param {FilingQuery} query - Query parameters
+ * @returns {Object} MongoDB conditions, empty without transaction filters
+ */
+function buildTransactionMatch(query) {
+  const match = {};
+
+  // Known spellings match the canonical field, anything else the original text
+  const transactionType = getParam(query, "transactionType");
+  if (transactionType) {
+    const canonicalType = normalizeTransactionType(transactionType);
+    if (canonicalType) {
+      match.transactionType = canonicalType;
+    } else {
+      match.Transaction_Type = new RegExp(escapeRegExp(transactionType), "i");
+    }
+  }
+
+  const owner = getParam(query, "owner");
+  if (owner) {
+    const canonicalOwner = normalizeOwner(owner);
+    if (canonicalOwner) {
+      match.owner = canonicalOwner;
+    } else {
+      match.ID_Owner = new RegExp(`^${escapeRegExp(owner)}$`, "i");
+    }
+  }
+
+  const asset = getParam(query, "asset");
+  if (asset) {
+    match.Asset = new RegExp(escapeRegExp(asset), "i");
+  }
+
+  const ticker = getParam(query, "ticker");
+  if (ticker) {
+    match.ticker = ticker.toUpperCase();
+  }
+
+  const assetType = getParam(query, "assetType");
+  if (assetType) {
+    match.assetType = assetType.toUpperCase();
+  }
+
+  const date = dateRange(query, "dateFrom", "dateTo");
+  if (date) {
+    match.Date = date;
+  }
+
+  return match;
+}
+
+/**
+ * Builds the filter on the chamber of stored filings.
+ * 
+ * @param {string} [chamber] - "house" or "senate"
+ * @returns {Object} MongoDB filter, empty without a chamber
+ */
+function chamberFilter(chamber) {
+  if (!chamber) {
+    return {};
+  }
+  // House filings stored before the Senate was tracked have no chamber
+  return { chamber: chamber === CHAMBERS.HOUSE ? { $in: [CHAMBERS.HOUSE, null] } : chamber };
+}
+
+/**
+ * Builds the filter for filings, including transaction level conditions.
+ * 
+ * @param {FilingQuery} query - Query parameters
+ * @returns {Object} MongoDB filter
+ */
+function buildFilingFilter(query) {
+  const conditions = [];
+
+  const versions = getParam(query, "versions") || "latest";
+  if (versions !== "latest" && versions !== "all") {
+    throw new BadRequestError("Invalid versions, expected latest or all");
+  }
+  if (versions === "latest") {
+    conditions.push(LATEST_VERSION);
+  }
+
+  const chamber = getParam(query, "chamber");
+  if (chamber) {
+    if (!Object.values(CHAMBERS).includes(chamber)) {
+      throw new BadRequestError(
+        `Invalid chamber, expected one of: ${Object.values(CHAMBERS).join(", ")}`
+      );
+    }
+    conditions.push(chamberFilter(chamber));
+  }
+
+  const politician = getParam(query, "politician");
+  if (politician) {
+    // Every word must appear, so "Rohit Khanna" matches "Khanna, Hon.. Rohit"
+    for (const word of politician.split(/\s+/)) {
+      conditions.push({ name: new RegExp(escapeRegExp(word), "i") });
+    }
+  }
+
+  const office = getParam(query, "office");
+  if (office) {
+    conditions.push({ office: new RegExp(`^${escapeRegExp(office)}$`, "i") });
+  }
+
+  const state = getParam(query, "state");
+  if (state) {
+    conditions.push({ office: new RegExp(`^${escapeRegExp(state)}`, "i") });
+  }
+
+  const filingDate = dateRange(query, "filedFrom", "filedTo");
+  if (filingDate) {
+    // House filings stored before filing dates were captured count as filed when processed
+    conditions.push({
+      $or: [
+        { filingDate },
+        { filingDate: null, processedAt: toProcessedAtRange(filingDate) },
+      ],
+    });
+  }
+
+  const sourceType = getParam(query, "sourceType");
+  if (sourceType) {
+    if (!Object.values(PDF_SOURCE_TYPES).includes(sourceType)) {
+      throw new BadRequestError(
+        `Invalid sourceType, expected one of: ${Object.values(PDF_SOURCE_TYPES).join(", ")}`
+      );
+    }
+    conditions.push({ sourceType });
+  }
+
+  const flagged = getParam(query, "flagged");
+  if (flagged !== undefined) {
+    if (flagged !== "true" && flagged !== "false") {
+      throw new BadRequestError("Invalid flagged, expected true or false");
+    }
+    // Filings stored before the consensus check have no flag
+    conditions.push(flagged === "true" ? { flagged: true } : { flagged: { $ne: true } });
+  }
+
+  const late = getParam(query, "late");
+  if (late !== undefined) {
+    if (late !== "true" && late !== "false") {
+      throw new BadRequestError("Invalid late, expected true or false");
+    }
+    // Filings without a known filing date are never late
+    conditions.push(late === "true" ? { late: true } : { late: { $ne: true } });
+  }
+
+  const transactionMatch = buildTransactionMatch(query);
+  if (Object.keys(transactionMatch).length > 0) {
+    conditions.push({ Transactions: { $elemMatch: transactionMatch } });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Combines filters, skipping empty ones.
+ * 
+ * @param {...Object} filters - MongoDB filters
+ * @returns {Object} Filter matching all of them
+ */
+function allOf(...filters) {
+  const nonEmpty = filters.filter((filter) => Object.keys(filter).length > 0);
+  return nonEmpty.length > 0 ? { $and: nonEmpty } : {};
+}
+
+/**
+ * Finds filings matching the query, one page at a time.
+ * 
+ * @async
+ * @param {FilingQuery} query - Query parameters
+ * @returns {Promise<{data: import("./db.js").FilingDocument[], nextCursor: string|null}>} A page of filings
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function findFilings(query) {
+  const sort = parseSort(getParam(query, "sort"), FILING_SORT_FIELDS, "-processedAt");
+  const limit = parseLimit(getParam(query, "limit"));
+  const filter = allOf(
+    buildFilingFilter(query),
+    cursorFilter(sort, getParam(query, "cursor"), "filingId")
+  );
+
+  const collection = await getFilingsCollection();
+  const filings = await collection
+    .find(filter)
+    .sort(sortDocument(sort, "filingId"))
+    .limit(limit + 1)
+    .toArray();
+
+  return toPage(filings, limit, sort, "filingId");
+}
+
+/**
+ * Finds transactions matching the query, one page at a time.
+ * Each row holds the transaction fields next to the metadata of its filing.
+ * 
+ * @async
+ * @param {FilingQuery} query - Query parameters
+ * @returns {Promise<{data: Object[], nextCursor: string|null}>} A page of transactions
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function findTransactions(query) {
+  const sort = parseSort(getParam(query, "sort"), TRANSACTION_SORT_FIELDS, "-date");
+  const limit = parseLimit(getParam(query, "limit"));
+  const transactionMatch = buildTransactionMatch(query);
+
+  const collection = await getFilingsCollection();
+  const rows = await collection
+    .aggregate([
+      { $match: buildFilingFilter(query) },
+      { $unwind: { path: "$Transactions", includeArrayIndex: "rowIndex" } },
+      {
+        $replaceRoot: {
+          newRoot: {
+            $mergeObjects: [
+              {
+                transactionId: { $concat: ["$filingId", "-", { $toString: "$rowIndex" }] },
+                filingId: "$filingId",
+                chamber: { $ifNull: ["$chamber", CHAMBERS.HOUSE] },
+                pdfUrl: "$pdfUrl",
+                name: "$name",
+                office: "$office",
+                filingYear: "$filingYear",
+                processedAt: "$processedAt",
+                sourceType: "$sourceType",
+              },
+              "$Transactions",
+            ],
+          },
+        },
+      },
+      { $match: allOf(transactionMatch, cursorFilter(sort, getParam(query, "cursor"), "transactionId")) },
+      { $sort: sortDocument(sort, "transactionId") },
+      { $limit: limit + 1 },
+    ])
+    .toArray();
+
+  return toPage(rows, limit, sort, "transactionId");
+}
+
+/**
+ * Finds a single filing by its House or Senate filing ID, whatever its version.
+ * 
+ * @async
+ * @param {string} filingId - House or Senate filing ID
+ * @returns {Promise<import("./db.js").FilingDocument|null>} The filing or null if not found
+ */
+export async function findFilingById(filingId) {
+  const collection = await getFilingsCollection();
+  return collection.findOne({ filingId });
+}
+
+/**
+ * Finds every version of a filing, from the original to the latest amendment.
+ * 
+ * @async
+ * @param {string} filingId - Filing ID of any version
+ * @returns {Promise<import("./db.js").FilingDocument[]>} Versions in order, empty if the filing is unknown
+ */
+export async function findFilingVersions(filingId) {
+  const filing = await findFilingById(filingId);
+  if (!filing) {
+    return [];
+  }
+
+  // Filings stored before versioning have no original filing ID
+  const originalFilingId = filing.originalFilingId || filing.filingId;
+  const collection = await getFilingsCollection();
+  return collection
+    .find({ $or: [{ originalFilingId }, { filingId: originalFilingId }] })
+    .sort({ version: 1 })
+    .toArray();
+}
+
+/**
+ * Finds the filings an amendment may amend: the current versions of the
+ * member's other filings in the same chamber. A version already replaced by
+ * this amendment is included, so reprocessing the amendment links it again.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - The amendment
+ * @returns {Promise<import("./db.js").FilingDocument[]>} Candidate filings
+ */
+export async function findAmendmentCandidates(filing) {
+  const collection = await getFilingsCollection();
+  return collection
+    .find({
+      politicianId: filing.politicianId,
+      filingId: { $ne: filing.id },
+      chamber: filing.chamber === CHAMBERS.SENATE ? CHAMBERS.SENATE : { $in: [CHAMBERS.HOUSE, null] },
+      $or: [LATEST_VERSION, { supersededBy: filing.id }],
+    })
+    .toArray();
+}
+
+/**
+ * Builds the stages that group the current version of the matching filings
+ * into one summary per politician.
+ * 
+ * @param {Object} match - Filter on the filings
+ * @returns {Object[]} Aggregation stages
+ */
+function politicianSummaryStages(match) {
+  return [
+    { $match: { ...match, ...LATEST_VERSION } },
+    {
+      $addFields: {
+        // House filings stored before filing dates were captured count as filed when processed
+        filedOn: {
+          $ifNull: ["$filingDate", { $dateToString: { format: "%Y-%m-%d", date: "$processedAt" } }],
+        },
+      },
+    },
+    // Sorted by date, so the name comes from the latest filing
+    { $sort: { filedOn: 1 } },
+    {
+      $group: {
+        _id: "$politicianId",
+        name: { $last: "$name" },
+        offices: { $addToSet: "$office" },
+        filingCount: { $sum: 1 },
+        firstFilingDate: { $min: "$filedOn" },
+        lastFilingDate: { $max: "$filedOn" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        politicianId: "$_id",
+        name: 1,
+        // Senate listings carry no office
+        offices: { $setDifference: ["$offices", [null, ""]] },
+        filingCount: 1,
+        firstFilingDate: 1,
+        lastFilingDate: 1,
+      },
+    },
+  ];
+}
+
+/**
+ * Finds the filing summaries of politicians, one page at a time.
+ * 
+ * @async
+ * @param {Object} query - Query parameters
+ * @param {string} [query.sort] - lastFilingDate, name or filingCount, "-" prefix for descending
+ * @param {string} [query.cursor] - Cursor returned with the previous page
+ * @param {string} [query.limit] - Page size
+ * @returns {Promise<{data: Object[], nextCursor: string|null}>} A page of summaries with
+ *   politician, name, offices, filing count and first and last filing dates
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function findPoliticianSummaries(query) {
+  const sort = parseSort(getParam(query, "sort"), POLITICIAN_SORT_FIELDS, "-lastFilingDate");
+  const limit = parseLimit(getParam(query, "limit"));
+
+  const collection = await getFilingsCollection();
+  const summaries = await collection
+    .aggregate([
+      ...politicianSummaryStages({ politicianId: { $exists: true } }),
+      { $match: cursorFilter(sort, getParam(query, "cursor"), "politicianId") },
+      { $sort: sortDocument(sort, "politicianId") },
+      { $limit: limit + 1 },
+    ])
+    .toArray();
+
+  return toPage(summaries, limit, sort, "politicianId");
+}
+
+/**
+ * Finds the filing summary of a single politician.
+ * 
+ * @async
+ * @param {string} politicianId - Stable politician identifier
+ * @returns {Promise<Object|null>} The summary or null without stored filings
+ */
+export async function findPoliticianSummary(politicianId) {
+  const collection = await getFilingsCollection();
+  const [summary] = await collection.aggregate(politicianSummaryStages({ politicianId })).toArray();
+  return summary || null;
+}
+
+/**
+ * Sums the trading activity of politicians over the current version of their
+ * filings: the assets they traded most, keyed by ticker or else by issuer,
+ * and the buy and sell volume from the amount ranges. Open ranges count
+ * their lower bound, and transactions without a canonical type or amount
+ * are left out of the volume.
+ * 
+ * @async
+ * @param {string[]} politicianIds - Stable politician identifiers
+ * @returns {Promise<{assets: Object[], volume: Object[]}>} Most traded assets per politician,
+ *   and the volume per politician and side
+ */
+export async function findPoliticianTradeStats(politicianIds) {
+  const collection = await getFilingsCollection();
+  const [stats] = await collection
+    .aggregate([
+      { $match: { politicianId: { $in: politicianIds }, ...LATEST_VERSION } },
+      { $unwind: "$Transactions" },
+      {
+        $facet: {
+          assets: [
+            {
+              $group: {
+                _id: {
+                  politicianId: "$politicianId",
+                  asset: { $ifNull: ["$Transactions.ticker", "$Transactions.issuer"] },
+                },
+                count: { $sum: 1 },
+              },
+            },
+            { $match: { "_id.asset": { $ne: null } } },
+            { $sort: { count: -1, "_id.asset": 1 } },
+            {
+              $group: {
+                _id: "$_id.politicianId",
+                assets: { $push: { asset: "$_id.asset", count: "$count" } },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                politicianId: "$_id",
+                mostTradedAssets: { $slice: ["$assets", TOP_ASSETS_COUNT] },
+              },
+            },
+          ],
+          volume: [
+            {
+              $match: {
+                "Transactions.amountMin": { $ne: null },
+                "Transactions.transactionType": {
+                  $in: [TRANSACTION_TYPES.PURCHASE, TRANSACTION_TYPES.SALE, TRANSACTION_TYPES.PARTIAL_SALE],
+                },
+              },
+            },
+            {
+              $addFields: {
+                amountMax: { $ifNull: ["$Transactions.amountMax", "$Transactions.amountMin"] },
+              },
+            },
+            {
+              $group: {
+                _id: {
+                  politicianId: "$politicianId",
+                  side: {
+                    $cond: [{ $eq: ["$Transactions.transactionType", TRANSACTION_TYPES.PURCHASE] }, "buy", "sell"],
+                  },
+                },
+                min: { $sum: "$Transactions.amountMin" },
+                max: { $sum: "$amountMax" },
+                estimate: { $sum: { $avg: ["$Transactions.amountMin", "$amountMax"] } },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                politicianId: "$_id.politicianId",
+                side: "$_id.side",
+                min: 1,
+                max: 1,
+                estimate: 1,
+              },
+            },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  return stats || { assets: [], volume: [] };
+}
+
+/**
+ * Finds the filings needed to build the late filing report of a politician.
+ * Only the current version of each filing and the fields used by the
+ * report are returned.
+ * 
+ * @async
+ * @param {string} politicianId - Stable politician identifier
+ * @returns {Promise<Object[]>} Filings with chamber, politician, office, PDF URL, dates and transactions
+ */
+export async function findPoliticianFilings(politicianId) {
+  const collection = await getFilingsCollection();
+  return collection
+    .find({ politicianId, ...LATEST_VERSION }, {
+      projection: {
+        _id: 0,
+        filingId: 1,
+        chamber: 1,
+        politicianId: 1,
+        name: 1,
+        office: 1,
+        pdfUrl: 1,
+        filingDate: 1,
+        processedAt: 1,
+        Transactions: 1,
+      },
+    })
+    .toArray();
+}
+
+/**
+ * Finds the current version of the filings the deadline check marked late,
+ * most recent first.
+ * 
+ * @async
+ * @param {string} [chamber] - Restricts the result to one chamber
+ * @returns {Promise<Object[]>} Late filings with chamber, politician, PDF URL, filing date,
+ *   late counts and transactions
+ */
+export async function findLateFilings(chamber) {
+  const collection = await getFilingsCollection();
+  return collection
+    .find({ late: true, politicianId: { $exists: true }, ...chamberFilter(chamber), ...LATEST_VERSION }, {
+      projection: {
+        _id: 0,
+        filingId: 1,
+        chamber: 1,
+        politicianId: 1,
+        name: 1,
+        pdfUrl: 1,
+        filingDate: 1,
+        lateTransactionCount: 1,
+        maxDaysLate: 1,
+        Transactions: 1,
+      },
+    })
+    .sort({ filingDate: -1, filingId: -1 })
+    .toArray();
+}
+
+/**
+ * Counts the filings the deadline check could check, those with a known
+ * filing date, of each politician.
+ * 
+ * @async
+ * @param {string[]} politicianIds - Stable politician identifiers
+ * @param {string} [chamber] - Restricts the count to one chamber
+ * @returns {Promise<Map<string, number>>} Number of checked filings per politician
+ */
+export async function countCheckedFilings(politicianIds, chamber) {
+  const collection = await getFilingsCollection();
+  const counts = await collection
+    .aggregate([
+      {
+        $match: {
+          politicianId: { $in: politicianIds },
+          late: { $in: [true, false] },
+          ...chamberFilter(chamber),
+          ...LATEST_VERSION,
+        },
+      },
+      { $group: { _id: "$politicianId", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+}
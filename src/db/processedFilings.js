@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Durable record of filings the monitor has handled.
+ * Stores the outcome of every filing by its House filing ID so restarts
+ * resume where the previous run stopped. Each record doubles as the job of
+ * its filing: failed filings keep their attempt count and next run time, and
+ * become dead letters once the retry schedule is exhausted.
+ * @module db/processedFilings
+ */
+
+import { getCollection, COLLECTIONS } from "./dbConnection.js";
+import { retryDelays, retryPolicies } from "../utils/config.js";
+import { CHAMBERS, getPoliticianId } from "../utils/transaction.js";
+import { BadRequestError } from "../utils/errors.js";
+import {
+  parseSort,
+  parseLimit,
+  cursorFilter,
+  sortDocument,
+  toPage,
+} from "../utils/pagination.js";
+
+/**
+ * Possible outcomes of handling a filing.
+ * 
+ * @enum {string}
+ */
+export const FILING_OUTCOMES = {
+  PROCESSED: "processed",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  IN_REVIEW: "in_review",
+  REJECTED: "rejected",
+  DEAD_LETTER: "dead_letter",
+};
+
+/** Outcomes after which a filing is not picked up again */
+const SETTLED_OUTCOMES = [
+  FILING_OUTCOMES.PROCESSED,
+  FILING_OUTCOMES.SKIPPED,
+  FILING_OUTCOMES.IN_REVIEW,
+  FILING_OUTCOMES.REJECTED,
+  FILING_OUTCOMES.DEAD_LETTER,
+];
+
+/** Number of failed attempts kept in the error history of a filing */
+const ERROR_HISTORY_LENGTH = 10;
+
+/** Sort names accepted by the dead letter listing, mapped to record fields */
+const DEAD_LETTER_SORT_FIELDS = {
+  deadLetteredAt: "deadLetteredAt",
+  firstSeenAt: "firstSeenAt",
+};
+
+/**
+ * @typedef {Object} ProcessedFiling
+ * @property {string} filingId - House filing ID parsed from the PDF URL, or Senate report ID
+ * @property {import("../utils/transaction.js").CHAMBERS} [chamber] - Chamber of the filing, absent
+ *   for House filings recorded before Senate filings were tracked
+ * @property {string} [format] - How the report is published: pdf, electronic or paper
+ * @property {string} [filingDate] - Date the report was received, when listed
+ * @property {boolean} [isAmendment] - Whether the filing was listed as a PTR amendment
+ * @property {string} pdfUrl - URL of the filing PDF
+ * @property {string} name - Politician's name from the website
+ * @property {string} office - Office/district from the website
+ * @property {string} politicianId - Stable politician identifier derived from the name
+ * @property {string} filingYear - Year of the filing
+ * @property {FILING_OUTCOMES} outcome - Outcome of the last attempt
+ * @property {string|null} error - Error message of the last failed attempt
+ * @property {string|null} [errorKind] - Class of the last error, null when unclassified
+ * @property {{at: Date, attempt: number, kind: string|null, message: string}[]} [errorHistory] - Latest failed attempts
+ * @property {number} attempts - Number of processing attempts since the filing was first seen or requeued
+ * @property {Date|null} [nextRunAt] - When a failed filing is retried
+ * @property {Date} [deadLetteredAt] - When the filing ran out of retries
+ * @property {Date} [requeuedAt] - When the filing was last requeued from the dead letters
+ * @property {Date} firstSeenAt - When the filing was first recorded
+ * @property {Date} updatedAt - When the outcome was last recorded
+ */
+
+/**
+ * Checks whether any filing outcome has been recorded yet for a chamber.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").CHAMBERS} [chamber="house"] - Chamber to check
+ * @returns {Promise<boolean>} True if the store holds at least one filing of the chamber
+ */
+export async function hasRecordedFilings(chamber = CHAMBERS.HOUSE) {
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  // House filings recorded before the Senate was tracked have no chamber
+  const filter = chamber === CHAMBERS.HOUSE ? { chamber: { $in: [CHAMBERS.HOUSE, null] } } : { chamber };
+  const count = await collection.countDocuments(filter, { limit: 1 });
+  return count > 0;
+}
+
+/**
+ * Returns which of the given filing IDs are settled.
+ * By default a filing is settled once it was processed, skipped, parked for
+ * review or rejected by a reviewer.
+ * 
+ * @async
+ * @param {string[]} filingIds - Filing IDs to look up
+ * @param {FILING_OUTCOMES[]} [outcomes] - Outcomes that count as settled
+ * @returns {Promise<Set<string>>} The IDs that should not be processed again
+ */
+export async function getSettledFilingIds(filingIds, outcomes = SETTLED_OUTCOMES) {
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  const settled = await collection
+    .find(
+      { filingId: { $in: filingIds }, outcome: { $in: outcomes } },
+      { projection: { filingId: 1 } }
+    )
+    .toArray();
+
+  return new Set(settled.map((filing) => filing.filingId));
+}
+
+/**
+ * Returns how long to wait before retrying a failed filing.
+ * The n-th failure uses the n-th delay of the retry policy of its error class,
+ * or of `retryDelays` for unclassified errors, and never less than the wait
+ * the service asked for.
+ * 
+ * @param {Error|null} error - Error of the failed attempt
+ * @param {number} failures - Failed attempts so far
+ * @returns {number|null} Milliseconds to wait, null when the retries are exhausted
+ */
+export function getRetryDelay(error, failures) {
+  const policy = retryPolicies[error?.kind] || retryDelays;
+  const delay = policy[failures - 1];
+  return delay === undefined ? null : Math.max(delay, error?.retryAfter || 0);
+}
+
+/**
+ * Records the outcome of a processing attempt for a filing.
+ * A failure schedules the next attempt from the retry policy of its error.
+ * Once the policy runs out the filing is dead-lettered instead.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata
+ * @param {FILING_OUTCOMES} outcome - Outcome of the attempt
+ * @param {Error} [error] - Error of a failed attempt
+ * @returns {Promise<ProcessedFiling>} The updated record
+ */
+export async function recordFilingOutcome(filing, outcome, error = null) {
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  const now = new Date();
+
+  const record = await collection.findOneAndUpdate(
+    { filingId: filing.id },
+    {
+      $set: {
+        chamber: filing.chamber || CHAMBERS.HOUSE,
+        format: filing.format || "pdf",
+        filingDate: filing.filingDate || null,
+        isAmendment: Boolean(filing.isAmendment),
+        pdfUrl: filing.pdfUrl,
+        name: filing.name,
+        office: filing.office,
+        politicianId: filing.politicianId,
+        filingYear: filing.filingYear,
+        outcome,
+        error: error ? error.message : null,
+        errorKind: error?.kind || null,
+        nextRunAt: null,
+        updatedAt: now,
+      },
+      $inc: { attempts: outcome === FILING_OUTCOMES.SKIPPED ? 0 : 1 },
+      $setOnInsert: { firstSeenAt: now },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+
+  if (outcome !== FILING_OUTCOMES.FAILED) {
+    return record;
+  }
+
+  const delay = getRetryDelay(error, record.attempts);
+  const schedule = delay === null
+    ? { outcome: FILING_OUTCOMES.DEAD_LETTER, deadLetteredAt: now }
+    : { nextRunAt: new Date(now.getTime() + delay) };
+
+  await collection.updateOne(
+    { filingId: filing.id },
+    {
+      $set: schedule,
+      $push: {
+        errorHistory: {
+          $each: [{ at: now, attempt: record.attempts, kind: record.errorKind, message: record.error }],
+          $slice: -ERROR_HISTORY_LENGTH,
+        },
+      },
+    }
+  );
+
+  return { ...record, ...schedule };
+}
+
+/**
+ * Converts a stored record back into the filing metadata used for processing.
+ * 
+ * @param {ProcessedFiling} record - Stored record
+ * @returns {import("../utils/transaction.js").Transaction} Filing metadata
+ */
+function toFiling(record) {
+  return {
+    id: record.filingId,
+    chamber: record.chamber || CHAMBERS.HOUSE,
+    format: record.format || "pdf",
+    filingDate: record.filingDate || undefined,
+    isAmendment: Boolean(record.isAmendment),
+    pdfUrl: record.pdfUrl,
+    name: record.name,
+    office: record.office,
+    politicianId: record.politicianId || getPoliticianId(record.name),
+    filingYear: record.filingYear,
+  };
+}
+
+/**
+ * Returns the failed filings whose next attempt is due, earliest first.
+ * Failures recorded before retries were scheduled count as due.
+ * 
+ * @async
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<import("../utils/transaction.js").Transaction[]>} Filings to retry
+ */
+export async function getDueRetryFilings(now = new Date()) {
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  const records = await collection
+    .find({
+      outcome: FILING_OUTCOMES.FAILED,
+      $or: [{ nextRunAt: { $lte: now } }, { nextRunAt: null }],
+    })
+    .sort({ nextRunAt: 1, filingId: 1 })
+    .toArray();
+
+  return records.map(toFiling);
+}
+
+/**
+ * Lists dead-lettered filings, latest first by default, one page at a time.
+ * 
+ * @async
+ * @param {Object} query - Query parameters
+ * @param {string} [query.sort] - deadLetteredAt or firstSeenAt, "-" prefix for descending
+ * @param {string} [query.cursor] - Cursor returned with the previous page
+ * @param {string} [query.limit] - Page size
+ * @returns {Promise<{data: ProcessedFiling[], nextCursor: string|null}>} A page of dead letters
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function findDeadLetters(query) {
+  for (const name of ["sort", "cursor", "limit"]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      throw new BadRequestError(`Invalid ${name}, expected a single value`);
+    }
+  }
+
+  const sort = parseSort(query.sort, DEAD_LETTER_SORT_FIELDS, "-deadLetteredAt");
+  const limit = parseLimit(query.limit);
+
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  const records = await collection
+    .find({ outcome: FILING_OUTCOMES.DEAD_LETTER, ...cursorFilter(sort, query.cursor, "filingId") })
+    .sort(sortDocument(sort, "filingId"))
+    .limit(limit + 1)
+    .toArray();
+
+  return toPage(records, limit, sort, "filingId");
+}
+
+/**
+ * Finds a dead-lettered filing.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @returns {Promise<ProcessedFiling|null>} The record or null if the filing is not dead-lettered
+ */
+export async function findDeadLetter(filingId) {
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  return collection.findOne({ filingId, outcome: FILING_OUTCOMES.DEAD_LETTER });
+}
+
+/**
+ * Moves a dead-lettered filing back to the retry queue with a fresh retry schedule.
+ * Its first new attempt is due right away.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @returns {Promise<ProcessedFiling|null>} The requeued record or null if the filing is not dead-lettered
+ */
+export async function requeueDeadLetter(filingId) {
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  const now = new Date();
+
+  return collection.findOneAndUpdate(
+    { filingId, outcome: FILING_OUTCOMES.DEAD_LETTER },
+    {
+      $set: {
+        outcome: FILING_OUTCOMES.FAILED,
+        attempts: 0,
+        nextRunAt: now,
+        requeuedAt: now,
+        updatedAt: now,
+      },
+      $unset: { deadLetteredAt: "" },
+    },
+    { returnDocument: "after" }
+  );
+}
+
+/**
+ * Marks filings as skipped without overwriting any outcome already recorded.
+ * Used to set the starting point when the monitor runs for the first time.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction[]} filings - Filings to skip
+ * @returns {Promise<void>}
+ */
+export async function recordSkippedFilings(filings) {
+  if (filings.length === 0) {
+    return;
+  }
+
+  const collection = await getCollection(COLLECTIONS.PROCESSED_FILINGS);
+  const now = new Date();
+
+  await collection.bulkWrite(
+    filings.map((filing) => ({
+      updateOne: {
+        filter: { filingId: filing.id },
+        update: {
+          $setOnInsert: {
+            chamber: filing.chamber || CHAMBERS.HOUSE,
+            format: filing.format || "pdf",
+            filingDate: filing.filingDate || null,
+            isAmendment: Boolean(filing.isAmendment),
+            pdfUrl: filing.pdfUrl,
+            name: filing.name,
+            office: filing.office,
+            filingYear: filing.filingYear,
+            outcome: FILING_OUTCOMES.SKIPPED,
+            error: null,
+            attempts: 0,
+            firstSeenAt: now,
+            updatedAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
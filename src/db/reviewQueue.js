@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Review queue of low-confidence extractions.
+ * Filings whose extraction was accepted with mismatches or rows that could
+ * not be normalized are parked here until a reviewer approves or rejects them.
+ * @module db/reviewQueue
+ */
+
+import { getCollection, COLLECTIONS } from "./dbConnection.js";
+import { BadRequestError } from "../utils/errors.js";
+import {
+  parseSort,
+  parseLimit,
+  cursorFilter,
+  sortDocument,
+  toPage,
+} from "../utils/pagination.js";
+
+/**
+ * Possible states of a review entry.
+ * 
+ * @enum {string}
+ */
+export const REVIEW_STATUSES = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+/** Sort names accepted by the review queue listing, mapped to entry fields */
+const REVIEW_SORT_FIELDS = {
+  queuedAt: "queuedAt",
+  updatedAt: "updatedAt",
+};
+
+/**
+ * @typedef {Object} ReviewReason
+ * @property {'validation'|'normalization'|'consensus'} type - Check that raised the reason
+ * @property {string} message - Description for the reviewer
+ * @property {number} [row] - Index of the transaction row concerned
+ * @property {string} [field] - Field concerned
+ * @property {*} [value] - Value that was questioned
+ */
+
+/**
+ * @typedef {Object} ReviewEvent
+ * @property {'queued'|'edited'|'approved'|'rejected'} action - What happened
+ * @property {Date} at - When it happened
+ * @property {string} [reviewer] - Who did it, absent for automatic events
+ * @property {{field: string, from: *, to: *}[]} [changes] - Field changes of an edit
+ * @property {string} [note] - Reviewer's note
+ */
+
+/**
+ * @typedef {Object} ReviewEntry
+ * @property {string} filingId - House or Senate filing ID
+ * @property {import("../utils/transaction.js").CHAMBERS} chamber - Chamber the filing was made in
+ * @property {string} format - How the report is published: pdf, electronic or paper
+ * @property {string|null} filingDate - Date the report was received, when listed
+ * @property {boolean} isAmendment - Whether the filing was listed as a PTR amendment
+ * @property {string} politicianId - Stable politician identifier derived from the name
+ * @property {string} pdfUrl - URL of the original filing PDF
+ * @property {string} name - Politician's name from the website
+ * @property {string} office - Office/district from the website
+ * @property {string} filingYear - Year of the filing
+ * @property {REVIEW_STATUSES} status - Review state
+ * @property {ReviewReason[]} reasons - Why the filing needs a review
+ * @property {import("./db.js").TransactionData} data - Extracted data, including reviewer edits
+ * @property {import("../utils/pdf.js").PDF_SOURCE_TYPES} sourceType - Whether the PDF was text-based or scanned
+ * @property {import("../lib/extractors/index.js").ExtractionMetadata} extraction - How the data was extracted
+ * @property {import("../components/extractionConsensus.js").ConsensusReport|null} consensus - Consensus report
+ * @property {ReviewEvent[]} history - Audit trail of the entry
+ * @property {Date} queuedAt - When the filing was parked
+ * @property {Date} updatedAt - When the entry last changed
+ */
+
+/**
+ * Parks a processed filing in the review queue.
+ * Reprocessing a filing replaces its entry with a fresh pending one.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata from the website
+ * @param {Object} processedData - Output of the PDF processing with its review reasons
+ * @returns {Promise<ReviewEntry>} The queued entry
+ */
+export async function queueFilingForReview(filing, processedData) {
+  const collection = await getCollection(COLLECTIONS.REVIEW_QUEUE);
+  const now = new Date();
+
+  const entry = {
+    filingId: filing.id,
+    chamber: filing.chamber || "house",
+    format: filing.format || "pdf",
+    filingDate: filing.filingDate || null,
+    isAmendment: Boolean(filing.isAmendment),
+    politicianId: filing.politicianId,
+    pdfUrl: filing.pdfUrl,
+    name: filing.name,
+    office: filing.office,
+    filingYear: filing.filingYear,
+    status: REVIEW_STATUSES.PENDING,
+    reasons: processedData.reviewReasons,
+    data: {
+      Filing_Information: processedData.Filing_Information,
+      Transactions: processedData.Transactions,
+    },
+    sourceType: processedData.sourceType,
+    extraction: processedData.extraction,
+    consensus: processedData.consensus || null,
+    history: [{ action: "queued", at: now }],
+    queuedAt: now,
+    updatedAt: now,
+  };
+
+  await collection.replaceOne({ filingId: filing.id }, entry, { upsert: true });
+  return entry;
+}
+
+/**
+ * Lists review entries, oldest first by default, one page at a time.
+ * 
+ * @async
+ * @param {Object} query - Query parameters
+ * @param {string} [query.status=pending] - pending, approved or rejected
+ * @param {string} [query.sort] - queuedAt or updatedAt, "-" prefix for descending
+ * @param {string} [query.cursor] - Cursor returned with the previous page
+ * @param {string} [query.limit] - Page size
+ * @returns {Promise<{data: ReviewEntry[], nextCursor: string|null}>} A page of entries
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function findReviewEntries(query) {
+  for (const name of ["status", "sort", "cursor", "limit"]) {
+    if (query[name] !== undefined && typeof query[name] !== "string") {
+      throw new BadRequestError(`Invalid ${name}, expected a single value`);
+    }
+  }
+
+  const status = query.status || REVIEW_STATUSES.PENDING;
+  if (!Object.values(REVIEW_STATUSES).includes(status)) {
+    throw new BadRequestError(
+      `Invalid status, expected one of: ${Object.values(REVIEW_STATUSES).join(", ")}`
+    );
+  }
+
+  const sort = parseSort(query.sort, REVIEW_SORT_FIELDS, "queuedAt");
+  const limit = parseLimit(query.limit);
+  const cursor = cursorFilter(sort, query.cursor, "filingId");
+
+  const collection = await getCollection(COLLECTIONS.REVIEW_QUEUE);
+  const entries = await collection
+    .find({ status, ...cursor })
+    .sort(sortDocument(sort, "filingId"))
+    .limit(limit + 1)
+    .toArray();
+
+  return toPage(entries, limit, sort, "filingId");
+}
+
+/**
+ * Finds the review entry of a filing.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @returns {Promise<ReviewEntry|null>} The entry or null if the filing was never queued
+ */
+export async function findReviewEntry(filingId) {
+  const collection = await getCollection(COLLECTIONS.REVIEW_QUEUE);
+  return collection.findOne({ filingId });
+}
+
+/**
+ * Applies an update to a review entry that is still pending.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @param {Object} update - MongoDB update
+ * @returns {Promise<ReviewEntry|null>} The updated entry, null if no pending entry exists
+ */
+export async function updatePendingReviewEntry(filingId, update) {
+  const collection = await getCollection(COLLECTIONS.REVIEW_QUEUE);
+  return collection.findOneAndUpdate(
+    { filingId, status: REVIEW_STATUSES.PENDING },
+    update,
+    { returnDocument: "after" }
+  );
+}
+
+/**
+ * Puts an approved entry back in the queue, after its filing failed to store.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @param {ReviewEvent} event - Approval event to take back out of the history
+ * @returns {Promise<ReviewEntry|null>} The pending entry, null if the entry was not approved
+ */
+export async function reopenReviewEntry(filingId, event) {
+  const collection = await getCollection(COLLECTIONS.REVIEW_QUEUE);
+  return collection.findOneAndUpdate(
+    { filingId, status: REVIEW_STATUSES.APPROVED },
+    {
+      $set: { status: REVIEW_STATUSES.PENDING, updatedAt: new Date() },
+      $pull: { history: { action: event.action, at: event.at } },
+    },
+    { returnDocument: "after" }
+  );
+}
@@ -10,6 +10,13 @@ import chalk from "chalk";
 import { CONFIG } from "./utils/config.js";
 import transactionDataSSE from "./routes/transactionDataSSE.js";
 import transactionDataREST from "./routes/transactionDataREST.js";
+import politiciansREST from "./routes/politiciansREST.js";
+import reviewREST from "./routes/reviewREST.js";
+import deadLettersREST from "./routes/deadLettersREST.js";
+import costsREST from "./routes/costsREST.js";
+import extractionCacheREST from "./routes/extractionCacheREST.js";
+import filingEventsREST from "./routes/filingEventsREST.js";
+import lateFilingsREST from "./routes/lateFilingsREST.js";
 import { sendSSEUpdate } from "./routes/transactionDataSSE.js";
 import checkAndUpdateLatestTransactionData from "./services/checkLastTransaction.js";
 
@@ -22,6 +29,13 @@ app.use(express.json());
 // Route setup
 app.use("/api/sse", transactionDataSSE);
 app.use("/api", transactionDataREST);
+app.use("/api", politiciansREST);
+app.use("/api", reviewREST);
+app.use("/api", deadLettersREST);
+app.use("/api", costsREST);
+app.use("/api", extractionCacheREST);
+app.use("/api", filingEventsREST);
+app.use("/api", lateFilingsREST);
 
 /**
  * Gets current timestamp in HH:mm:ss format
@@ -57,8 +71,21 @@ async function startFilingMonitoring() {
       if (update.status === "alert") {
         console.log(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.green("🔔 New filing detected, notifying clients\n")}`);
         sendSSEUpdate(update);
-      } else if (update.status === "error") {
-        console.error(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.red("❌ Filing processing error:")}`);
+      } else if (update.status === "amendment") {
+        console.log(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.green(`📑 ${update.message} Notifying clients\n`)}`);
+        sendSSEUpdate(update, "amendment");
+      } else if (update.status === "filing_event") {
+        console.log(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.blue(`🗂️  ${update.message}\n`)}`);
+        sendSSEUpdate(update, "filing_event");
+      } else if (update.status === "review") {
+        // The alert is sent once a reviewer approves the filing
+        console.log(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.yellow(`📝 ${update.message}\n`)}`);
+      } else if (update.status === "budget_exceeded") {
+        console.log(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.yellow(`💸 ${update.message}\n`)}`);
+        sendSSEUpdate(update);
+      } else if (update.status !== "finished checking") {
+        // Failures carry the class of their error, or "extraction_paused" for the circuit breaker
+        console.error(`${getTimestamp()} ${getProcessingTime(startTime)} ${chalk.red(`❌ Filing processing error (${update.status}):`)}`);
         console.error(chalk.red(`  • ${update.message}\n`));
         sendSSEUpdate(update);
       }
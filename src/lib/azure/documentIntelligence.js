@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Azure Document Intelligence integration.
+ * Runs the layout model on a PTR and maps its transaction table to the
+ * Filing_Information/Transactions schema. Service failures are turned into
+ * typed errors.
+ * @module lib/azure/documentIntelligence
+ */
+
+import { readFile } from "node:fs/promises";
+import DocumentIntelligence, {
+  getLongRunningPoller,
+  isUnexpected,
+} from "@azure-rest/ai-document-intelligence";
+import { AzureKeyCredential } from "@azure/core-auth";
+import { CONFIG } from "../../utils/config.js";
+import { DATE_PATTERN, SIGNATURE_DATE_PATTERN, toISODate } from "../../components/efiledParser.js";
+import {
+  EXTRACTION_ERROR_KINDS,
+  ExtractionError,
+  ExtractionServiceError,
+} from "../../utils/errors.js";
+
+/** Matches the header of each transaction table column, by schema field */
+const COLUMN_HEADERS = {
+  ID_Owner: /^(ID\s*)?Owner$|^ID$/i,
+  Asset: /^Asset/i,
+  Transaction_Type: /^(Transaction\s*)?Type$|^Transaction$/i,
+  Date: /^(Transaction\s*)?Date$/i,
+  Amount: /^Amount/i,
+};
+
+/** Matches a row note such as "F S : New" inside a cell, to cut it off */
+const CELL_NOTE_PATTERN = /\s+(F\s*S|S\s*O|D|L|C)\s*:.*$/s;
+
+/** @type {import("@azure-rest/ai-document-intelligence").DocumentIntelligenceClient|null} */
+let client = null;
+
+/**
+ * Returns the Document Intelligence client, creating it on first use.
+ * 
+ * @returns {import("@azure-rest/ai-document-intelligence").DocumentIntelligenceClient} The client
+ * @throws {ExtractionServiceError} If the endpoint or key are not configured
+ */
+function getClient() {
+  if (!CONFIG.azure.endpoint || !CONFIG.azure.apiKey) {
+    throw new ExtractionServiceError(
+      "Azure Document Intelligence endpoint or key not found. Please add them to the .env file.",
+      EXTRACTION_ERROR_KINDS.AUTH
+    );
+  }
+
+  if (!client) {
+    client = DocumentIntelligence(
+      CONFIG.azure.endpoint,
+      new AzureKeyCredential(CONFIG.azure.apiKey),
+      { allowInsecureConnection: CONFIG.azure.endpoint.startsWith("http://") }
+    );
+  }
+  return client;
+}
+
+/**
+ * Reads the Retry-After headers of a response.
+ * 
+ * @param {Object<string, string>} [headers] - Response headers
+ * @returns {number|undefined} Milliseconds to wait, if the response says
+ */
+function getRetryAfter(headers) {
+  const milliseconds = Number(headers?.["retry-after-ms"] ?? headers?.["x-ms-retry-after-ms"]);
+  if (milliseconds > 0) {
+    return milliseconds;
+  }
+  const seconds = Number(headers?.["retry-after"]);
+  return seconds > 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Converts a failed Document Intelligence response into a classified extraction error.
+ * Azure answers 403 when the call volume quota of the resource is spent,
+ * and 429 when requests come too fast.
+ * 
+ * @param {number} status - HTTP status of the response
+ * @param {string} message - Error message of the response
+ * @param {Object<string, string>} [headers] - Response headers
+ * @returns {Error} The classified error, a plain error for unexpected statuses
+ */
+function classifyFailure(status, message, headers) {
+  const details = { status, retryAfter: getRetryAfter(headers) };
+  const quotaExhausted = /quota/i.test(message);
+
+  if (quotaExhausted && (status === 403 || status === 429)) {
+    return new ExtractionServiceError(`Azure quota exhausted: ${message}`, EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED, details);
+  }
+  if (status === 401 || status === 403) {
+    return new ExtractionServiceError(`Azure rejected the credentials: ${message}`, EXTRACTION_ERROR_KINDS.AUTH, details);
+  }
+  if (status === 429) {
+    return new ExtractionServiceError(`Azure rate limit exceeded: ${message}`, EXTRACTION_ERROR_KINDS.RATE_LIMIT, details);
+  }
+  if (status === 408 || status === 504) {
+    return new ExtractionServiceError(`Azure request timed out: ${message}`, EXTRACTION_ERROR_KINDS.TIMEOUT, details);
+  }
+  if (status >= 500) {
+    return new ExtractionServiceError(`Azure service error: ${message}`, EXTRACTION_ERROR_KINDS.SERVER, details);
+  }
+
+  return new Error(`Azure analysis request failed: ${message}`);
+}
+
+/**
+ * Converts an error of the Azure SDK into a classified extraction error.
+ * 
+ * @param {Error} error - Error thrown while analyzing
+ * @returns {Error} The classified error, or the error with the Azure context
+ *   if it does not come from the service
+ */
+function classifyError(error) {
+  if (error instanceof ExtractionError) {
+    return error;
+  }
+  if (error.name === "RestError") {
+    // Without a status the request never reached the service
+    return error.statusCode
+      ? classifyFailure(error.statusCode, error.message, error.response?.headers?.toJSON?.())
+      : new ExtractionServiceError(`Azure service unreachable: ${error.message}`, EXTRACTION_ERROR_KINDS.SERVER);
+  }
+
+  return new Error(`Error with Azure conversion: ${error.message}`);
+}
+
+/**
+ * Collapses whitespace in a cell and removes the row notes it may hold.
+ * 
+ * @param {string} content - Cell content
+ * @returns {string} Cleaned cell text
+ */
+function cleanCell(content) {
+  return (content || "")
+    .replace(/\s+/g, " ")
+    .replace(CELL_NOTE_PATTERN, "")
+    .trim();
+}
+
+/**
+ * Reads the Name, Status and State/District fields and the signature date
+ * from the document text.
+ * 
+ * @param {string} content - Text content of the analyzed document
+ * @returns {import("../../db/db.js").FilingInformation} The filer information
+ */
+function parseFilingInformation(content) {
+  const field = (label) =>
+    content.match(new RegExp(`^${label}:\\s*(.+)$`, "m"))?.[1].trim() ?? null;
+  const signatureDate = content.match(SIGNATURE_DATE_PATTERN)?.[1];
+
+  return {
+    Name: field("Name"),
+    Status: field("Status"),
+    State_District: field("State\\/District"),
+    Filing_Date: signatureDate ? toISODate(signatureDate) : null,
+  };
+}
+
+/**
+ * Maps the header cells of a table to schema fields.
+ * 
+ * @param {import("@azure-rest/ai-document-intelligence").DocumentTableCellOutput[]} headerCells - Header cells
+ * @returns {Object<string, number>|null} Column index by field, null if not a transaction table
+ */
+function mapColumns(headerCells) {
+  const columns = {};
+
+  for (const cell of headerCells) {
+    const header = cleanCell(cell.content);
+    const field = Object.keys(COLUMN_HEADERS).find(
+      (name) => columns[name] === undefined && COLUMN_HEADERS[name].test(header)
+    );
+    if (field) {
+      columns[field] = cell.columnIndex;
+    }
+  }
+
+  const required = ["Asset", "Transaction_Type", "Date", "Amount"];
+  return required.every((field) => columns[field] !== undefined) ? columns : null;
+}
+
+/**
+ * Maps the transaction tables of a layout result to transactions.
+ * Tables split across pages are read one after the other; continuation
+ * tables without a header reuse the columns of the previous table.
+ * 
+ * @param {import("@azure-rest/ai-document-intelligence").DocumentTableOutput[]} tables - Tables of the result
+ * @returns {import("../../db/db.js").Transaction[]} The transactions
+ */
+function mapTransactions(tables) {
+  const transactions = [];
+  let columns = null;
+
+  for (const table of tables) {
+    const rows = new Map();
+    for (const cell of table.cells) {
+      rows.set(cell.rowIndex, [...(rows.get(cell.rowIndex) || []), cell]);
+    }
+
+    for (const [rowIndex, cells] of [...rows.entries()].sort((a, b) => a[0] - b[0])) {
+      const isHeader = cells.some((cell) => cell.kind === "columnHeader") || rowIndex === 0;
+      const headerColumns = isHeader ? mapColumns(cells) : null;
+      if (headerColumns) {
+        columns = headerColumns;
+        continue;
+      }
+      if (!columns) {
+        continue;
+      }
+
+      const value = (field) =>
+        cleanCell(cells.find((cell) => cell.columnIndex === columns[field])?.content);
+
+      // Note rows and wrapped header rows carry no transaction date
+      const date = value("Date");
+      if (!DATE_PATTERN.test(date)) {
+        continue;
+      }
+
+      transactions.push({
+        ID_Owner: columns.ID_Owner !== undefined && value("ID_Owner") ? value("ID_Owner") : "Self",
+        Asset: value("Asset"),
+        Transaction_Type: value("Transaction_Type"),
+        Date: toISODate(date),
+        Amount: value("Amount").replace(/\s*-\s*/, " - "),
+      });
+    }
+  }
+
+  return transactions;
+}
+
+/**
+ * Maps a layout analysis result to the filing data schema.
+ * 
+ * @param {import("@azure-rest/ai-document-intelligence").AnalyzeResultOutput} analyzeResult - Layout result
+ * @returns {import("../../db/db.js").TransactionData} The filing data
+ */
+export function mapLayoutToFilingData(analyzeResult) {
+  return {
+    Filing_Information: parseFilingInformation(analyzeResult.content || ""),
+    Transactions: mapTransactions(analyzeResult.tables || []),
+  };
+}
+
+/**
+ * Runs the configured Document Intelligence model on a PDF.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<import("@azure-rest/ai-document-intelligence").AnalyzeResultOutput>} The analysis result
+ * @throws {ExtractionServiceError} If the service rejects or fails the request
+ * @throws {Error} If the analysis does not succeed
+ */
+export async function analyzePDF(filePath) {
+  const documentClient = getClient();
+  const base64Source = await readFile(filePath, { encoding: "base64" });
+
+  const initialResponse = await documentClient
+    .path("/documentModels/{modelId}:analyze", CONFIG.azure.modelId)
+    .post({
+      contentType: "application/json",
+      body: { base64Source },
+    });
+
+  if (isUnexpected(initialResponse)) {
+    throw classifyFailure(
+      Number(initialResponse.status),
+      initialResponse.body?.error?.message ?? `status ${initialResponse.status}`,
+      initialResponse.headers
+    );
+  }
+
+  const poller = await getLongRunningPoller(documentClient, initialResponse, {
+    intervalInMs: CONFIG.azure.pollInterval,
+  });
+  const result = (await poller.pollUntilDone()).body;
+
+  if (result.status !== "succeeded" || !result.analyzeResult) {
+    throw new Error(`Azure analysis did not succeed: ${result.error?.message ?? result.status}`);
+  }
+
+  return result.analyzeResult;
+}
+
+/**
+ * Converts a PTR PDF to filing data with Azure Document Intelligence.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<{data: import("../../db/db.js").TransactionData, analyzeResult: Object}>}
+ *   The filing data and the raw analysis result
+ * @throws {ExtractionServiceError} If the service fails the request, classified by kind
+ * @throws {Error} If the analysis fails otherwise
+ */
+export default async function convertPDFWithAzure(filePath) {
+  try {
+    const analyzeResult = await analyzePDF(filePath);
+    return { data: mapLayoutToFilingData(analyzeResult), analyzeResult };
+  } catch (error) {
+    throw classifyError(error);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Local stand-in for the Azure Document Intelligence service.
+ * Answers analyze requests with a saved layout result, so the Azure backend
+ * can run without an Azure resource. Point AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT
+ * to it, for example http://localhost:5050 with any key.
+ * 
+ * Usage: node src/lib/azure/standIn.js [port] [resultPath]
+ * @module lib/azure/standIn
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { readFile } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+/** Layout result served when no other is given */
+const DEFAULT_RESULT_PATH = fileURLToPath(new URL("./fixtures/layoutResult.json", import.meta.url));
+
+/**
+ * Creates the stand-in app.
+ * Every analyze request succeeds with the layout result read from resultPath.
+ * 
+ * @param {string} [resultPath] - Path to a saved analyzeResult JSON
+ * @returns {express.Express} The stand-in app
+ */
+export function createStandInApp(resultPath = DEFAULT_RESULT_PATH) {
+  const app = express();
+  const operations = new Map();
+
+  app.use(express.json({ limit: "50mb" }));
+
+  app.post("/documentintelligence/documentModels/:modelId\\:analyze", async (req, res) => {
+    const analyzeResult = JSON.parse(await readFile(resultPath, "utf8"));
+    const operationId = randomUUID();
+    operations.set(operationId, { ...analyzeResult, modelId: req.params.modelId });
+
+    const operationUrl = `${req.protocol}://${req.get("host")}/documentintelligence/documentModels/${req.params.modelId}/analyzeResults/${operationId}?api-version=${req.query["api-version"]}`;
+    res.status(202).set("Operation-Location", operationUrl).end();
+  });
+
+  app.get("/documentintelligence/documentModels/:modelId/analyzeResults/:operationId", (req, res) => {
+    const analyzeResult = operations.get(req.params.operationId);
+    if (!analyzeResult) {
+      res.status(404).json({ error: { code: "NotFound", message: "Operation not found" } });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    res.json({ status: "succeeded", createdDateTime: now, lastUpdatedDateTime: now, analyzeResult });
+  });
+
+  return app;
+}
+
+/**
+ * Starts the stand-in on a port.
+ * 
+ * @param {number} [port=5050] - Port to listen on, 0 for any free port
+ * @param {string} [resultPath] - Path to a saved analyzeResult JSON
+ * @returns {Promise<import("node:http").Server>} The listening server
+ */
+export function startStandIn(port = 5050, resultPath = DEFAULT_RESULT_PATH) {
+  return new Promise((resolve) => {
+    const server = createStandInApp(resultPath).listen(port, () => resolve(server));
+  });
+}
+
+// Run directly from the command line
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2]) || 5050;
+  const server = await startStandIn(port, process.argv[3]);
+  console.log(chalk.blue(`🧪 Azure Document Intelligence stand-in on ${chalk.white(`http://localhost:${server.address().port}`)}`));
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Azure Document Intelligence extraction provider.
+ * Maps the layout model's transaction table to the filing schema.
+ * @module lib/extractors/azureProvider
+ */
+
+import convertPDFWithAzure from "../azure/documentIntelligence.js";
+
+/** @type {import("./index.js").ExtractionProvider} */
+export default {
+  name: "azure",
+  cacheable: true,
+
+  async extract(filePath) {
+    const startTime = Date.now();
+    const { data, analyzeResult } = await convertPDFWithAzure(filePath);
+
+    return {
+      data,
+      metadata: {
+        provider: "azure",
+        duration: (Date.now() - startTime) / 1000,
+        modelId: analyzeResult.modelId,
+        apiVersion: analyzeResult.apiVersion,
+      },
+    };
+  },
+};
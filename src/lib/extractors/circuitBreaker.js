@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Circuit breaker for the extraction service.
+ * Quota and authentication failures affect every filing alike, so the first
+ * one pauses extraction instead of letting each queued filing fail in turn.
+ * Reaching a spending limit pauses extraction the same way until the next
+ * budget period.
+ * After the pause one filing is let through; its outcome closes the circuit
+ * or opens it again. Only calls to extraction providers are paused, filings
+ * that need none are still processed.
+ * @module lib/extractors/circuitBreaker
+ */
+
+import { CONFIG } from "../../utils/config.js";
+import { EXTRACTION_ERROR_KINDS, ExtractionPausedError } from "../../utils/errors.js";
+import { logInfo, logWarning } from "../../utils/logger.js";
+
+/** Error kinds that open the circuit */
+const TRIPPING_KINDS = [
+  EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED,
+  EXTRACTION_ERROR_KINDS.AUTH,
+  EXTRACTION_ERROR_KINDS.BUDGET_EXCEEDED,
+];
+
+/**
+ * @typedef {Object} CircuitState
+ * @property {boolean} open - Whether the last extraction opened the circuit
+ * @property {string|null} kind - Error kind that opened the circuit
+ * @property {string|null} reason - Message of the error that opened the circuit
+ * @property {Date|null} openedAt - When the circuit was opened
+ * @property {Date|null} retryAt - When the next extraction is let through
+ */
+
+/** @type {CircuitState} */
+let state = {
+  open: false,
+  kind: null,
+  reason: null,
+  openedAt: null,
+  retryAt: null,
+};
+
+/**
+ * Checks whether an error should pause extraction.
+ * 
+ * @param {Error} error - Error of a failed extraction
+ * @returns {boolean} True for quota, authentication and budget failures
+ */
+export function tripsCircuit(error) {
+  return TRIPPING_KINDS.includes(error?.kind);
+}
+
+/**
+ * Opens the circuit, pausing extraction for the configured duration, or
+ * until the error's resumeAt when it knows better.
+ * 
+ * @param {Error & {resumeAt?: Date}} error - The quota, authentication or budget failure
+ * @returns {CircuitState} The new state
+ */
+export function openCircuit(error) {
+  const now = new Date();
+  state = {
+    open: true,
+    kind: error.kind,
+    reason: error.message,
+    openedAt: now,
+    retryAt: error.resumeAt || new Date(now.getTime() + CONFIG.extraction.pauseDuration),
+  };
+
+  logWarning(`Extraction paused until ${state.retryAt.toISOString()}: ${error.message}`);
+  return getCircuitState();
+}
+
+/**
+ * Checks whether the open circuit holds a provider. A budget pause only holds
+ * providers that bill their calls, a quota or authentication failure holds
+ * every provider.
+ * 
+ * @param {import("./index.js").ExtractionProvider} provider - Provider to check
+ * @returns {boolean} True if the provider is subject to the pause
+ */
+function holdsProvider(provider) {
+  return state.open && (Boolean(provider.metered) || state.kind !== EXTRACTION_ERROR_KINDS.BUDGET_EXCEEDED);
+}
+
+/**
+ * Closes the circuit after a successful extraction.
+ */
+export function closeCircuit() {
+  if (state.open) {
+    logInfo('Extraction resumed', '▶️');
+  }
+  state = { open: false, kind: null, reason: null, openedAt: null, retryAt: null };
+}
+
+/**
+ * Checks whether extraction is paused.
+ * Once the pause is over extraction is allowed again, even before the circuit closes.
+ * 
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True while the circuit is open and the pause has not ended
+ */
+export function isExtractionPaused(now = new Date()) {
+  return state.open && now < state.retryAt;
+}
+
+/**
+ * Throws when a provider may not be called while extraction is paused.
+ * 
+ * @param {import("./index.js").ExtractionProvider} provider - Provider about to be called
+ * @param {Date} [now] - Reference time
+ * @throws {ExtractionPausedError} If the provider has to wait for the pause to end
+ */
+export function assertProviderAvailable(provider, now = new Date()) {
+  if (isExtractionPaused(now) && holdsProvider(provider)) {
+    throw new ExtractionPausedError(state.reason, state.retryAt);
+  }
+}
+
+/**
+ * Closes the circuit after a provider call succeeded, when the pause holds
+ * that provider. Other providers, or filings that called none, prove nothing
+ * about the service that opened the circuit.
+ * 
+ * @param {import("./index.js").ExtractionProvider} provider - Provider that was called
+ */
+export function recordProviderSuccess(provider) {
+  if (holdsProvider(provider)) {
+    closeCircuit();
+  }
+}
+
+/**
+ * Returns a copy of the circuit state.
+ * 
+ * @returns {CircuitState} The current state
+ */
+export function getCircuitState() {
+  return { ...state };
+}
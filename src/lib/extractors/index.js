@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Extraction provider registry.
+ * An extraction provider turns a filing PDF into Filing_Information and
+ * Transactions JSON. The provider used is picked through configuration.
+ * @module lib/extractors
+ */
+
+import { CONFIG } from "../../utils/config.js";
+
+/**
+ * @typedef {Object} ExtractionContext
+ * @property {string} [filingId] - House filing ID
+ * @property {string} [pdfUrl] - URL the PDF was downloaded from
+ * @property {string} [name] - Politician's name from the website
+ * @property {string} [office] - Office/district from the website
+ */
+
+/**
+ * @typedef {Object} ExtractionMetadata
+ * @property {string} provider - Name of the provider that produced the data
+ * @property {number} duration - Extraction time in seconds
+ * @property {string} [model] - Model that produced the data, for LLM providers
+ * @property {Object} [usage] - Token usage reported by the model
+ * @property {number|null} [cost] - Estimated cost in USD, for metered providers
+ * @property {{hash: string, cachedAt: Date}} [cache] - Set when the data was reused from the cache
+ */
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {import("../../db/db.js").TransactionData} data - Extracted filing data
+ * @property {ExtractionMetadata} metadata - Information about the extraction
+ */
+
+/**
+ * @typedef {Object} ExtractionProvider
+ * @property {string} name - Provider name used in configuration
+ * @property {boolean} [metered] - Whether extractions are billed per token and
+ *   count against the budget
+ * @property {boolean} [cacheable] - Whether results are cached by PDF content
+ * @property {function(string, ExtractionContext): Promise<ExtractionResult>} extract -
+ *   Extracts the filing data from the PDF at the given path
+ */
+
+/**
+ * Loaders of the available providers. Providers are imported on demand so
+ * unused ones do not need their credentials.
+ * 
+ * @type {Object<string, function(): Promise<{default: ExtractionProvider}>>}
+ */
+const PROVIDERS = {
+  openai: () => import("./openaiProvider.js"),
+  azure: () => import("./azureProvider.js"),
+  local: () => import("./localProvider.js"),
+  mock: () => import("./mockProvider.js"),
+};
+
+/** @type {string[]} Names of the available providers */
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Returns an extraction provider.
+ * 
+ * @async
+ * @param {string} [name] - Provider name, defaults to the configured provider
+ * @returns {Promise<ExtractionProvider>} The provider
+ * @throws {Error} If no provider has the given name
+ */
+export async function getExtractionProvider(name = CONFIG.extraction.provider) {
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown extraction provider "${name}", expected one of: ${PROVIDER_NAMES.join(", ")}`);
+  }
+
+  const module = await load();
+  return module.default;
+}
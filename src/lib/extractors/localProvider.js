@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Local extraction provider.
+ * Parses e-filed PTRs without an LLM and fails on any other layout.
+ * @module lib/extractors/localProvider
+ */
+
+import { extractElectronicPTR } from "../../components/efiledParser.js";
+
+/** @type {import("./index.js").ExtractionProvider} */
+export default {
+  name: "local",
+
+  async extract(filePath) {
+    const startTime = Date.now();
+    const data = await extractElectronicPTR(filePath);
+
+    if (!data) {
+      throw new Error("PDF is not a recognized e-filed PTR");
+    }
+
+    return {
+      data,
+      metadata: {
+        provider: "local",
+        duration: (Date.now() - startTime) / 1000,
+      },
+    };
+  },
+};
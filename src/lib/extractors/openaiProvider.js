@@ -0,0 +1,30 @@
+/**
+ * @fileoverview OpenAI extraction provider.
+ * Converts the PDF with schema-enforced OpenAI structured output.
+ * @module lib/extractors/openaiProvider
+ */
+
+import convertPDFToJSON, { estimateCost } from "../openai.js";
+
+/** @type {import("./index.js").ExtractionProvider} */
+export default {
+  name: "openai",
+  cacheable: true,
+  metered: true,
+
+  async extract(filePath) {
+    const startTime = Date.now();
+    const { data, model, usage } = await convertPDFToJSON(filePath);
+
+    return {
+      data,
+      metadata: {
+        provider: "openai",
+        duration: (Date.now() - startTime) / 1000,
+        model,
+        usage,
+        cost: estimateCost(model, usage),
+      },
+    };
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Local OCR of scanned PTRs.
+ * Runs OCRmyPDF on image-based PDFs to add a text layer before extraction,
+ * so extraction providers read recognized text instead of raw scans.
+ * @module lib/ocr
+ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { CONFIG } from "../utils/config.js";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @typedef {Object} OCRResult
+ * @property {string} path - Path to the PDF with the recognized text layer
+ * @property {string} engine - OCR command that produced it
+ * @property {string} language - Tesseract language used
+ * @property {number} duration - OCR time in seconds
+ */
+
+/**
+ * Adds a text layer to a scanned PDF.
+ * Any existing text layer is replaced, as scanned filings sometimes carry an
+ * unreadable one.
+ * 
+ * @async
+ * @param {string} filePath - Path to the scanned PDF
+ * @returns {Promise<OCRResult>} The OCRed PDF, written next to the original
+ * @throws {Error} If the OCR command is not installed or fails
+ */
+export default async function runOCR(filePath) {
+  const startTime = Date.now();
+  const outputPath = filePath.replace(/\.pdf$/i, "") + ".ocr.pdf";
+
+  try {
+    await execFileAsync(
+      CONFIG.ocr.command,
+      ["--force-ocr", "--deskew", "--language", CONFIG.ocr.language, "--output-type", "pdf", filePath, outputPath],
+      { timeout: CONFIG.ocr.timeout }
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`OCR command "${CONFIG.ocr.command}" not found, install OCRmyPDF or set OCR_COMMAND`);
+    }
+    const details = error.stderr?.trim().split("\n").pop() || error.message;
+    throw new Error(`OCR failed: ${details}`);
+  }
+
+  return {
+    path: outputPath,
+    engine: CONFIG.ocr.command,
+    language: CONFIG.ocr.language,
+    duration: (Date.now() - startTime) / 1000,
+  };
+}
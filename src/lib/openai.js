@@ -1,87 +1,234 @@
+/**
+ * @fileoverview OpenAI conversion of PTR PDFs.
+ * Sends the PDF to a chat completion whose output is constrained to the
+ * filing JSON schema, and turns refusals, truncated output and API failures
+ * into typed errors.
+ * @module lib/openai
+ */
+
 import fs from "fs";
-import dotenv from "dotenv";
 import OpenAI from "openai";
 
-import { assistantInstructions } from "../utils/config.js";
-import { extractStringBetweenBackticks, isJSON } from "../components/dataValidation.js";
+import { CONFIG, ERROR_MESSAGES, assistantInstructions, filingJsonSchema } from "../utils/config.js";
+import {
+  EXTRACTION_ERROR_KINDS,
+  ExtractionError,
+  ExtractionServiceError,
+  ExtractionRefusalError,
+  ExtractionTruncatedError,
+  InvalidExtractionOutputError,
+} from "../utils/errors.js";
+import { logWarning } from "../utils/logger.js";
 
-dotenv.config();
+/**
+ * @typedef {Object} OpenAIConversion
+ * @property {import("../db/db.js").TransactionData} data - Filing data
+ * @property {string} model - Model that produced the data
+ * @property {import("openai").OpenAI.CompletionUsage} [usage] - Token usage of the completion
+ */
 
-const configuration = {
-  apiKey: process.env.OPENAI_API_KEY,
-};
+/** Tokens per unit of the pricing table */
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
 
-const openai = new OpenAI(configuration);
+/** @type {OpenAI|null} */
+let client = null;
+
+/**
+ * Returns the shared OpenAI client, created on first use.
+ * 
+ * @returns {OpenAI} OpenAI client
+ * @throws {ExtractionServiceError} If the API key is not configured
+ */
+function getClient() {
+  if (!CONFIG.openai.apiKey) {
+    throw new ExtractionServiceError(
+      "OpenAI API Key not found. Please add it to the .env file.",
+      EXTRACTION_ERROR_KINDS.AUTH
+    );
+  }
+  if (!client) {
+    client = new OpenAI({
+      apiKey: CONFIG.openai.apiKey,
+      maxRetries: CONFIG.openai.maxRetries,
+      timeout: CONFIG.openai.timeout,
+    });
+  }
+  return client;
+}
+
+/**
+ * Reads the Retry-After headers of a response.
+ * 
+ * @param {Object<string, string>} [headers] - Response headers
+ * @returns {number|undefined} Milliseconds to wait, if the response says
+ */
+function getRetryAfter(headers) {
+  const milliseconds = Number(headers?.["retry-after-ms"]);
+  if (milliseconds > 0) {
+    return milliseconds;
+  }
+  const seconds = Number(headers?.["retry-after"]);
+  return seconds > 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Converts an OpenAI SDK error into a classified extraction error.
+ * 
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {Error} The classified error, or the original error if it does not
+ *   come from the API
+ */
+export function classifyError(error) {
+  if (error instanceof ExtractionError) {
+    return error;
+  }
+
+  const details = { status: error.status, retryAfter: getRetryAfter(error.headers) };
+
+  if (error instanceof OpenAI.RateLimitError) {
+    return error.code === "insufficient_quota"
+      ? new ExtractionServiceError(`OpenAI quota exhausted: ${error.message}`, EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED, details)
+      : new ExtractionServiceError(`${ERROR_MESSAGES.OPENAI_RATE_LIMIT}: ${error.message}`, EXTRACTION_ERROR_KINDS.RATE_LIMIT, details);
+  }
+  if (error instanceof OpenAI.AuthenticationError || error instanceof OpenAI.PermissionDeniedError) {
+    return new ExtractionServiceError(`OpenAI rejected the credentials: ${error.message}`, EXTRACTION_ERROR_KINDS.AUTH, details);
+  }
+  if (error instanceof OpenAI.APIConnectionTimeoutError) {
+    return new ExtractionServiceError(ERROR_MESSAGES.OPENAI_TIMEOUT, EXTRACTION_ERROR_KINDS.TIMEOUT, details);
+  }
+  if (error instanceof OpenAI.InternalServerError || error instanceof OpenAI.APIConnectionError) {
+    return new ExtractionServiceError(`OpenAI service error: ${error.message}`, EXTRACTION_ERROR_KINDS.SERVER, details);
+  }
+
+  return error;
+}
+
+/**
+ * Estimates the cost of a completion from the pricing table.
+ * Prices are looked up by the longest model name prefix, so a dated snapshot
+ * such as "gpt-4o-mini-2024-07-18" is billed as "gpt-4o-mini".
+ * 
+ * @param {string} model - Model that served the completion
+ * @param {import("openai").OpenAI.CompletionUsage} [usage] - Token usage of the completion
+ * @returns {number|null} Cost in USD, null if the usage or the model price is unknown
+ */
+export function estimateCost(model, usage) {
+  if (!usage) {
+    return null;
+  }
+
+  const prefix = Object.keys(CONFIG.openai.pricing)
+    .filter((name) => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) {
+    logWarning(`No price configured for model ${model}, its cost is not counted`);
+    return null;
+  }
+
+  const price = CONFIG.openai.pricing[prefix];
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+  const cost = (usage.prompt_tokens - cachedTokens) * price.input
+    + cachedTokens * price.cachedInput
+    + usage.completion_tokens * price.output;
+  return cost / TOKENS_PER_PRICE_UNIT;
+}
+
+/**
+ * Reads the filing data from a completion choice.
+ * 
+ * @param {import("openai").OpenAI.ChatCompletion.Choice} choice - First completion choice
+ * @param {import("openai").OpenAI.CompletionUsage} [usage] - Token usage of the completion
+ * @returns {import("../db/db.js").TransactionData} Filing data
+ * @throws {ExtractionRefusalError} If the model refused the request
+ * @throws {ExtractionTruncatedError} If the output hit the token limit
+ * @throws {InvalidExtractionOutputError} If the output is filtered or not JSON
+ */
+function parseChoice(choice, usage) {
+  if (!choice) {
+    throw new InvalidExtractionOutputError("the completion has no choices");
+  }
+  if (choice.message.refusal) {
+    throw new ExtractionRefusalError(choice.message.refusal);
+  }
+  if (choice.finish_reason === "length") {
+    throw new ExtractionTruncatedError(usage?.completion_tokens);
+  }
+  if (choice.finish_reason === "content_filter") {
+    throw new InvalidExtractionOutputError("the output was stopped by the content filter");
+  }
 
-export default async function convertPDFToJSON(filePath) {
   try {
-    if (!configuration.apiKey) {
-      throw new Error(
-        "OpenAI API Key not found. Please add it to the .env file."
-      );
-    }
+    return JSON.parse(choice.message.content);
+  } catch (error) {
+    throw new InvalidExtractionOutputError(error.message);
+  }
+}
 
-    const instructions = `${assistantInstructions}`;
-    const assistantId = process.env.OPENAI_ASSISTANT_ID;
+/**
+ * Converts a PTR PDF to filing data with schema-enforced structured output.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<OpenAIConversion>} Filing data with the model and token usage
+ * @throws {ExtractionError} If the request fails or the model output is unusable,
+ *   classified by kind
+ */
+export default async function convertPDFToJSON(filePath) {
+  try {
+    return await requestExtraction(getClient(), filePath);
+  } catch (error) {
+    throw classifyError(error);
+  }
+}
 
-    
-    // Upload the PDF file to OpenAI
-    const file = await openai.files.create({
-      file: fs.createReadStream(filePath),
-      purpose: "assistants",
-    });
+/**
+ * Uploads the PDF and requests the structured extraction.
+ * 
+ * @async
+ * @param {OpenAI} openai - OpenAI client
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<OpenAIConversion>} Filing data with the model and token usage
+ */
+async function requestExtraction(openai, filePath) {
+  const file = await openai.files.create({
+    file: fs.createReadStream(filePath),
+    purpose: "user_data",
+  });
 
-    // Create a thread with the PDF file
-    const thread = await openai.beta.threads.create({
+  try {
+    const completion = await openai.chat.completions.create({
+      model: CONFIG.openai.model,
+      temperature: 0,
+      max_tokens: CONFIG.openai.maxOutputTokens,
+      response_format: { type: "json_schema", json_schema: filingJsonSchema },
       messages: [
+        { role: "system", content: assistantInstructions },
         {
           role: "user",
-          content: instructions,
-          attachments: [
-            {
-              file_id: file.id,
-              tools: [{ type: "code_interpreter" }],
-            },
+          content: [
+            { type: "file", file: { file_id: file.id } },
+            { type: "text", text: "Extract the filing information and every transaction of this report." },
           ],
         },
       ],
     });
 
-    // Request the information from the assistant
-    await openai.beta.threads.runs.createAndPoll(thread.id, {
-      assistant_id: assistantId,
-    });
-
-    // Get the messages from the thread
-    let messages = await openai.beta.threads.messages.list(thread.id);
-
-    // Get the JSON data from the messages
-    let data = await messages.data[0].content[0].text.value;
-
-    // Delete the file from OpenAI asynchronously without blocking
-    (async () => {
-      try {
-        await openai.files.del(file.id);
-      } catch (error) {
-        console.error("Error deleting file:", error);
-      }
-    })().catch(console.error);
-
-    // Check if the data prompted by openai is in a JSON format
-
-    if (!isJSON(data)) {
-      try {
-        // sometimes the data is wrapped in tripple backticks
-        data = extractStringBetweenBackticks(data);
-        data = JSON.parse(data);
-      } catch (error) {
-        throw new Error("OpenAI did not return a JSON object.");
-      }
+    let data;
+    try {
+      data = parseChoice(completion.choices[0], completion.usage);
+    } catch (error) {
+      // Unusable output is billed all the same
+      error.model = completion.model;
+      error.usage = completion.usage;
+      error.cost = estimateCost(completion.model, completion.usage);
+      throw error;
     }
 
-    // Return the JSON data
-    return data;
-  } catch (error) {
-    throw new Error(`Error with openAI conversion: ${error}`);
+    return { data, model: completion.model, usage: completion.usage };
+  } finally {
+    // Delete the file without blocking the result
+    openai.files.del(file.id).catch((error) => {
+      logWarning(`Error deleting OpenAI file ${file.id}: ${error.message}`);
+    });
   }
 }
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview REST API routes for extraction spending.
+ * Reports the token usage and estimated cost of metered extraction against the budget.
+ * @module routes/costsREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { getCostReport } from "../services/extractionBudget.js";
+
+const router = express.Router();
+
+/**
+ * Retrieves the extraction spending of today, this month and overall, by
+ * model, with the daily and monthly budget status.
+ * 
+ * @route GET /api/costs
+ * @returns {Object} The cost report, amounts in USD
+ */
+router.get("/costs", async (req, res) => {
+  try {
+    console.log(chalk.blue("💸 Processing GET /api/costs request"));
+    const report = await getCostReport();
+
+    console.log(chalk.green("✅ Cost report retrieved"));
+    res.json(report);
+  } catch (error) {
+    console.error(chalk.red("❌ Error retrieving costs:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve costs",
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview REST API routes for dead-lettered filings.
+ * Lets operators inspect filings that ran out of retries and requeue them.
+ * @module routes/deadLettersREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { findDeadLetters, findDeadLetter, requeueDeadLetter } from "../db/processedFilings.js";
+import { BadRequestError } from "../utils/errors.js";
+
+const router = express.Router();
+
+/**
+ * Lists dead-lettered filings with their attempts and latest errors, one page at a time.
+ * 
+ * @route GET /api/dead-letters
+ * @param {string} [sort=-deadLetteredAt] - deadLetteredAt or firstSeenAt, "-" prefix for descending
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {number} [limit=50] - Page size, at most 200
+ * @returns {Object} Page of dead letters and the cursor of the next page
+ */
+router.get("/dead-letters", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/dead-letters request"));
+    const page = await findDeadLetters(req.query);
+
+    console.log(chalk.green(`✅ ${page.data.length} dead letter(s) retrieved`));
+    res.json(page);
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      console.log(chalk.yellow(`⚠️  Invalid request: ${error.message}`));
+      res.status(error.statusCode).json({ error: error.message });
+      return;
+    }
+
+    console.error(chalk.red("❌ Error retrieving dead letters:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve dead letters",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Retrieves a single dead-lettered filing.
+ * 
+ * @route GET /api/dead-letters/:id
+ * @returns {Object} The filing record with its error history
+ */
+router.get("/dead-letters/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔍 Processing GET /api/dead-letters/${req.params.id} request`));
+    const record = await findDeadLetter(req.params.id);
+
+    if (!record) {
+      console.log(chalk.yellow(`ℹ️  Filing ${req.params.id} is not dead-lettered`));
+      res.status(404).json({
+        error: "Dead letter not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green("✅ Dead letter retrieved"));
+    res.json(record);
+  } catch (error) {
+    console.error(chalk.red("❌ Error retrieving dead letter:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve dead letter",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Moves a dead-lettered filing back to the retry queue with a fresh retry
+ * schedule. The monitor picks it up on its next check.
+ * 
+ * @route POST /api/dead-letters/:id/requeue
+ * @returns {Object} The requeued filing record
+ */
+router.post("/dead-letters/:id/requeue", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔄 Processing POST /api/dead-letters/${req.params.id}/requeue request`));
+    const record = await requeueDeadLetter(req.params.id);
+
+    if (!record) {
+      console.log(chalk.yellow(`ℹ️  Filing ${req.params.id} is not dead-lettered`));
+      res.status(404).json({
+        error: "Dead letter not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green("✅ Filing requeued"));
+    res.json(record);
+  } catch (error) {
+    console.error(chalk.red("❌ Error requeuing filing:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to requeue filing",
+      details: error.message
+    });
+  }
+});
+
+export default router;
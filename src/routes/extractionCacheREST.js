@@ -0,0 +1,45 @@
+/**
+ * @fileoverview REST API routes for the extraction cache.
+ * Lets operators force a fresh extraction of a filing whose cached result is wrong.
+ * @module routes/extractionCacheREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { evictFilingExtractions } from "../db/extractionCache.js";
+
+const router = express.Router();
+
+/**
+ * Removes the cached extractions of a filing's PDF, so the next processing
+ * of the filing, or of any identical PDF, pays for a new extraction.
+ * 
+ * @route DELETE /api/extraction-cache/:id
+ * @returns {Object} Number of removed cache entries
+ */
+router.delete("/extraction-cache/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🗑️  Processing DELETE /api/extraction-cache/${req.params.id} request`));
+    const deleted = await evictFilingExtractions(req.params.id);
+
+    if (deleted === 0) {
+      console.log(chalk.yellow(`ℹ️  No cached extraction for filing ${req.params.id}`));
+      res.status(404).json({
+        error: "Cached extraction not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green(`✅ ${deleted} cached extraction(s) removed`));
+    res.json({ filingId: req.params.id, deleted });
+  } catch (error) {
+    console.error(chalk.red("❌ Error removing cached extractions:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to remove cached extractions",
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview REST API routes for filing events.
+ * Lists the reports that are not PTRs, such as blind trusts and extensions.
+ * @module routes/filingEventsREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { findFilingEvents } from "../db/filingEvents.js";
+import { BadRequestError } from "../utils/errors.js";
+
+const router = express.Router();
+
+/**
+ * Lists filing events, one page at a time.
+ * 
+ * @route GET /api/filing-events
+ * @param {string} [type] - Kind of report, such as blind_trust or extension
+ * @param {string} [chamber] - house or senate
+ * @param {string} [politician] - Politician ID, such as "phillips-dean"
+ * @param {string} [year] - Filing year, YYYY
+ * @param {string} [sort=-firstSeenAt] - firstSeenAt or name, "-" prefix for descending
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {number} [limit=50] - Page size, at most 200
+ * @returns {Object} Page of filing events and the cursor of the next page
+ */
+router.get("/filing-events", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/filing-events request"));
+    const page = await findFilingEvents(req.query);
+
+    console.log(chalk.green(`✅ ${page.data.length} filing event(s) retrieved`));
+    res.json(page);
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      console.log(chalk.yellow(`⚠️  Invalid request: ${error.message}`));
+      res.status(error.statusCode).json({ error: error.message });
+      return;
+    }
+
+    console.error(chalk.red("❌ Error retrieving filing events:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve filing events",
+      details: error.message
+    });
+  }
+});
+
+export default router;
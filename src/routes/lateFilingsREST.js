@@ -0,0 +1,75 @@
+/**
+ * @fileoverview REST API routes for late filing reports.
+ * Serves the PTRs each member filed after the STOCK Act deadline.
+ * @module routes/lateFilingsREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { getLateFilingReports, getLateFilingReport } from "../services/lateFilings.js";
+import { BadRequestError } from "../utils/errors.js";
+
+const router = express.Router();
+
+/**
+ * Lists the late filing reports of every politician with a late filing.
+ * 
+ * @route GET /api/late-filings
+ * @param {string} [chamber] - house or senate
+ * @returns {Object[]} Late filing reports, most late filings first
+ */
+router.get("/late-filings", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/late-filings request"));
+    const reports = await getLateFilingReports(req.query);
+
+    console.log(chalk.green(`✅ ${reports.length} late filing report(s) retrieved`));
+    res.json(reports);
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      console.log(chalk.yellow(`⚠️  Invalid request: ${error.message}`));
+      res.status(error.statusCode).json({ error: error.message });
+      return;
+    }
+
+    console.error(chalk.red("❌ Error retrieving late filing reports:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve late filing reports",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Retrieves the late filing report of a single politician.
+ * 
+ * @route GET /api/late-filings/:id
+ * @returns {Object} Late filing report, with no late filings if every filing was in time
+ */
+router.get("/late-filings/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔍 Processing GET /api/late-filings/${req.params.id} request`));
+    const report = await getLateFilingReport(req.params.id);
+
+    if (!report) {
+      console.log(chalk.yellow(`ℹ️  No filings found for politician ${req.params.id}`));
+      res.status(404).json({
+        error: "Politician not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green("✅ Late filing report retrieved"));
+    res.json(report);
+  } catch (error) {
+    console.error(chalk.red("❌ Error retrieving late filing report:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve late filing report",
+      details: error.message
+    });
+  }
+});
+
+export default router;
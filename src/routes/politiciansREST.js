@@ -0,0 +1,79 @@
+/**
+ * @fileoverview REST API routes for politician profiles.
+ * Serves aggregated filing and trading history per member.
+ * @module routes/politiciansREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { getPoliticianProfiles, getPoliticianProfile } from "../services/politicianProfiles.js";
+import { BadRequestError } from "../utils/errors.js";
+
+const router = express.Router();
+
+/**
+ * Lists the profiles of the politicians with stored filings, one page at a time.
+ * 
+ * @route GET /api/politicians
+ * @param {string} [sort=-lastFilingDate] - lastFilingDate, name or filingCount, "-" prefix for descending
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {number} [limit=50] - Page size, at most 200
+ * @returns {Object} Page of politician profiles and the cursor of the next page
+ * @throws {Error} If database query fails
+ */
+router.get("/politicians", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/politicians request"));
+    const page = await getPoliticianProfiles(req.query);
+
+    console.log(chalk.green(`✅ ${page.data.length} politician profile(s) retrieved`));
+    res.json(page);
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      console.log(chalk.yellow(`⚠️  Invalid request: ${error.message}`));
+      res.status(error.statusCode).json({ error: error.message });
+      return;
+    }
+
+    console.error(chalk.red("❌ Error retrieving politician profiles:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve politician profiles",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Retrieves the profile of a single politician.
+ * 
+ * @route GET /api/politicians/:id
+ * @returns {Object} Politician profile
+ * @throws {Error} If database query fails
+ */
+router.get("/politicians/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔍 Processing GET /api/politicians/${req.params.id} request`));
+    const profile = await getPoliticianProfile(req.params.id);
+
+    if (!profile) {
+      console.log(chalk.yellow(`ℹ️  No filings found for politician ${req.params.id}`));
+      res.status(404).json({
+        error: "Politician not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green("✅ Politician profile retrieved"));
+    res.json(profile);
+  } catch (error) {
+    console.error(chalk.red("❌ Error retrieving politician profile:"));
+    console.error(chalk.red(`  • ${error.message}`));
+    res.status(500).json({
+      error: "Failed to retrieve politician profile",
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview REST API routes for the human review queue.
+ * Lists parked filings and lets reviewers edit, approve or reject them.
+ * @module routes/reviewREST
+ */
+
+import express from "express";
+import chalk from "chalk";
+import { findReviewEntries, findReviewEntry } from "../db/reviewQueue.js";
+import { editReviewEntry, approveReviewEntry, rejectReviewEntry } from "../services/filingReview.js";
+import { sendSSEUpdate } from "./transactionDataSSE.js";
+
+const router = express.Router();
+
+/**
+ * Sends the error response for a failed review request.
+ * Errors with a status code are answered with it, anything else with a 500.
+ * 
+ * @param {express.Response} res - Express response
+ * @param {Error} error - The error raised by the request
+ * @param {string} message - Error description for unexpected failures
+ */
+function sendReviewError(res, error, message) {
+  if (error.statusCode) {
+    console.log(chalk.yellow(`⚠️  ${error.message}`));
+    res.status(error.statusCode).json({ error: error.message });
+    return;
+  }
+
+  console.error(chalk.red(`❌ ${message}:`));
+  console.error(chalk.red(`  • ${error.message}`));
+  res.status(500).json({
+    error: message,
+    details: error.message
+  });
+}
+
+/**
+ * Lists review queue entries, oldest first, one page at a time.
+ * 
+ * @route GET /api/review
+ * @param {string} [status=pending] - pending, approved or rejected
+ * @param {string} [sort=queuedAt] - queuedAt or updatedAt, "-" prefix for descending
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {number} [limit=50] - Page size, at most 200
+ * @returns {Object} Page of review entries and the cursor of the next page
+ */
+router.get("/review", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/review request"));
+    const page = await findReviewEntries(req.query);
+
+    console.log(chalk.green(`✅ ${page.data.length} review entry(ies) retrieved`));
+    res.json(page);
+  } catch (error) {
+    sendReviewError(res, error, "Failed to retrieve review queue");
+  }
+});
+
+/**
+ * Retrieves the review entry of a filing: the extracted data, the reasons it
+ * was parked, the link to the original PDF and the audit trail.
+ * 
+ * @route GET /api/review/:id
+ * @returns {Object} The review entry
+ */
+router.get("/review/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔍 Processing GET /api/review/${req.params.id} request`));
+    const entry = await findReviewEntry(req.params.id);
+
+    if (!entry) {
+      console.log(chalk.yellow(`ℹ️  Filing ${req.params.id} is not in the review queue`));
+      res.status(404).json({
+        error: "Review entry not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green("✅ Review entry retrieved"));
+    res.json(entry);
+  } catch (error) {
+    sendReviewError(res, error, "Failed to retrieve review entry");
+  }
+});
+
+/**
+ * Edits fields of the extracted data of a pending filing.
+ * 
+ * @route PATCH /api/review/:id
+ * @param {string} reviewer - Who makes the edit
+ * @param {Object<string, string>} changes - New values by field path, such as
+ *   "Transactions.0.Amount" or "Filing_Information.Name"
+ * @param {string} [note] - Reviewer's note
+ * @returns {Object} The updated review entry
+ */
+router.patch("/review/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`✏️  Processing PATCH /api/review/${req.params.id} request`));
+    const entry = await editReviewEntry(req.params.id, req.body);
+
+    console.log(chalk.green("✅ Review entry updated"));
+    res.json(entry);
+  } catch (error) {
+    sendReviewError(res, error, "Failed to edit review entry");
+  }
+});
+
+/**
+ * Approves a pending filing. The corrected data is stored with the audit
+ * trail and the filing alert is sent to SSE clients, as an "amendment" event
+ * when the filing replaces an earlier version.
+ * 
+ * @route POST /api/review/:id/approve
+ * @param {string} reviewer - Who approves the filing
+ * @param {string} [note] - Reviewer's note
+ * @returns {Object} The stored filing
+ */
+router.post("/review/:id/approve", async (req, res) => {
+  try {
+    console.log(chalk.blue(`✅ Processing POST /api/review/${req.params.id}/approve request`));
+    const filing = await approveReviewEntry(req.params.id, req.body);
+
+    if (filing.amends) {
+      sendSSEUpdate({
+        status: "amendment",
+        message: `Filing ${filing.filingId} from ${filing.name} amends filing ${filing.amends}.`,
+        time: new Date().toISOString(),
+        pdfUrl: filing.pdfUrl,
+        late: Boolean(filing.late),
+        transaction: filing
+      }, "amendment");
+    } else {
+      sendSSEUpdate({
+        status: "alert",
+        message: "New filing data found!",
+        time: new Date().toISOString(),
+        pdfUrl: filing.pdfUrl,
+        late: Boolean(filing.late),
+        transaction: filing
+      });
+    }
+
+    console.log(chalk.green("✅ Filing approved"));
+    res.json(filing);
+  } catch (error) {
+    sendReviewError(res, error, "Failed to approve filing");
+  }
+});
+
+/**
+ * Rejects a pending filing. It is not stored and not processed again.
+ * 
+ * @route POST /api/review/:id/reject
+ * @param {string} reviewer - Who rejects the filing
+ * @param {string} [note] - Reviewer's note, such as the reason for the rejection
+ * @returns {Object} The rejected review entry
+ */
+router.post("/review/:id/reject", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🚫 Processing POST /api/review/${req.params.id}/reject request`));
+    const entry = await rejectReviewEntry(req.params.id, req.body);
+
+    console.log(chalk.green("✅ Filing rejected"));
+    res.json(entry);
+  } catch (error) {
+    sendReviewError(res, error, "Failed to reject filing");
+  }
+});
+
+export default router;
@@ -7,6 +7,8 @@
 import express from "express";
 import chalk from "chalk";
 import { getLatestTransactionData } from "../db/db.js";
+import { findFilings, findTransactions, findFilingById, findFilingVersions } from "../db/filingQueries.js";
+import { BadRequestError } from "../utils/errors.js";
 
 const router = express.Router();
 
@@ -42,4 +44,139 @@ router.get("/latest", async (req, res) => {
   }
 });
 
-export default router; 
\ No newline at end of file
+/**
+ * Sends the error response for a failed query.
+ * Invalid parameters get a 400 response, anything else a 500.
+ * 
+ * @param {express.Response} res - Express response
+ * @param {Error} error - The error raised by the query
+ * @param {string} message - Error description for unexpected failures
+ */
+function sendQueryError(res, error, message) {
+  if (error instanceof BadRequestError) {
+    console.log(chalk.yellow(`⚠️  Invalid request: ${error.message}`));
+    res.status(error.statusCode).json({ error: error.message });
+    return;
+  }
+
+  console.error(chalk.red(`❌ ${message}:`));
+  console.error(chalk.red(`  • ${error.message}`));
+  res.status(500).json({
+    error: message,
+    details: error.message
+  });
+}
+
+/**
+ * Lists filings matching the given filters, one page at a time.
+ * 
+ * @route GET /api/filings
+ * @param {string} [chamber] - house or senate
+ * @param {string} [politician] - Words that must all appear in the politician's name
+ * @param {string} [office] - Exact office, such as "CA17"
+ * @param {string} [state] - State prefix of the office, such as "CA"
+ * @param {string} [transactionType] - purchase, sale, partial_sale, exchange or text in the original type
+ * @param {string} [owner] - self, spouse, joint, dependent_child or the original owner code
+ * @param {string} [asset] - Text contained in an asset description
+ * @param {string} [ticker] - Ticker symbol, such as "AAPL"
+ * @param {string} [assetType] - House asset type code, such as "ST"
+ * @param {string} [dateFrom] - Earliest transaction date (YYYY-MM-DD)
+ * @param {string} [dateTo] - Latest transaction date (YYYY-MM-DD)
+ * @param {string} [filedFrom] - Earliest filing date (YYYY-MM-DD)
+ * @param {string} [filedTo] - Latest filing date (YYYY-MM-DD)
+ * @param {string} [sourceType] - text, scanned or html, how the filing was produced
+ * @param {string} [versions=latest] - latest, or all to include versions replaced by amendments
+ * @param {string} [sort=-processedAt] - processedAt, name or office, "-" prefix for descending
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {number} [limit=50] - Page size, at most 200
+ * @returns {Object} Page of filings and the cursor of the next page
+ */
+router.get("/filings", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/filings request"));
+    const page = await findFilings(req.query);
+
+    console.log(chalk.green(`✅ ${page.data.length} filing(s) retrieved`));
+    res.json(page);
+  } catch (error) {
+    sendQueryError(res, error, "Failed to retrieve filings");
+  }
+});
+
+/**
+ * Retrieves a single filing by its House or Senate filing ID, including
+ * versions replaced by an amendment.
+ * 
+ * @route GET /api/filings/:id
+ * @returns {Object} The filing
+ */
+router.get("/filings/:id", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔍 Processing GET /api/filings/${req.params.id} request`));
+    const filing = await findFilingById(req.params.id);
+
+    if (!filing) {
+      console.log(chalk.yellow(`ℹ️  Filing ${req.params.id} not found`));
+      res.status(404).json({
+        error: "Filing not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green("✅ Filing retrieved"));
+    res.json(filing);
+  } catch (error) {
+    sendQueryError(res, error, "Failed to retrieve filing");
+  }
+});
+
+/**
+ * Lists every version of a filing, from the original to the latest amendment,
+ * each amendment with its changes from the version it replaced.
+ * 
+ * @route GET /api/filings/:id/versions
+ * @returns {Object[]} Versions of the filing in order
+ */
+router.get("/filings/:id/versions", async (req, res) => {
+  try {
+    console.log(chalk.blue(`🔍 Processing GET /api/filings/${req.params.id}/versions request`));
+    const versions = await findFilingVersions(req.params.id);
+
+    if (versions.length === 0) {
+      console.log(chalk.yellow(`ℹ️  Filing ${req.params.id} not found`));
+      res.status(404).json({
+        error: "Filing not found"
+      });
+      return;
+    }
+
+    console.log(chalk.green(`✅ ${versions.length} version(s) retrieved`));
+    res.json(versions);
+  } catch (error) {
+    sendQueryError(res, error, "Failed to retrieve filing versions");
+  }
+});
+
+/**
+ * Lists individual transactions matching the given filters, one page at a time.
+ * Accepts the same filters as GET /api/filings.
+ * 
+ * @route GET /api/transactions
+ * @param {string} [sort=-date] - date, processedAt or name, "-" prefix for descending
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {number} [limit=50] - Page size, at most 200
+ * @returns {Object} Page of transactions and the cursor of the next page
+ */
+router.get("/transactions", async (req, res) => {
+  try {
+    console.log(chalk.blue("🔍 Processing GET /api/transactions request"));
+    const page = await findTransactions(req.query);
+
+    console.log(chalk.green(`✅ ${page.data.length} transaction(s) retrieved`));
+    res.json(page);
+  } catch (error) {
+    sendQueryError(res, error, "Failed to retrieve transactions");
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Service to backfill filings from past filing years.
+ * Walks a range of years and processes every PTR that is not stored yet.
+ * @module services/backfill
+ */
+
+import processFiling, { FILING_PAUSED } from "./processFiling.js";
+import { FILING_OUTCOMES, getSettledFilingIds } from "../db/processedFilings.js";
+import { enforceBudget } from "./extractionBudget.js";
+import { isExtractionPaused } from "../lib/extractors/circuitBreaker.js";
+import { recordFilingEvents } from "../db/filingEvents.js";
+import { listReports } from "../sources/index.js";
+import { sleep } from "../utils/config.js";
+import { logSection, logSectionEnd, logProcessStart, logProcessEnd, logInfo, logSuccess, logWarning, logError } from "../utils/logger.js";
+
+/**
+ * @typedef {Object} YearProgress
+ * @property {number} year - Filing year
+ * @property {number} total - PTR filings listed for the year
+ * @property {number} done - Filings stored or parked for review, including those from earlier runs
+ * @property {number} failed - Filings that failed, left to the retry schedule
+ * @property {number} remaining - Filings not attempted yet
+ */
+
+/**
+ * @typedef {Object} BackfillOptions
+ * @property {number} fromYear - First filing year to backfill
+ * @property {number} toYear - Last filing year to backfill
+ * @property {number} delay - Milliseconds to wait between filings
+ * @property {function(): boolean} [shouldStop] - Checked before each filing, stops the run when true
+ * @property {function(YearProgress): void} [onProgress] - Called after each processed filing
+ */
+
+/**
+ * Processes every PTR from a range of filing years that has not been stored yet.
+ * Filings already processed by an earlier run are left out, so an interrupted
+ * backfill resumes where it stopped when started again. The run also stops
+ * when the circuit breaker pauses extraction, including when the budget is reached.
+ * 
+ * @async
+ * @param {BackfillOptions} options - Backfill options
+ * @returns {Promise<YearProgress[]>} Progress of every year that was visited
+ */
+export default async function runBackfill({
+  fromYear,
+  toYear,
+  delay,
+  shouldStop: shouldStopRequested = () => false,
+  onProgress = () => {},
+}) {
+  const shouldStop = () => shouldStopRequested() || isExtractionPaused();
+  const backfillStartTime = Date.now();
+  const subProcessTimes = {};
+  const report = [];
+
+  logSection(`Backfilling ${fromYear}-${toYear}`);
+
+  // A budget already reached stops the run before the first filing
+  await enforceBudget();
+
+  for (let year = fromYear; year <= toYear && !shouldStop(); year++) {
+    const yearStartTime = Date.now();
+    logProcessStart(`Fetching filings for ${year}`);
+
+    const { filings, events } = await listReports(year);
+    // Past reports that are not PTRs are recorded without notifying anyone
+    await recordFilingEvents(events);
+    const filingIds = filings.map((filing) => filing.id);
+    const storedFilingIds = await getSettledFilingIds(
+      filingIds,
+      [FILING_OUTCOMES.PROCESSED, FILING_OUTCOMES.IN_REVIEW, FILING_OUTCOMES.REJECTED]
+    );
+    // Failed filings are retried by the monitor on their retry schedule
+    const handledFilingIds = await getSettledFilingIds(
+      filingIds,
+      Object.values(FILING_OUTCOMES).filter((outcome) => outcome !== FILING_OUTCOMES.SKIPPED)
+    );
+
+    // Queue the year's filings in filing order
+    const queue = filings.filter((filing) => !handledFilingIds.has(filing.id)).reverse();
+
+    const progress = {
+      year,
+      total: filings.length,
+      done: storedFilingIds.size,
+      failed: handledFilingIds.size - storedFilingIds.size,
+      remaining: queue.length,
+    };
+    report.push(progress);
+    logInfo(`${progress.total} filing(s), ${progress.remaining} to process`, '📄');
+
+    for (const filing of queue) {
+      if (shouldStop()) {
+        break;
+      }
+
+      logProcessStart(`Processing filing ${filing.id} from ${filing.name} (${filing.office})`);
+      const { outcome } = await processFiling(filing);
+      // Extraction was paused while the filing was processed, it stays in the queue
+      if (outcome === FILING_PAUSED) {
+        break;
+      }
+
+      progress.remaining--;
+      if (outcome === FILING_OUTCOMES.FAILED || outcome === FILING_OUTCOMES.DEAD_LETTER) {
+        progress.failed++;
+        logError(`Filing ${filing.id} processing failed`);
+      } else {
+        progress.done++;
+      }
+      onProgress({ ...progress });
+
+      if (progress.remaining > 0) {
+        await sleep(delay);
+      }
+    }
+
+    subProcessTimes[`Year ${year}`] = (Date.now() - yearStartTime) / 1000;
+    logProcessEnd(yearStartTime, `Year ${year}: ${progress.done} done, ${progress.failed} failed, ${progress.remaining} remaining`);
+  }
+
+  if (isExtractionPaused()) {
+    logWarning('Extraction paused after a quota or authentication failure, run the backfill again later to resume');
+  } else if (shouldStop()) {
+    logInfo('Backfill stopped, run it again to resume', '⏸️');
+  } else {
+    logSuccess('Backfill completed');
+  }
+
+  logSectionEnd(backfillStartTime, subProcessTimes);
+  return report;
+}
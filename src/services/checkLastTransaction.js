@@ -4,30 +4,52 @@
  * @module services/checkLastTransaction
  */
 
-import processPDFTransactionData from "../components/pdfProcessing.js";
-import { storeTransactionDataInDatabase } from "../db/db.js";
-import { getLatestTransaction } from "../utils/transaction.js";
+import processFiling, { FILING_PAUSED } from "./processFiling.js";
+import {
+  FILING_OUTCOMES,
+  hasRecordedFilings,
+  getSettledFilingIds,
+  getDueRetryFilings,
+  recordSkippedFilings,
+} from "../db/processedFilings.js";
+import { enforceBudget } from "./extractionBudget.js";
+import { isExtractionPaused, getCircuitState } from "../lib/extractors/circuitBreaker.js";
+import { EXTRACTION_ERROR_KINDS } from "../utils/errors.js";
+import { hasRecordedFilingEvents, recordFilingEvents } from "../db/filingEvents.js";
+import { listReports } from "../sources/index.js";
+import { CHAMBERS } from "../utils/transaction.js";
 import { logSection, logSectionEnd, logProcessStart, logProcessEnd, logInfo, logWarning, logError } from "../utils/logger.js";
 
-/** @type {string|null} Cache to avoid reprocessing the same PDF */
-let oldPDFUrl = null;
-
 /**
  * @typedef {Object} TransactionUpdate
- * @property {'alert'|'error'|'finished checking'} status - The status of the filing check
+ * @property {'alert'|'review'|'error'|'rate_limit'|'quota_exhausted'|'auth'|'timeout'|'server'|'bad_output'|'extraction_paused'|'budget_exceeded'|'amendment'|'filing_event'|'finished checking'} status -
+ *   The status of the filing check. Failed filings report the class of their error, or "error"
+ *   when it is unclassified. Pauses of the extraction report "budget_exceeded" when a spending
+ *   limit was reached. Amendments that replace a stored filing report "amendment", and
+ *   newly listed reports that are not PTRs "filing_event"
  * @property {string} message - A descriptive message about the update
  * @property {string} [time] - ISO timestamp of the update
  * @property {string} [pdfUrl] - URL of the processed PDF
+ * @property {boolean} [late] - Whether a transaction of the filing was reported after the STOCK Act deadline
+ * @property {string|null} [retryAt] - ISO timestamp of the next attempt of a failed filing
  * @property {Object} [transaction] - Processed filing data
+ * @property {Object} [reviewEntry] - Review queue entry of a parked filing
+ * @property {Object} [filingEvent] - Newly listed report that is not a PTR
  */
 
 /**
- * Checks for new filing data and processes any new PDFs found.
- * Maintains state between runs using oldPDFUrl to avoid reprocessing.
+ * Checks for new House and Senate filings and processes every one not seen before, then
+ * retries the failed filings that are due.
+ * Filings are processed oldest first and each one produces its own update.
+ * Filings parked for review only raise their alert once a reviewer approves them.
+ * The outcome of every filing is persisted, so a restart resumes from the
+ * recorded state instead of reprocessing or skipping filings, and scheduled
+ * retries survive restarts. While extraction is paused by the circuit breaker
+ * or the budget the filings that need an extraction provider wait for a later
+ * check, the others are still processed.
  * 
  * @async
  * @param {function(TransactionUpdate): void} transactionUpdate - Callback for status updates
- * @throws {Error} If PDF processing fails after multiple attempts
  * @returns {Promise<void>}
  */
 export default async function checkAndUpdateLatestTransactionData(
@@ -38,26 +60,70 @@ export default async function checkAndUpdateLatestTransactionData(
   
   logSection('Checking for New Filings');
 
-  if (oldPDFUrl === null) {
-    logInfo('First run - will process latest filing');
-  }
-
   const fetchStartTime = Date.now();
   const currentYear = new Date().getFullYear();
-  const latestTransactionData = await getLatestTransaction(currentYear);
-  subProcessTimes['Fetch Latest'] = (Date.now() - fetchStartTime) / 1000;
-  
-  if (!latestTransactionData) {
-    logProcessEnd(checkStartTime, 'No filings found');
-    logSectionEnd(checkStartTime, subProcessTimes);
-    return;
+  const { filings, events } = await listReports(currentYear);
+  subProcessTimes['Fetch Filings'] = (Date.now() - fetchStartTime) / 1000;
+
+  // Reports that are not PTRs are only recorded, whether or not extraction is paused
+  const eventsStartTime = Date.now();
+  await recordAndReportEvents(events, transactionUpdate);
+  subProcessTimes['Filing Events'] = (Date.now() - eventsStartTime) / 1000;
+
+  // With nothing recorded yet for a chamber only its latest filing is treated as new
+  const stateStartTime = Date.now();
+  for (const chamber of Object.values(CHAMBERS)) {
+    const chamberFilings = filings.filter((filing) => filing.chamber === chamber);
+    if (chamberFilings.length > 0 && !(await hasRecordedFilings(chamber))) {
+      logInfo(`First run for the ${chamber} - will process latest filing`);
+      await recordSkippedFilings(chamberFilings.slice(1));
+    }
+  }
+
+  // Failed filings are left to the retry schedule
+  const recordedFilingIds = await getSettledFilingIds(
+    filings.map((filing) => filing.id),
+    Object.values(FILING_OUTCOMES)
+  );
+  subProcessTimes['Load State'] = (Date.now() - stateStartTime) / 1000;
+
+  // The pause is kept in memory, so check the budget again after a restart or a new period
+  const budgetError = await enforceBudget();
+  if (budgetError) {
+    reportPause(transactionUpdate);
   }
 
-  const newPDFUrl = latestTransactionData.pdfUrl;
   logWarning('Committee membership check not yet implemented');
 
-  // if the data is the same as the old data, no need to update
-  if (oldPDFUrl === newPDFUrl) {
+  // Filings come sorted newest first, process them in filing order instead
+  const newFilings = filings
+    .filter((filing) => !recordedFilingIds.has(filing.id))
+    .reverse();
+
+  if (newFilings.length > 0) {
+    logInfo(`Found ${newFilings.length} new filing(s)`, '📄');
+  }
+
+  for (const filing of newFilings) {
+    await processAndReport(filing, transactionUpdate, subProcessTimes);
+  }
+
+  // Runs after the new filings, so a first failure with no delay is retried right away
+  const dueRetries = await getDueRetryFilings();
+  if (dueRetries.length > 0) {
+    logInfo(`Retrying ${dueRetries.length} failed filing(s)`, '🔄');
+  }
+
+  for (const filing of dueRetries) {
+    await processAndReport(filing, transactionUpdate, subProcessTimes);
+  }
+
+  if (isExtractionPaused()) {
+    logWarning(`Extraction paused until ${getCircuitState().retryAt.toISOString()}, filings that need the extraction service wait for a later check`);
+  }
+
+  // if every filing was already processed, no need to update
+  if (newFilings.length === 0 && dueRetries.length === 0 && !isExtractionPaused()) {
     logProcessEnd(checkStartTime, 'No new filings found');
     transactionUpdate({
       status: "finished checking",
@@ -68,40 +134,135 @@ export default async function checkAndUpdateLatestTransactionData(
     return;
   }
 
-  // New filing detected, start processing
-  logProcessStart(`Processing filing from ${latestTransactionData.name} (${latestTransactionData.office})`);
+  logProcessEnd(checkStartTime, 'Filing check completed');
+  logSectionEnd(checkStartTime, subProcessTimes);
+}
+
+/**
+ * Records the listed reports that are not PTRs and reports the new ones.
+ * With nothing recorded yet for a chamber its events are recorded without
+ * being reported, as they were filed before monitoring started.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").FilingEvent[]} events - Events listed by the sources
+ * @param {function(TransactionUpdate): void} transactionUpdate - Callback for status updates
+ * @returns {Promise<void>}
+ */
+async function recordAndReportEvents(events, transactionUpdate) {
+  const silentChambers = new Set();
+  for (const chamber of new Set(events.map((event) => event.chamber))) {
+    if (!(await hasRecordedFilingEvents(chamber))) {
+      silentChambers.add(chamber);
+    }
+  }
+
+  const newEvents = await recordFilingEvents(events);
+  const reportedEvents = newEvents.filter((event) => !silentChambers.has(event.chamber));
+  if (reportedEvents.length > 0) {
+    logInfo(`Found ${reportedEvents.length} new filing event(s)`, '🗂️');
+  }
+
+  for (const event of reportedEvents) {
+    transactionUpdate({
+      status: "filing_event",
+      message: `${event.name} filed a ${event.filingType} report.`,
+      time: new Date().toISOString(),
+      pdfUrl: event.documentUrl,
+      filingEvent: event
+    });
+  }
+}
+
+/**
+ * Processes a filing and reports its outcome through the update callback.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata
+ * @param {function(TransactionUpdate): void} transactionUpdate - Callback for status updates
+ * @param {Object<string, number>} subProcessTimes - Processing times by step
+ * @returns {Promise<void>}
+ */
+async function processAndReport(filing, transactionUpdate, subProcessTimes) {
+  logProcessStart(`Processing filing ${filing.id} from ${filing.name} (${filing.office})`);
 
+  const wasPaused = isExtractionPaused();
   const processingStartTime = Date.now();
-  const detailedTransactionData = await processPDFTransactionData({
-    pdfUrl: newPDFUrl,
-    name: latestTransactionData.name,
-    office: latestTransactionData.office
-  });
-  subProcessTimes['PDF Processing'] = (Date.now() - processingStartTime) / 1000;
+  const { outcome, document, retryAt, errorKind } = await processFiling(filing);
+  subProcessTimes[`PDF ${filing.id}`] = (Date.now() - processingStartTime) / 1000;
 
-  if (detailedTransactionData === null) {
-    logError('Filing processing failed');
-    logError('Multiple processing attempts failed');
+  // The pause was already reported, the filing is picked up again by a later check
+  if (outcome === FILING_PAUSED) {
+    return;
+  }
+
+  if (outcome === FILING_OUTCOMES.FAILED || outcome === FILING_OUTCOMES.DEAD_LETTER) {
+    const nextStep = outcome === FILING_OUTCOMES.DEAD_LETTER
+      ? "Retries exhausted, the filing was dead-lettered."
+      : `Retrying at ${retryAt.toISOString()}.`;
+
+    logError(`Filing ${filing.id} processing failed. ${nextStep}`);
     logError('Check logs for detailed error information');
-    
+
     transactionUpdate({
-      status: "error",
-      message: "Error processing filing data correctly after multiple attempts.",
+      status: errorKind || "error",
+      message: `Error processing filing ${filing.id} from ${filing.name}. ${nextStep}`,
+      time: new Date().toISOString(),
+      pdfUrl: filing.pdfUrl,
+      retryAt: retryAt ? retryAt.toISOString() : null,
     });
-    throw new Error("After multiple attempts, could not process filing data.");
+
+    // This failure paused extraction
+    if (!wasPaused && isExtractionPaused()) {
+      reportPause(transactionUpdate);
+    }
+    return;
   }
 
-  const notifyStartTime = Date.now();
+  if (outcome === FILING_OUTCOMES.IN_REVIEW) {
+    transactionUpdate({
+      status: "review",
+      message: `Filing ${filing.id} from ${filing.name} needs a review.`,
+      time: new Date().toISOString(),
+      pdfUrl: filing.pdfUrl,
+      reviewEntry: document
+    });
+  } else if (document.amends) {
+    transactionUpdate({
+      status: "amendment",
+      message: `Filing ${filing.id} from ${filing.name} amends filing ${document.amends}.`,
+      time: new Date().toISOString(),
+      pdfUrl: filing.pdfUrl,
+      late: Boolean(document.late),
+      transaction: document
+    });
+  } else {
+    transactionUpdate({
+      status: "alert",
+      message: "New filing data found!",
+      time: new Date().toISOString(),
+      pdfUrl: filing.pdfUrl,
+      late: Boolean(document.late),
+      transaction: document
+    });
+  }
+
+  // The cost of this filing reached the budget
+  if (!wasPaused && isExtractionPaused()) {
+    reportPause(transactionUpdate);
+  }
+}
+
+/**
+ * Reports that extraction was paused, by the budget or by a failure.
+ * 
+ * @param {function(TransactionUpdate): void} transactionUpdate - Callback for status updates
+ */
+function reportPause(transactionUpdate) {
+  const circuit = getCircuitState();
   transactionUpdate({
-    status: "alert",
-    message: "New filing data found!",
+    status: circuit.kind === EXTRACTION_ERROR_KINDS.BUDGET_EXCEEDED ? "budget_exceeded" : "extraction_paused",
+    message: `Extraction paused until ${circuit.retryAt.toISOString()}: ${circuit.reason}`,
     time: new Date().toISOString(),
-    pdfUrl: newPDFUrl,
-    transaction: detailedTransactionData
+    retryAt: circuit.retryAt.toISOString(),
   });
-  subProcessTimes['Notify Clients'] = (Date.now() - notifyStartTime) / 1000;
-
-  oldPDFUrl = newPDFUrl;
-  logProcessEnd(checkStartTime, 'Filing check completed');
-  logSectionEnd(checkStartTime, subProcessTimes);
 }
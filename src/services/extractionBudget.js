@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Service to account for metered extraction spending.
+ * Records the token usage and cost of every billed extraction call and
+ * pauses extraction through the circuit breaker once the daily or monthly
+ * budget is reached.
+ * @module services/extractionBudget
+ */
+
+import { recordExtractionCost, getCostTotals, getSpent } from "../db/extractionCosts.js";
+import { openCircuit, getCircuitState, isExtractionPaused } from "../lib/extractors/circuitBreaker.js";
+import { CONFIG } from "../utils/config.js";
+import { BudgetExceededError, EXTRACTION_ERROR_KINDS } from "../utils/errors.js";
+import { logWarning } from "../utils/logger.js";
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {number|null} limit - Budget of the period in USD, null for no limit
+ * @property {number} spent - USD spent in the period
+ * @property {number|null} remaining - USD left in the period, null for no limit
+ * @property {Date} resetsAt - Start of the next period
+ */
+
+/**
+ * Returns the UTC day and month keys of a time and the starts of the next ones.
+ * 
+ * @param {Date} now - Reference time
+ * @returns {{day: string, month: string, nextDay: Date, nextMonth: Date}} Period keys and boundaries
+ */
+function getPeriods(now) {
+  const day = now.toISOString().slice(0, 10);
+  return {
+    day,
+    month: day.slice(0, 7),
+    nextDay: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+    nextMonth: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+  };
+}
+
+/**
+ * Records the usage of a metered extraction call.
+ * Accounting problems are logged and do not fail the filing.
+ * 
+ * @async
+ * @param {Object} call - The call to record
+ * @param {string} [call.filingId] - House filing ID
+ * @param {import("../lib/extractors/index.js").ExtractionProvider} call.provider - Provider that made the call
+ * @param {'primary'|'consensus'} call.purpose - Which extraction of the filing the call was
+ * @param {{model?: string, usage?: Object, cost?: number|null}} call.details - Extraction
+ *   metadata, or the error of a failed call carrying the model, usage and cost
+ * @param {boolean} [call.failed=false] - Whether the call produced no usable data
+ * @returns {Promise<void>}
+ */
+export async function recordExtractionUsage({ filingId, provider, purpose, details, failed = false }) {
+  if (!provider.metered || !details?.usage) {
+    return;
+  }
+
+  try {
+    await recordExtractionCost({
+      filingId,
+      provider: provider.name,
+      purpose,
+      model: details.model,
+      usage: details.usage,
+      cost: details.cost,
+      failed,
+    });
+  } catch (error) {
+    logWarning(`Failed to record the extraction cost of filing ${filingId}: ${error.message}`);
+  }
+}
+
+/**
+ * Compares the spending of the current day and month with the budget.
+ * 
+ * @async
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{daily: BudgetStatus, monthly: BudgetStatus}>} Budget status per period
+ */
+export async function getBudgetStatus(now = new Date()) {
+  const { day, month, nextDay, nextMonth } = getPeriods(now);
+  const [spentToday, spentThisMonth] = await Promise.all([getSpent({ day }), getSpent({ month })]);
+
+  const toStatus = (limit, spent, resetsAt) => ({
+    limit,
+    spent,
+    remaining: limit === null ? null : Math.max(0, limit - spent),
+    resetsAt,
+  });
+
+  return {
+    daily: toStatus(CONFIG.budget.daily, spentToday, nextDay),
+    monthly: toStatus(CONFIG.budget.monthly, spentThisMonth, nextMonth),
+  };
+}
+
+/**
+ * Pauses extraction until the next budget period when a budget is reached.
+ * The monthly budget wins when both are, as it pauses for longer.
+ * 
+ * @async
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<BudgetExceededError|null>} The error that paused extraction,
+ *   or null if no budget is reached or extraction was already paused
+ */
+export async function enforceBudget(now = new Date()) {
+  if ((CONFIG.budget.daily === null && CONFIG.budget.monthly === null) || isExtractionPaused(now)) {
+    return null;
+  }
+
+  const budget = await getBudgetStatus(now);
+  const period = ["monthly", "daily"].find((name) => budget[name].remaining === 0);
+  if (!period) {
+    return null;
+  }
+
+  const { limit, spent, resetsAt } = budget[period];
+  const error = new BudgetExceededError(period, limit, spent, resetsAt);
+  openCircuit(error);
+  return error;
+}
+
+/**
+ * Totals the spending of metered extraction for today, this month and overall,
+ * with the budget status and whether extraction is paused by the budget.
+ * 
+ * @async
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} The cost report
+ */
+export async function getCostReport(now = new Date()) {
+  const { day, month } = getPeriods(now);
+  const [today, thisMonth, allTime, budget] = await Promise.all([
+    getCostTotals({ day }),
+    getCostTotals({ month }),
+    getCostTotals(),
+    getBudgetStatus(now),
+  ]);
+
+  const circuit = getCircuitState();
+  return {
+    currency: "USD",
+    today: { day, ...today },
+    month: { month, ...thisMonth },
+    total: allTime,
+    budget,
+    paused: isExtractionPaused(now) && circuit.kind === EXTRACTION_ERROR_KINDS.BUDGET_EXCEEDED
+      ? { reason: circuit.reason, until: circuit.retryAt }
+      : null,
+  };
+}
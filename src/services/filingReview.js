@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Service to review parked filings.
+ * Applies reviewer edits to the extracted data, and approves or rejects
+ * filings, keeping an audit trail of every step.
+ * @module services/filingReview
+ */
+
+import { storeFilingVersion } from "./filingVersions.js";
+import { FILING_OUTCOMES, recordFilingOutcome } from "../db/processedFilings.js";
+import {
+  REVIEW_STATUSES,
+  findReviewEntry,
+  reopenReviewEntry,
+  updatePendingReviewEntry,
+} from "../db/reviewQueue.js";
+import { normalizeTransactionData } from "../components/dataNormalization.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  NormalizationError,
+} from "../utils/errors.js";
+import { logInfo, logSuccess } from "../utils/logger.js";
+
+/** Matches the editable fields of the filing information */
+const FILING_INFORMATION_FIELD_PATTERN = /^Filing_Information\.(Name|Status|State_District|Filing_Date)$/;
+
+/** Matches the editable fields of a transaction row */
+const TRANSACTION_FIELD_PATTERN = /^Transactions\.(\d+)\.(ID_Owner|Asset|Transaction_Type|Date|Amount)$/;
+
+/**
+ * @typedef {Object} ReviewerInput
+ * @property {string} reviewer - Who performs the action
+ * @property {string} [note] - Reviewer's note
+ */
+
+/**
+ * Reads the reviewer and note of a request.
+ * 
+ * @param {ReviewerInput} input - Request body
+ * @returns {{reviewer: string, note?: string}} The reviewer and the note, if given
+ * @throws {BadRequestError} If the reviewer is missing or the note is not text
+ */
+function parseReviewer({ reviewer, note } = {}) {
+  if (typeof reviewer !== "string" || reviewer.trim() === "") {
+    throw new BadRequestError("Missing reviewer");
+  }
+  if (note !== undefined && typeof note !== "string") {
+    throw new BadRequestError("Invalid note, expected text");
+  }
+  return note ? { reviewer: reviewer.trim(), note } : { reviewer: reviewer.trim() };
+}
+
+/**
+ * Loads the review entry of a filing, making sure it is still pending.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @returns {Promise<import("../db/reviewQueue.js").ReviewEntry>} The pending entry
+ * @throws {NotFoundError} If the filing was never queued
+ * @throws {ConflictError} If the filing was already approved or rejected
+ */
+async function getPendingEntry(filingId) {
+  const entry = await findReviewEntry(filingId);
+  if (!entry) {
+    throw new NotFoundError(`Filing ${filingId} is not in the review queue`);
+  }
+  if (entry.status !== REVIEW_STATUSES.PENDING) {
+    throw new ConflictError(`Filing ${filingId} was already ${entry.status}`);
+  }
+  return entry;
+}
+
+/**
+ * Checks a set of field edits against the extracted data.
+ * 
+ * @param {import("../db/db.js").TransactionData} data - Extracted data of the entry
+ * @param {Object<string, string>} changes - New values by field path, such as "Transactions.0.Amount"
+ * @returns {{field: string, from: *, to: string}[]} The changes with their previous values
+ * @throws {BadRequestError} If a path is not editable or a value is invalid
+ */
+function parseChanges(data, changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new BadRequestError("Missing changes, expected an object of field paths and values");
+  }
+
+  return Object.entries(changes).map(([field, value]) => {
+    if (typeof value !== "string") {
+      throw new BadRequestError(`Invalid value for ${field}, expected text`);
+    }
+
+    const filingInformationMatch = field.match(FILING_INFORMATION_FIELD_PATTERN);
+    if (filingInformationMatch) {
+      return { field, from: data.Filing_Information?.[filingInformationMatch[1]], to: value };
+    }
+
+    const transactionMatch = field.match(TRANSACTION_FIELD_PATTERN);
+    if (!transactionMatch) {
+      throw new BadRequestError(`Field ${field} cannot be edited`);
+    }
+
+    const [, row, name] = transactionMatch;
+    const transaction = data.Transactions[Number(row)];
+    if (!transaction) {
+      throw new BadRequestError(`Invalid ${field}, the filing has ${data.Transactions.length} transaction(s)`);
+    }
+    if (name === "Date" && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new BadRequestError(`Invalid ${field}, expected a YYYY-MM-DD date`);
+    }
+
+    return { field, from: transaction[name], to: value };
+  });
+}
+
+/**
+ * Edits fields of the extracted data of a pending filing.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @param {ReviewerInput & {changes: Object<string, string>}} input - Reviewer and new values by field path
+ * @returns {Promise<import("../db/reviewQueue.js").ReviewEntry>} The updated entry
+ * @throws {BadRequestError|NotFoundError|ConflictError} If the edit cannot be applied
+ */
+export async function editReviewEntry(filingId, input = {}) {
+  const { reviewer, note } = parseReviewer(input);
+  const entry = await getPendingEntry(filingId);
+  const changes = parseChanges(entry.data, input.changes);
+
+  const now = new Date();
+  const updated = await updatePendingReviewEntry(filingId, {
+    $set: {
+      ...Object.fromEntries(changes.map(({ field, to }) => [`data.${field}`, to])),
+      updatedAt: now,
+    },
+    $push: { history: { action: "edited", at: now, reviewer, changes, ...(note && { note }) } },
+  });
+
+  if (!updated) {
+    throw new ConflictError(`Filing ${filingId} is no longer pending`);
+  }
+
+  logInfo(`${reviewer} edited ${changes.length} field(s) of filing ${filingId}`, '✏️');
+  return updated;
+}
+
+/**
+ * Approves a pending filing and stores its corrected data with the audit trail.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @param {ReviewerInput} input - Reviewer and note
+ * @returns {Promise<import("../db/db.js").FilingDocument>} The stored filing
+ * @throws {BadRequestError} If rows still cannot be normalized
+ * @throws {NotFoundError|ConflictError} If the filing is not pending review
+ */
+export async function approveReviewEntry(filingId, input) {
+  const { reviewer, note } = parseReviewer(input);
+  const entry = await getPendingEntry(filingId);
+
+  let data;
+  try {
+    data = normalizeTransactionData(entry.data);
+  } catch (error) {
+    if (error instanceof NormalizationError) {
+      throw new BadRequestError(`${error.message}, edit the rows before approving`);
+    }
+    throw error;
+  }
+
+  const now = new Date();
+  const event = { action: "approved", at: now, reviewer, ...(note && { note }) };
+  const filing = {
+    id: entry.filingId,
+    chamber: entry.chamber,
+    format: entry.format,
+    filingDate: entry.filingDate,
+    isAmendment: entry.isAmendment,
+    politicianId: entry.politicianId,
+    pdfUrl: entry.pdfUrl,
+    name: entry.name,
+    office: entry.office,
+    filingYear: entry.filingYear,
+  };
+
+  // Claim the entry before storing, so concurrent approvals store the filing once
+  const claimed = await updatePendingReviewEntry(filingId, {
+    $set: { status: REVIEW_STATUSES.APPROVED, updatedAt: now },
+    $push: { history: event },
+  });
+  if (!claimed) {
+    throw new ConflictError(`Filing ${filingId} is no longer pending`);
+  }
+
+  let storedFiling;
+  try {
+    storedFiling = await storeFilingVersion(filing, {
+      ...data,
+      sourceType: entry.sourceType,
+      extraction: entry.extraction,
+      consensus: entry.consensus,
+      review: {
+        reviewer,
+        approvedAt: now,
+        reasons: entry.reasons,
+        history: claimed.history,
+      },
+    });
+  } catch (error) {
+    // Hand the entry back to the queue, so the approval can be tried again
+    await reopenReviewEntry(filingId, event);
+    throw error;
+  }
+  await recordFilingOutcome(filing, FILING_OUTCOMES.PROCESSED);
+
+  logSuccess(`${reviewer} approved filing ${filingId}`);
+  return storedFiling;
+}
+
+/**
+ * Rejects a pending filing, so it is neither stored nor processed again.
+ * 
+ * @async
+ * @param {string} filingId - House filing ID
+ * @param {ReviewerInput} input - Reviewer and note
+ * @returns {Promise<import("../db/reviewQueue.js").ReviewEntry>} The rejected entry
+ * @throws {NotFoundError|ConflictError} If the filing is not pending review
+ */
+export async function rejectReviewEntry(filingId, input) {
+  const { reviewer, note } = parseReviewer(input);
+  const entry = await getPendingEntry(filingId);
+
+  const now = new Date();
+  const updated = await updatePendingReviewEntry(filingId, {
+    $set: { status: REVIEW_STATUSES.REJECTED, updatedAt: now },
+    $push: { history: { action: "rejected", at: now, reviewer, ...(note && { note }) } },
+  });
+
+  if (!updated) {
+    throw new ConflictError(`Filing ${filingId} is no longer pending`);
+  }
+
+  await recordFilingOutcome(
+    {
+      id: entry.filingId,
+      chamber: entry.chamber,
+      format: entry.format,
+      filingDate: entry.filingDate,
+      isAmendment: entry.isAmendment,
+      pdfUrl: entry.pdfUrl,
+      name: entry.name,
+      office: entry.office,
+      filingYear: entry.filingYear,
+    },
+    FILING_OUTCOMES.REJECTED,
+    note ? new Error(note) : null
+  );
+
+  logInfo(`${reviewer} rejected filing ${filingId}`, '🚫');
+  return updated;
+}
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Service to store filings as versions.
+ * Original filings are stored as their first version. Amendments are linked
+ * to the filing they amend and stored as its next version with the changes,
+ * superseding the version they replace.
+ * @module services/filingVersions
+ */
+
+import { storeTransactionDataInDatabase, supersedeFiling } from "../db/db.js";
+import { findAmendmentCandidates } from "../db/filingQueries.js";
+import { carryReportedDates, diffFilings, findAmendedFiling } from "../components/amendments.js";
+import { logInfo, logWarning } from "../utils/logger.js";
+
+/**
+ * Stores a processed filing. An amendment that matches an earlier filing of
+ * the member becomes the latest version of that filing. An amendment that
+ * matches none is stored as a first version. The transactions an amendment
+ * carries over are checked against the deadline from the date they were
+ * first reported, not from the amendment's date.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata from the website
+ * @param {import("../db/db.js").TransactionData} transactionData - Data to store, see storeTransactionDataInDatabase
+ * @returns {Promise<import("../db/db.js").FilingDocument>} The stored document, whose amends
+ *   field is set when it replaced an earlier version
+ */
+export async function storeFilingVersion(filing, transactionData) {
+  if (!filing.isAmendment) {
+    return storeTransactionDataInDatabase(filing, transactionData);
+  }
+
+  const match = findAmendedFiling(await findAmendmentCandidates(filing), transactionData);
+  if (!match) {
+    logWarning(`Amendment ${filing.id} shares no transaction with an earlier filing of ${filing.name}, storing it as a new filing`);
+    return storeTransactionDataInDatabase(filing, transactionData);
+  }
+
+  const { filing: previous, overlap } = match;
+  const diff = diffFilings(previous, transactionData);
+  const transactions = carryReportedDates(previous, transactionData);
+  const document = await storeTransactionDataInDatabase(filing, { ...transactionData, Transactions: transactions }, {
+    version: (previous.version || 1) + 1,
+    originalFilingId: previous.originalFilingId || previous.filingId,
+    amends: previous.filingId,
+    diff,
+  });
+  await supersedeFiling(previous.filingId, filing.id);
+
+  logInfo(`Amendment ${filing.id} replaces filing ${previous.filingId} (${overlap} shared transaction(s), ${diff.length} change(s))`, '📑');
+  return document;
+}
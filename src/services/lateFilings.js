@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Service to report late PTRs per politician.
+ * Summarizes the current versions of the filings the STOCK Act deadline
+ * check marked late, per member.
+ * @module services/lateFilings
+ */
+
+import {
+  findPoliticianFilings,
+  findLateFilings,
+  countCheckedFilings,
+} from "../db/filingQueries.js";
+import { checkFilingDeadline } from "../components/filingDeadline.js";
+import { BadRequestError } from "../utils/errors.js";
+import { CHAMBERS } from "../utils/transaction.js";
+
+/**
+ * @typedef {Object} LateTransaction
+ * @property {string} Asset - Asset name/description
+ * @property {string} Date - Transaction date
+ * @property {string} reportedDate - Date the transaction was first reported, earlier than
+ *   the filing date for the rows an amendment carried over
+ * @property {number} daysToFile - Days from the transaction to the filing
+ * @property {number} daysLate - Days past the deadline
+ */
+
+/**
+ * @typedef {Object} LateFiling
+ * @property {string} filingId - House or Senate filing ID
+ * @property {string} pdfUrl - URL of the filing
+ * @property {string} filingDate - Date the filing was made
+ * @property {number} lateTransactionCount - Number of transactions reported late
+ * @property {number} maxDaysLate - Most days past the deadline among the transactions
+ * @property {LateTransaction[]} transactions - Transactions reported late
+ */
+
+/**
+ * @typedef {Object} LateFilingReport
+ * @property {string} politicianId - Stable politician identifier
+ * @property {string} name - Politician's name as listed on the website
+ * @property {import("../utils/transaction.js").CHAMBERS} chamber - Chamber of the member's latest filing
+ * @property {number} checkedFilingCount - Number of filings with a known filing date
+ * @property {number} lateFilingCount - Number of filings with a late transaction
+ * @property {number} lateTransactionCount - Number of transactions reported late
+ * @property {number} maxDaysLate - Most days past the deadline among the member's transactions
+ * @property {LateFiling[]} lateFilings - Late filings, most recent first
+ */
+
+/**
+ * Lists a late filing with its late transactions.
+ * 
+ * @param {Object} filing - Filing with its deadline fields
+ * @returns {LateFiling} The late filing
+ */
+function toLateFiling(filing) {
+  return {
+    filingId: filing.filingId,
+    pdfUrl: filing.pdfUrl,
+    filingDate: filing.filingDate,
+    lateTransactionCount: filing.lateTransactionCount,
+    maxDaysLate: filing.maxDaysLate,
+    transactions: (filing.Transactions || [])
+      .filter((transaction) => transaction.late)
+      .map(({ Asset, Date, reportedDate, daysToFile, daysLate }) =>
+        ({ Asset, Date, reportedDate: reportedDate || filing.filingDate, daysToFile, daysLate })),
+  };
+}
+
+/**
+ * Summarizes the late filings of one politician into their report.
+ * 
+ * @param {Object} latestFiling - Latest filing of the politician, for the name and chamber
+ * @param {LateFiling[]} lateFilings - Late filings, most recent first
+ * @param {number} checkedFilingCount - Number of filings with a known filing date
+ * @returns {LateFilingReport} The report
+ */
+function summarizeLateFilings(latestFiling, lateFilings, checkedFilingCount) {
+  return {
+    politicianId: latestFiling.politicianId,
+    name: latestFiling.name,
+    chamber: latestFiling.chamber || CHAMBERS.HOUSE,
+    checkedFilingCount,
+    lateFilingCount: lateFilings.length,
+    lateTransactionCount: lateFilings.reduce((sum, filing) => sum + filing.lateTransactionCount, 0),
+    maxDaysLate: lateFilings.reduce((max, filing) => Math.max(max, filing.maxDaysLate), 0),
+    lateFilings,
+  };
+}
+
+/**
+ * Builds the late filing report of one politician from their filings.
+ * 
+ * @param {Object[]} filings - Filings of a single politician
+ * @returns {LateFilingReport} The report, with no late filings if every filing was in time
+ */
+export function buildLateFilingReport(filings) {
+  const lateFilings = [];
+  let checkedFilingCount = 0;
+
+  for (const filing of filings) {
+    // Filings stored before the deadline check are checked on the fly
+    const deadline = checkFilingDeadline(filing.Transactions, filing.filingDate || null);
+    if (deadline.late === null) {
+      continue;
+    }
+    checkedFilingCount++;
+
+    if (deadline.late) {
+      lateFilings.push(toLateFiling({ ...filing, ...deadline }));
+    }
+  }
+
+  const latestFiling = filings.reduce((latest, filing) =>
+    (filing.filingDate || "") > (latest.filingDate || "") ? filing : latest
+  );
+  lateFilings.sort((a, b) => b.filingDate.localeCompare(a.filingDate));
+
+  return summarizeLateFilings(latestFiling, lateFilings, checkedFilingCount);
+}
+
+/**
+ * Builds the late filing reports of every politician with a late filing.
+ * Only the filings stored as late are read, so filings stored before the
+ * deadline check are left out. Reports are sorted by their number of late
+ * filings, then by their days late.
+ * 
+ * @async
+ * @param {Object} query - Query parameters
+ * @param {string} [query.chamber] - house or senate
+ * @returns {Promise<LateFilingReport[]>} The reports
+ * @throws {BadRequestError} If a parameter is invalid
+ */
+export async function getLateFilingReports(query) {
+  const { chamber } = query;
+  if (chamber !== undefined && !Object.values(CHAMBERS).includes(chamber)) {
+    throw new BadRequestError(
+      `Invalid chamber, expected one of: ${Object.values(CHAMBERS).join(", ")}`
+    );
+  }
+
+  // Most recent first, so the first filing of each member names the report
+  const filings = await findLateFilings(chamber);
+
+  const filingsByPolitician = new Map();
+  for (const filing of filings) {
+    const politicianFilings = filingsByPolitician.get(filing.politicianId) || [];
+    politicianFilings.push(filing);
+    filingsByPolitician.set(filing.politicianId, politicianFilings);
+  }
+
+  const checkedFilingCounts = await countCheckedFilings([...filingsByPolitician.keys()], chamber);
+
+  return [...filingsByPolitician.entries()]
+    .map(([politicianId, politicianFilings]) => summarizeLateFilings(
+      politicianFilings[0],
+      politicianFilings.map(toLateFiling),
+      checkedFilingCounts.get(politicianId)
+    ))
+    .sort((a, b) => b.lateFilingCount - a.lateFilingCount || b.maxDaysLate - a.maxDaysLate);
+}
+
+/**
+ * Builds the late filing report of a single politician.
+ * 
+ * @async
+ * @param {string} politicianId - Stable politician identifier
+ * @returns {Promise<LateFilingReport|null>} The report or null without stored filings
+ */
+export async function getLateFilingReport(politicianId) {
+  const filings = await findPoliticianFilings(politicianId);
+  return filings.length > 0 ? buildLateFilingReport(filings) : null;
+}
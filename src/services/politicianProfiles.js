@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Service to aggregate stored filings into politician profiles.
+ * Summarizes each member's offices, filing history and trading activity.
+ * @module services/politicianProfiles
+ */
+
+import {
+  findPoliticianSummaries,
+  findPoliticianSummary,
+  findPoliticianTradeStats,
+} from "../db/filingQueries.js";
+
+/**
+ * @typedef {Object} VolumeEstimate
+ * @property {number} min - Sum of the lower bounds of the amount ranges
+ * @property {number} max - Sum of the upper bounds, open ranges count their lower bound
+ * @property {number} estimate - Sum of the range midpoints
+ */
+
+/**
+ * @typedef {Object} PoliticianProfile
+ * @property {string} politicianId - Stable politician identifier
+ * @property {string} name - Politician's name as listed on the website
+ * @property {string[]} offices - Offices the member filed from
+ * @property {number} filingCount - Number of stored filings
+ * @property {string|null} firstFilingDate - Date of the earliest filing
+ * @property {string|null} lastFilingDate - Date of the latest filing
+ * @property {{asset: string, count: number}[]} mostTradedAssets - Tickers, or issuers without
+ *   a ticker, with the most transactions
+ * @property {{buy: VolumeEstimate, sell: VolumeEstimate}} estimatedVolume - Volume from the amount ranges
+ */
+
+/**
+ * Completes filing summaries with the trading activity of their politicians.
+ * 
+ * @async
+ * @param {Object[]} summaries - Filing summaries from the database
+ * @returns {Promise<PoliticianProfile[]>} The profiles, in the order of the summaries
+ */
+async function toProfiles(summaries) {
+  if (summaries.length === 0) {
+    return [];
+  }
+
+  const { assets, volume } = await findPoliticianTradeStats(
+    summaries.map((summary) => summary.politicianId)
+  );
+
+  return summaries.map((summary) => {
+    const estimatedVolume = {
+      buy: { min: 0, max: 0, estimate: 0 },
+      sell: { min: 0, max: 0, estimate: 0 },
+    };
+    for (const { politicianId, side, min, max, estimate } of volume) {
+      if (politicianId === summary.politicianId) {
+        estimatedVolume[side] = { min, max, estimate };
+      }
+    }
+
+    return {
+      ...summary,
+      mostTradedAssets: assets.find((entry) => entry.politicianId === summary.politicianId)
+        ?.mostTradedAssets || [],
+      estimatedVolume,
+    };
+  });
+}
+
+/**
+ * Builds the profiles of the politicians with stored filings, one page at a time.
+ * 
+ * @async
+ * @param {Object} query - Query parameters
+ * @param {string} [query.sort] - lastFilingDate (default, descending), name or filingCount
+ * @param {string} [query.cursor] - Cursor returned with the previous page
+ * @param {string} [query.limit] - Page size
+ * @returns {Promise<{data: PoliticianProfile[], nextCursor: string|null}>} A page of profiles
+ * @throws {import("../utils/errors.js").BadRequestError} If a parameter is invalid
+ */
+export async function getPoliticianProfiles(query) {
+  const { data, nextCursor } = await findPoliticianSummaries(query);
+  return { data: await toProfiles(data), nextCursor };
+}
+
+/**
+ * Builds the profile of a single politician.
+ * 
+ * @async
+ * @param {string} politicianId - Stable politician identifier
+ * @returns {Promise<PoliticianProfile|null>} The profile or null without stored filings
+ */
+export async function getPoliticianProfile(politicianId) {
+  const summary = await findPoliticianSummary(politicianId);
+  if (!summary) {
+    return null;
+  }
+
+  const [profile] = await toProfiles([summary]);
+  return profile;
+}
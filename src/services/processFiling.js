@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Service to process a single filing end to end.
+ * Shared by the live monitor and the historical backfill.
+ * @module services/processFiling
+ */
+
+import processPDFTransactionData from "../components/pdfProcessing.js";
+import { FILING_OUTCOMES, recordFilingOutcome } from "../db/processedFilings.js";
+import { queueFilingForReview } from "../db/reviewQueue.js";
+import { tripsCircuit, openCircuit, recordProviderSuccess } from "../lib/extractors/circuitBreaker.js";
+import { enforceBudget } from "./extractionBudget.js";
+import { storeFilingVersion } from "./filingVersions.js";
+import { ExtractionPausedError } from "../utils/errors.js";
+import { logError, logInfo, logWarning } from "../utils/logger.js";
+
+/** Result of a filing that waits for extraction to resume, nothing is recorded for it */
+export const FILING_PAUSED = "paused";
+
+/**
+ * @typedef {Object} FilingResult
+ * @property {FILING_OUTCOMES|FILING_PAUSED} outcome - processed, in_review, failed or dead_letter,
+ *   or paused when the filing needs an extraction provider while extraction is paused
+ * @property {import("../db/db.js").FilingDocument|import("../db/reviewQueue.js").ReviewEntry|null} document -
+ *   The stored filing, the review entry of a parked filing, or null on failure
+ * @property {Date|null} [retryAt] - When a failed filing is retried, or a paused one can be
+ * @property {string|null} [errorKind] - Class of the error of a failed filing
+ */
+
+/**
+ * Runs a filing through PDF processing and records the outcome.
+ * Filings extracted with low confidence are parked in the review queue
+ * instead of being stored. Failed filings are scheduled for a retry, or
+ * dead-lettered once their retries are exhausted. Extraction is paused once
+ * the spending of the filing reaches the budget. A filing that needs an
+ * extraction provider during a pause is left unrecorded, so it is picked up
+ * again by a later check.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata
+ * @returns {Promise<FilingResult>} The outcome with the stored filing or review entry
+ */
+export default async function processFiling(filing) {
+  let data;
+  try {
+    data = await processPDFTransactionData({
+      filingId: filing.id,
+      pdfUrl: filing.pdfUrl,
+      name: filing.name,
+      office: filing.office,
+      chamber: filing.chamber,
+      format: filing.format,
+      filingDate: filing.filingDate
+    });
+  } catch (error) {
+    if (error instanceof ExtractionPausedError) {
+      logInfo(`Filing ${filing.id} waits for extraction to resume at ${error.retryAt.toISOString()}`, '⏸️');
+      return { outcome: FILING_PAUSED, document: null, retryAt: error.retryAt };
+    }
+    return recordFailure(filing, error);
+  }
+
+  // A successful call to the provider the pause holds proves it works again
+  if (data.calledProvider) {
+    recordProviderSuccess(data.calledProvider);
+    await enforceBudget();
+  }
+
+  const needsReview = data.reviewReasons.length > 0;
+
+  let document;
+  try {
+    document = needsReview
+      ? await queueFilingForReview(filing, data)
+      : await storeFilingVersion(filing, data);
+  } catch (error) {
+    logError(`Failed to store filing ${filing.id}`, error);
+    return recordFailure(filing, error);
+  }
+
+  if (needsReview) {
+    logWarning(`Filing ${filing.id} parked for review: ${data.reviewReasons.map((reason) => reason.message).join("; ")}`);
+    await recordFilingOutcome(filing, FILING_OUTCOMES.IN_REVIEW);
+    return { outcome: FILING_OUTCOMES.IN_REVIEW, document };
+  }
+
+  await recordFilingOutcome(filing, FILING_OUTCOMES.PROCESSED);
+  return { outcome: FILING_OUTCOMES.PROCESSED, document };
+}
+
+/**
+ * Records a failed attempt, which schedules the retry of the filing.
+ * Quota and authentication failures also pause extraction, as does reaching
+ * the budget with the cost of the failed calls.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing metadata
+ * @param {Error} error - Error of the attempt
+ * @returns {Promise<FilingResult>} The failed or dead-lettered outcome
+ */
+async function recordFailure(filing, error) {
+  if (tripsCircuit(error)) {
+    openCircuit(error);
+  } else {
+    await enforceBudget();
+  }
+
+  const record = await recordFilingOutcome(filing, FILING_OUTCOMES.FAILED, error);
+  return {
+    outcome: record.outcome,
+    document: null,
+    retryAt: record.nextRunAt || null,
+    errorKind: record.errorKind,
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview House Clerk disclosure source.
+ * Lists the Periodic Transaction Reports of the House disclosure website and
+ * downloads their PDFs.
+ * @module sources/house
+ */
+
+import { JSDOM } from "jsdom";
+import { downloadPDF } from "../utils/pdf.js";
+import { CHAMBERS, getFilingEventType, getPoliticianId } from "../utils/transaction.js";
+
+/** House disclosure website */
+const HOUSE_BASE_URL = "https://disclosures-clerk.house.gov";
+
+/**
+ * Fetches raw HTML data from the House disclosure website.
+ * 
+ * @async
+ * @param {number} year - The year to fetch transactions for
+ * @throws {Error} If the HTTP request fails
+ * @returns {Promise<string>} Raw HTML response text
+ */
+async function fetchSearchResults(year) {
+  const requestOptions = {
+    method: "POST",
+    redirect: "follow",
+  };
+
+  const response = await fetch(
+    `${HOUSE_BASE_URL}/FinancialDisclosure/ViewMemberSearchResult?filingYear=${year}`,
+    requestOptions
+  );
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.text();
+}
+
+/**
+ * Converts a non-PTR search result row into a filing event.
+ * 
+ * @param {Object} row - Cells of the row
+ * @param {string|null} row.href - Link of the report, if any
+ * @param {string} row.name - Filer's name
+ * @param {string} row.office - Office/district
+ * @param {string} row.filingYear - Year of the filing
+ * @param {string} row.filingType - Filing type as listed
+ * @returns {import("../utils/transaction.js").FilingEvent|null} The event, null if the row has no report ID
+ */
+function toFilingEvent({ href, name, office, filingYear, filingType }) {
+  const id = href?.match(/\/(\d+)\.pdf$/)?.[1];
+  if (!id) {
+    return null;
+  }
+
+  return {
+    eventId: `${CHAMBERS.HOUSE}-${id}`,
+    filingId: id,
+    chamber: CHAMBERS.HOUSE,
+    type: getFilingEventType(filingType),
+    filingType,
+    politicianId: getPoliticianId(name),
+    name,
+    // Former members are listed as "Former Member (WI08      )"
+    office: office.replace(/\s+\)/, ")"),
+    filingYear,
+    documentUrl: new URL(href.startsWith("/") ? href : "/" + href, HOUSE_BASE_URL).toString(),
+  };
+}
+
+/**
+ * Parses the search results of the House disclosure website.
+ * PTR (Periodic Transaction Report) rows become filings, the other
+ * reports filing events.
+ * 
+ * @param {string} htmlData - Raw HTML of the search results
+ * @returns {import("./index.js").SearchResults} Filings, newest first, and filing events
+ */
+function parseSearchResults(htmlData) {
+  const dom = new JSDOM(htmlData);
+  const document = dom.window.document;
+  const rows = document.querySelectorAll("tbody tr");
+
+  const results = [];
+  const events = [];
+
+  rows.forEach((row) => {
+    const nameElement = row.querySelector('td[data-label="Name"] a');
+    const officeElement = row.querySelector('td[data-label="Office"]');
+    const filingYearElement = row.querySelector('td[data-label="Filing Year"]');
+    const filingTypeElement = row.querySelector('td[data-label="Filing"]');
+
+    // Skip if any required element is missing
+    if (!filingTypeElement || !nameElement || !officeElement || !filingYearElement) {
+      return;
+    }
+
+    // Other reports are only recorded as events
+    if (!filingTypeElement.textContent.includes("PTR")) {
+      const event = toFilingEvent({
+        href: nameElement.getAttribute("href"),
+        name: nameElement.textContent.trim(),
+        office: officeElement.textContent.trim(),
+        filingYear: filingYearElement.textContent.trim(),
+        filingType: filingTypeElement.textContent.trim(),
+      });
+      if (event) {
+        events.push(event);
+      }
+      return;
+    }
+
+    const href = nameElement.getAttribute("href");
+    // Skip if no href or not a PDF
+    if (!href || !href.includes("ptr-pdfs")) {
+      return;
+    }
+
+    // Extract numeric ID from href
+    const matches = href.match(/\/(\d+)\.pdf$/);
+    if (!matches) {
+      console.log("Could not extract numeric ID from href:", href);
+      return;
+    }
+    const id = matches[1]; // Get the full ID from the PDF filename
+
+    const name = nameElement.textContent.trim();
+    const office = officeElement.textContent.trim();
+    const filingYear = filingYearElement.textContent.trim();
+
+    // Ensure the URL starts with a forward slash
+    const cleanHref = href.startsWith("/") ? href : "/" + href;
+    const pdfUrl = new URL(cleanHref, HOUSE_BASE_URL).toString();
+
+    results.push({
+      id,
+      chamber: CHAMBERS.HOUSE,
+      format: "pdf",
+      isAmendment: filingTypeElement.textContent.includes("Amendment"),
+      politicianId: getPoliticianId(name),
+      name,
+      office,
+      filingYear,
+      pdfUrl,
+    });
+  });
+
+  return { filings: sortByIdDescending(results), events };
+}
+
+/**
+ * Downloads the PDF of a House filing.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing with the PDF URL
+ * @param {string} [outputDir="pdfs"] - Directory to save the PDF in
+ * @returns {Promise<import("./index.js").SourceDocument>} The downloaded PDF
+ */
+async function fetchDocument(filing, outputDir) {
+  return { type: "pdf", path: await downloadPDF(filing.pdfUrl, outputDir) };
+}
+
+/**
+ * Sorts an array of transactions by their numeric ID in descending order.
+ * Most recent transactions (higher IDs) appear first.
+ * 
+ * @param {import("../utils/transaction.js").Transaction[]} obj - Array of transactions to sort
+ * @returns {import("../utils/transaction.js").Transaction[]} The sorted array (modified in place)
+ */
+function sortByIdDescending(obj) {
+  return obj.sort((a, b) => {
+    // Convert IDs to numbers for proper numeric comparison
+    const idA = parseInt(a.id, 10);
+    const idB = parseInt(b.id, 10);
+
+    // Handle invalid numbers
+    if (isNaN(idA) && isNaN(idB)) return 0;
+    if (isNaN(idA)) return 1;
+    if (isNaN(idB)) return -1;
+
+    // Sort in descending order (highest number first)
+    return idB - idA;
+  });
+}
+
+/** @type {import("./index.js").DisclosureSource} */
+export default {
+  chamber: CHAMBERS.HOUSE,
+  searchResultsFormat: "html",
+  fetchSearchResults,
+  parseSearchResults,
+  fetchDocument,
+};
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Disclosure source registry.
+ * A disclosure source lists the PTR filings of a chamber and fetches their
+ * documents. Sources run live, or replay responses saved on disk, as set
+ * through configuration.
+ * @module sources
+ */
+
+import { CONFIG } from "../utils/config.js";
+import { CHAMBERS } from "../utils/transaction.js";
+import { logWarning } from "../utils/logger.js";
+import houseSource from "./house.js";
+import senateSource from "./senate.js";
+import { replaySource, recordSource } from "./replay.js";
+
+/**
+ * @typedef {Object} SourceDocument
+ * @property {'pdf'|'html'} type - Whether the filing was saved as a PDF or read as an HTML page
+ * @property {string} [path] - Path of the saved PDF
+ * @property {string} [html] - HTML of the report page
+ */
+
+/**
+ * @typedef {Object} SearchResults
+ * @property {import("../utils/transaction.js").Transaction[]} filings - PTR filings, newest first
+ * @property {import("../utils/transaction.js").FilingEvent[]} events - Other reports, recorded as events
+ */
+
+/**
+ * @typedef {Object} DisclosureSource
+ * @property {import("../utils/transaction.js").CHAMBERS} chamber - Chamber whose filings are listed
+ * @property {'html'|'json'} searchResultsFormat - Format of the raw search results
+ * @property {function(number): Promise<string|null>} fetchSearchResults - Fetches the raw search
+ *   results of a year, null when there are none
+ * @property {function(string): SearchResults} parseSearchResults - Parses raw search results
+ *   into PTR filings and filing events
+ * @property {function(import("../utils/transaction.js").Transaction, string=): Promise<SourceDocument>} fetchDocument -
+ *   Fetches the document of a filing, saving PDFs in the given directory
+ */
+
+/**
+ * Modes of the disclosure sources.
+ * 
+ * @enum {string}
+ */
+export const SOURCE_MODES = {
+  // Fetch the disclosure websites
+  LIVE: "live",
+  // Serve the responses saved in the fixtures directory
+  REPLAY: "replay",
+  // Fetch the disclosure websites and save the responses
+  RECORD: "record",
+};
+
+/** @type {Object<string, DisclosureSource>} Live sources by chamber */
+const SOURCES = {
+  [CHAMBERS.HOUSE]: houseSource,
+  [CHAMBERS.SENATE]: senateSource,
+};
+
+/** Wrappers of the live sources by mode */
+const MODE_WRAPPERS = {
+  [SOURCE_MODES.LIVE]: (source) => source,
+  [SOURCE_MODES.REPLAY]: replaySource,
+  [SOURCE_MODES.RECORD]: recordSource,
+};
+
+/**
+ * Returns the source of a chamber in the configured mode.
+ * 
+ * @param {import("../utils/transaction.js").CHAMBERS} [chamber="house"] - Chamber of the source
+ * @returns {DisclosureSource} The source
+ * @throws {Error} If the chamber or the mode is unknown
+ */
+export function getSource(chamber = CHAMBERS.HOUSE) {
+  const source = SOURCES[chamber];
+  if (!source) {
+    throw new Error(`Unknown chamber "${chamber}", expected one of: ${Object.keys(SOURCES).join(", ")}`);
+  }
+
+  const wrap = MODE_WRAPPERS[CONFIG.sources.mode];
+  if (!wrap) {
+    throw new Error(`Unknown source mode "${CONFIG.sources.mode}", expected one of: ${Object.values(SOURCE_MODES).join(", ")}`);
+  }
+  return wrap(source);
+}
+
+/**
+ * Returns the chambers whose filings are tracked.
+ * 
+ * @returns {import("../utils/transaction.js").CHAMBERS[]} Tracked chambers
+ */
+export function getTrackedChambers() {
+  return CONFIG.senate.enabled ? [CHAMBERS.HOUSE, CHAMBERS.SENATE] : [CHAMBERS.HOUSE];
+}
+
+/**
+ * Lists the reports of a chamber for a given year.
+ * A source that cannot be read lists nothing, so the other chambers are
+ * still checked.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").CHAMBERS} chamber - Chamber to list
+ * @param {number} year - The year to fetch reports for
+ * @returns {Promise<SearchResults>} Filings, newest first, and filing events
+ */
+async function listChamberReports(chamber, year) {
+  try {
+    const source = getSource(chamber);
+    const results = await source.fetchSearchResults(year);
+    if (!results) {
+      return { filings: [], events: [] };
+    }
+
+    const reports = source.parseSearchResults(results);
+    if (reports.filings.length === 0 && reports.events.length === 0) {
+      logWarning(`No ${chamber} filings could be parsed for ${year}, check whether the search result markup changed`);
+    }
+    return reports;
+  } catch (error) {
+    console.error(`Failed to fetch ${chamber} filings:`, error);
+    return { filings: [], events: [] };
+  }
+}
+
+/**
+ * Fetches the reports of every tracked chamber for a given year.
+ * Each chamber's filings are listed newest first, House filings before Senate ones.
+ * 
+ * @async
+ * @param {number} year - The year to fetch reports for
+ * @returns {Promise<SearchResults>} PTR filings and filing events of every chamber
+ */
+export async function listReports(year) {
+  const reports = await Promise.all(
+    getTrackedChambers().map((chamber) => listChamberReports(chamber, year))
+  );
+  return {
+    filings: reports.flatMap(({ filings }) => filings),
+    events: reports.flatMap(({ events }) => events),
+  };
+}
+
+/**
+ * Fetches the document of a filing from the source of its chamber.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing to fetch
+ * @param {string} [outputDir="pdfs"] - Directory to save PDFs in
+ * @returns {Promise<SourceDocument>} The filing document
+ * @throws {Error} If the document cannot be fetched
+ */
+export function fetchDocument(filing, outputDir) {
+  return getSource(filing.chamber).fetchDocument(filing, outputDir);
+}
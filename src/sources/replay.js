@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Recorded-fixture modes of the disclosure sources.
+ * Replay serves saved search results and documents from disk, so the monitor
+ * runs offline and parser changes can be checked against known markup.
+ * Record fetches live and saves every response in the same layout:
+ * 
+ *   <fixturesDir>/<chamber>/search-results/<year>.<html|json>
+ *   <fixturesDir>/<chamber>/documents/<filing id>.<pdf|html>
+ * @module sources/replay
+ */
+
+import { copyFile, mkdir, readFile, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { CONFIG } from "../utils/config.js";
+import { getPDFOutputPath } from "../utils/pdf.js";
+import { logInfo } from "../utils/logger.js";
+
+/**
+ * Returns the fixture path of a year's search results.
+ * 
+ * @param {import("./index.js").DisclosureSource} source - Source of the results
+ * @param {number} year - Year of the results
+ * @returns {string} Path of the saved results
+ */
+function getSearchResultsPath(source, year) {
+  return join(CONFIG.sources.fixturesDir, source.chamber, "search-results", `${year}.${source.searchResultsFormat}`);
+}
+
+/**
+ * Returns the fixture path of a filing document.
+ * 
+ * @param {import("./index.js").DisclosureSource} source - Source of the document
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing of the document
+ * @param {'pdf'|'html'} type - Document type
+ * @returns {string} Path of the saved document
+ */
+function getDocumentPath(source, filing, type) {
+  return join(CONFIG.sources.fixturesDir, source.chamber, "documents", `${filing.id}.${type}`);
+}
+
+/**
+ * Writes a fixture file, creating its directory if it doesn't exist.
+ * 
+ * @async
+ * @param {string} filePath - Path of the fixture
+ * @param {string} data - Content of the fixture
+ * @returns {Promise<void>}
+ */
+async function writeFixture(filePath, data) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, data);
+}
+
+/**
+ * Wraps a source so it serves its saved responses instead of fetching.
+ * A year without saved search results lists no filings.
+ * 
+ * @param {import("./index.js").DisclosureSource} source - Live source
+ * @returns {import("./index.js").DisclosureSource} The replaying source
+ */
+export function replaySource(source) {
+  return {
+    ...source,
+
+    async fetchSearchResults(year) {
+      const filePath = getSearchResultsPath(source, year);
+      if (!existsSync(filePath)) {
+        logInfo(`No ${source.chamber} search results saved for ${year}`, '📼');
+        return null;
+      }
+      return readFile(filePath, "utf8");
+    },
+
+    async fetchDocument(filing, outputDir = "pdfs") {
+      const pdfPath = getDocumentPath(source, filing, "pdf");
+      if (existsSync(pdfPath)) {
+        // Processing deletes the PDF afterwards, so work on a copy
+        const outputPath = await getPDFOutputPath(filing.id, outputDir);
+        await copyFile(pdfPath, outputPath);
+        logInfo(`Replaying ${pdfPath}`, '📼');
+        return { type: "pdf", path: outputPath };
+      }
+
+      const htmlPath = getDocumentPath(source, filing, "html");
+      if (existsSync(htmlPath)) {
+        logInfo(`Replaying ${htmlPath}`, '📼');
+        return { type: "html", html: await readFile(htmlPath, "utf8") };
+      }
+
+      throw new Error(`No document saved for ${source.chamber} filing ${filing.id} in ${CONFIG.sources.fixturesDir}`);
+    },
+  };
+}
+
+/**
+ * Wraps a source so every response it fetches is saved for replay.
+ * 
+ * @param {import("./index.js").DisclosureSource} source - Live source
+ * @returns {import("./index.js").DisclosureSource} The recording source
+ */
+export function recordSource(source) {
+  return {
+    ...source,
+
+    async fetchSearchResults(year) {
+      const results = await source.fetchSearchResults(year);
+      await writeFixture(getSearchResultsPath(source, year), results);
+      return results;
+    },
+
+    async fetchDocument(filing, outputDir) {
+      const document = await source.fetchDocument(filing, outputDir);
+      const filePath = getDocumentPath(source, filing, document.type);
+      if (document.type === "pdf") {
+        await mkdir(dirname(filePath), { recursive: true });
+        await copyFile(document.path, filePath);
+      } else {
+        await writeFixture(filePath, document.html);
+      }
+      logInfo(`Recorded ${filePath}`, '📼');
+      return document;
+    },
+  };
+}
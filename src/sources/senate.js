@@ -0,0 +1,455 @@
+/**
+ * @fileoverview Senate eFD disclosure source.
+ * Lists Senate Periodic Transaction Reports from efdsearch.senate.gov and
+ * reads their content: e-filed reports are structured HTML tables, paper
+ * reports are scanned page images that are assembled into a PDF.
+ * @module sources/senate
+ */
+
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { promisify } from "node:util";
+import { JSDOM } from "jsdom";
+import { CONFIG } from "../utils/config.js";
+import { getPDFOutputPath } from "../utils/pdf.js";
+import { CHAMBERS, getPoliticianId } from "../utils/transaction.js";
+import { DATE_PATTERN, toISODate } from "../components/efiledParser.js";
+import { logInfo, logSuccess, logError } from "../utils/logger.js";
+
+const execFileAsync = promisify(execFile);
+
+/** Report type code of Periodic Transaction Reports in the eFD search */
+const PTR_REPORT_TYPE = 11;
+
+/** Matches the link of a report: its format and ID */
+const REPORT_LINK_PATTERN = /href="(\/search\/view\/(ptr|paper)\/([0-9a-f-]+)\/?)"/i;
+
+/** Report formats of the eFD, by the path segment of their link */
+export const SENATE_REPORT_FORMATS = {
+  // Filed online, served as an HTML table
+  ELECTRONIC: "electronic",
+  // Filed on paper, served as scanned page images
+  PAPER: "paper",
+};
+
+/** Senate asset types mapped to the House asset type codes */
+const SENATE_ASSET_TYPE_CODES = {
+  "stock": "ST",
+  "stock option": "OP",
+  "corporate bond": "CS",
+  "municipal security": "GS",
+  "government security": "GS",
+  "mutual fund": "MF",
+  "exchange traded fund": "EF",
+  "cryptocurrency": "CT",
+  "non-public stock": "PS",
+  "other securities": "OT",
+};
+
+/**
+ * @typedef {Object} SenateSession
+ * @property {Map<string, string>} cookies - Session cookies by name
+ */
+
+/** @type {Promise<SenateSession>|null} Session that accepted the search agreement */
+let session = null;
+
+/**
+ * Stores the cookies a response sets.
+ * 
+ * @param {SenateSession} current - Session to update
+ * @param {Response} response - Response of an eFD request
+ */
+function storeCookies(current, response) {
+  for (const cookie of response.headers.getSetCookie()) {
+    const [pair] = cookie.split(";");
+    const separator = pair.indexOf("=");
+    current.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+  }
+}
+
+/**
+ * Sends a request to the eFD with the session cookies.
+ * 
+ * @async
+ * @param {SenateSession} current - Session of the request
+ * @param {string} path - Path on the eFD site
+ * @param {RequestInit} [options] - Fetch options
+ * @param {Object} [expected] - Responses the caller handles
+ * @param {boolean} [expected.redirect=false] - Whether a redirect answers the request
+ * @returns {Promise<Response>} The response
+ * @throws {Error} If the response is an error, or an unexpected redirect
+ *   to the agreement of an expired session
+ */
+async function senateFetch(current, path, options = {}, { redirect = false } = {}) {
+  const response = await fetch(new URL(path, CONFIG.senate.baseUrl), {
+    ...options,
+    redirect: "manual",
+    headers: {
+      ...options.headers,
+      Cookie: [...current.cookies].map(([name, value]) => `${name}=${value}`).join("; "),
+      Referer: new URL("/search/", CONFIG.senate.baseUrl).toString(),
+    },
+  });
+  storeCookies(current, response);
+
+  // Expired sessions are sent back to the agreement instead of failing
+  if (response.status >= 300 && response.status < 400 && !redirect) {
+    throw new Error(`Senate eFD session expired, redirected to ${response.headers.get("location")}`);
+  }
+  if (response.status >= 400) {
+    throw new Error(`Senate eFD request failed! status: ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * Opens an eFD session. The search only answers after its prohibition
+ * agreement, which forbids commercial use of the reports, is accepted.
+ * 
+ * @async
+ * @returns {Promise<SenateSession>} The session
+ * @throws {Error} If the agreement page cannot be read
+ */
+async function openSession() {
+  const current = { cookies: new Map() };
+
+  const homePage = await (await senateFetch(current, "/search/home/")).text();
+  const token = homePage.match(/name="csrfmiddlewaretoken" value="([^"]+)"/)?.[1];
+  if (!token) {
+    throw new Error("Senate eFD agreement form not found");
+  }
+
+  await senateFetch(current, "/search/home/", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ csrfmiddlewaretoken: token, prohibition_agreement: "1" }),
+  }, { redirect: true });
+  return current;
+}
+
+/**
+ * Returns the shared eFD session, opening it on first use.
+ * 
+ * @async
+ * @returns {Promise<SenateSession>} The session
+ */
+function getSession() {
+  if (!session) {
+    session = openSession().catch((error) => {
+      session = null;
+      throw error;
+    });
+  }
+  return session;
+}
+
+/**
+ * Runs an eFD request. A failed request is tried once more with a new
+ * session, as sessions expire without notice.
+ * 
+ * @async
+ * @param {function(SenateSession): Promise<T>} request - Request to run
+ * @returns {Promise<T>} The result of the request
+ * @template T
+ */
+async function withSession(request) {
+  try {
+    return await request(await getSession());
+  } catch (error) {
+    session = null;
+    return request(await getSession());
+  }
+}
+
+/**
+ * Fetches a page of PTR search results for a year.
+ * 
+ * @async
+ * @param {SenateSession} current - eFD session
+ * @param {number} year - Year the reports were filed
+ * @param {number} start - Index of the first result
+ * @returns {Promise<{recordsTotal: number, data: string[][]}>} Result rows
+ */
+async function fetchReportPage(current, year, start) {
+  const response = await senateFetch(current, "/search/report/data/", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-CSRFToken": current.cookies.get("csrftoken") || "",
+    },
+    body: new URLSearchParams({
+      start: String(start),
+      length: String(CONFIG.senate.pageSize),
+      report_types: `[${PTR_REPORT_TYPE}]`,
+      filer_types: "[]",
+      submitted_start_date: `01/01/${year} 00:00:00`,
+      submitted_end_date: `12/31/${year} 23:59:59`,
+      candidate_state: "",
+      senator_state: "",
+      office_id: "",
+      first_name: "",
+      last_name: "",
+      csrfmiddlewaretoken: current.cookies.get("csrftoken") || "",
+    }),
+  });
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.includes("json")) {
+    // The search redirects to the agreement when the session expired
+    throw new Error("Senate eFD session expired");
+  }
+  return response.json();
+}
+
+/**
+ * Converts a MM/DD/YYYY date of the eFD to YYYY-MM-DD.
+ * 
+ * @param {string} date - Date as shown by the eFD
+ * @returns {string} ISO date, or the text as it is when it is not a date
+ */
+function toDate(date) {
+  return DATE_PATTERN.test(date) ? toISODate(date) : date;
+}
+
+/**
+ * Converts a search result row into a filing record.
+ * 
+ * @param {string[]} row - First name, last name, office, report link and filing date
+ * @returns {import("../utils/transaction.js").Transaction|null} The filing, null if the row is not a PTR
+ */
+function toFiling([firstName, lastName, , link, dateReceived]) {
+  const match = link.match(REPORT_LINK_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, path, kind, id] = match;
+  const name = `${lastName.trim()}, ${firstName.trim()}`;
+  const filingDate = toDate(dateReceived.trim());
+
+  return {
+    id,
+    chamber: CHAMBERS.SENATE,
+    format: kind === "ptr" ? SENATE_REPORT_FORMATS.ELECTRONIC : SENATE_REPORT_FORMATS.PAPER,
+    // Amended reports are titled "Periodic Transaction Report (Amendment 1)"
+    isAmendment: /amendment/i.test(link),
+    politicianId: getPoliticianId(name),
+    name,
+    // The search does not list the senator's state
+    office: "",
+    filingYear: filingDate.slice(0, 4),
+    filingDate,
+    pdfUrl: new URL(path, CONFIG.senate.baseUrl).toString(),
+  };
+}
+
+/**
+ * Fetches every page of PTR search results for a year.
+ * 
+ * @async
+ * @param {number} year - Year the reports were filed
+ * @returns {Promise<string>} The result rows as JSON, in the shape of a single results page
+ * @throws {Error} If the search cannot be read
+ */
+async function fetchSearchResults(year) {
+  const rows = await withSession(async (current) => {
+    const results = [];
+    let total = Infinity;
+    while (results.length < total) {
+      const page = await fetchReportPage(current, year, results.length);
+      results.push(...page.data);
+      total = page.recordsTotal;
+      if (page.data.length === 0) {
+        break;
+      }
+    }
+    return results;
+  });
+
+  return JSON.stringify({ recordsTotal: rows.length, data: rows });
+}
+
+/**
+ * Parses PTR search results into filings, newest first. The search only
+ * asks for PTRs, so it yields no filing events.
+ * 
+ * @param {string} json - Search results as returned by fetchSearchResults
+ * @returns {import("./index.js").SearchResults} Filings tagged with the Senate chamber
+ */
+function parseSearchResults(json) {
+  const filings = JSON.parse(json).data
+    .map(toFiling)
+    .filter(Boolean)
+    .sort((a, b) => b.filingDate.localeCompare(a.filingDate) || b.id.localeCompare(a.id));
+  return { filings, events: [] };
+}
+
+/**
+ * Reads the text of a table cell, with whitespace collapsed.
+ * 
+ * @param {Element} cell - Table cell
+ * @returns {string} The cell text, empty for the "--" placeholder
+ */
+function cellText(cell) {
+  const text = (cell?.textContent || "").replace(/\s+/g, " ").trim();
+  return text === "--" ? "" : text;
+}
+
+/**
+ * Parses an e-filed Senate PTR into filing data.
+ * The asset is written the House way, "Name (TICKER) [ST]", so it normalizes
+ * like any other filing.
+ * 
+ * @param {string} html - HTML of the report page
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing the report belongs to
+ * @returns {import("../db/db.js").TransactionData|null} The filing data, null if no transactions table is found
+ */
+export function parseSenateElectronicPTR(html, filing) {
+  const { document } = new JSDOM(html).window;
+  const table = document.querySelector("table");
+  if (!table) {
+    return null;
+  }
+
+  const headers = [...table.querySelectorAll("thead th")].map((header) => cellText(header).toLowerCase());
+  const column = (name) => headers.indexOf(name);
+
+  const transactions = [...table.querySelectorAll("tbody tr")].map((row) => {
+    const cells = row.querySelectorAll("td");
+    const ticker = cellText(cells[column("ticker")]);
+    const assetType = cellText(cells[column("asset type")]);
+    const typeCode = SENATE_ASSET_TYPE_CODES[assetType.toLowerCase()];
+
+    return {
+      ID_Owner: cellText(cells[column("owner")]) || "Self",
+      Asset: [
+        cellText(cells[column("asset name")]),
+        ticker && `(${ticker})`,
+        typeCode ? `[${typeCode}]` : assetType && `[${assetType}]`,
+      ].filter(Boolean).join(" "),
+      Transaction_Type: cellText(cells[column("type")]),
+      Date: toDate(cellText(cells[column("transaction date")])),
+      Amount: cellText(cells[column("amount")]),
+    };
+  });
+
+  return {
+    Filing_Information: {
+      Name: filing.name,
+      Status: "Senator",
+      State_District: filing.office,
+      Filing_Date: filing.filingDate || null,
+    },
+    Transactions: transactions,
+  };
+}
+
+/**
+ * Downloads the scanned page images of a paper Senate PTR.
+ * 
+ * @async
+ * @param {SenateSession} current - eFD session
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing with the report URL
+ * @param {string} pageDir - Directory to save the pages in
+ * @returns {Promise<string[]>} Paths of the pages, in order
+ * @throws {Error} If the report has no pages or a page cannot be downloaded
+ */
+async function downloadReportPages(current, filing, pageDir) {
+  const html = await (await senateFetch(current, filing.pdfUrl)).text();
+  const { document } = new JSDOM(html).window;
+  const sources = [...document.querySelectorAll("img.filingImage, img[src*='efd-media']")]
+    .map((image) => image.getAttribute("src"));
+  if (sources.length === 0) {
+    throw new Error(`No page images in Senate report ${filing.id}`);
+  }
+
+  const paths = [];
+  for (const [index, source] of [...new Set(sources)].entries()) {
+    const response = await fetch(new URL(source, CONFIG.senate.baseUrl));
+    if (!response.ok) {
+      throw new Error(`Failed to download page ${index + 1}: ${response.statusText}`);
+    }
+    const extension = source.match(/\.(gif|png|jpe?g)$/i)?.[1] || "gif";
+    const pagePath = join(pageDir, `${String(index + 1).padStart(3, "0")}.${extension}`);
+    await writeFile(pagePath, Buffer.from(await response.arrayBuffer()));
+    paths.push(pagePath);
+  }
+  return paths;
+}
+
+/**
+ * Downloads the scanned pages of a paper Senate PTR and assembles them into
+ * a PDF, so they go through the same OCR and extraction as House PDFs.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing with the report URL
+ * @param {string} outputDir - Directory to save the PDF in
+ * @returns {Promise<string>} Path to the assembled PDF
+ * @throws {Error} If the pages cannot be downloaded or assembled
+ */
+async function downloadPaperReport(filing, outputDir) {
+  logInfo('Downloading scanned Senate report...', '📥');
+
+  const outputPath = await getPDFOutputPath(filing.id, outputDir);
+  const pageDir = await mkdtemp(join(dirname(outputPath), `${filing.id}-`));
+
+  try {
+    const pagePaths = await withSession((current) => downloadReportPages(current, filing, pageDir));
+
+    try {
+      await execFileAsync(CONFIG.senate.imageToPdfCommand, [...pagePaths, "--output", outputPath]);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Image to PDF command "${CONFIG.senate.imageToPdfCommand}" not found, install img2pdf or set IMG2PDF_COMMAND`);
+      }
+      throw error;
+    }
+
+    logSuccess(`Assembled ${pagePaths.length} scanned page(s)`);
+    logInfo(`Saved to: ${outputPath}`, '📁');
+    return outputPath;
+  } catch (error) {
+    logError('Senate Report Download Failed', error);
+    throw error;
+  } finally {
+    await rm(pageDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Fetches the content of a Senate PTR. E-filed reports are returned as the
+ * HTML of their page, paper reports as a PDF of their scanned pages.
+ * 
+ * @async
+ * @param {import("../utils/transaction.js").Transaction} filing - Filing with the report URL
+ * @param {string} [outputDir="pdfs"] - Directory to save the PDF of a paper report in
+ * @returns {Promise<import("./index.js").SourceDocument>} The report content
+ * @throws {Error} If the report cannot be fetched
+ */
+async function fetchDocument(filing, outputDir = "pdfs") {
+  if (filing.format === SENATE_REPORT_FORMATS.PAPER) {
+    return { type: "pdf", path: await downloadPaperReport(filing, outputDir) };
+  }
+
+  logInfo('Reading e-filed Senate report...', '🏛️');
+  const html = await withSession(async (current) => {
+    const page = await (await senateFetch(current, filing.pdfUrl)).text();
+    // A page without the report table is the agreement of an expired session
+    if (!/<table[\s>]/i.test(page)) {
+      throw new Error(`Senate eFD session expired, report ${filing.id} has no transactions table`);
+    }
+    return page;
+  });
+  return { type: "html", html };
+}
+
+/** @type {import("./index.js").DisclosureSource} */
+export default {
+  chamber: CHAMBERS.SENATE,
+  searchResultsFormat: "json",
+  fetchSearchResults,
+  parseSearchResults,
+  fetchDocument,
+};
@@ -7,15 +7,22 @@
 import { promisify } from "util";
 import dotenv from "dotenv";
 import chalk from "chalk";
+import { createHash } from "node:crypto";
+import { EXTRACTION_ERROR_KINDS } from "./errors.js";
 
 // Load and validate environment variables
 dotenv.config();
 
+const extractionProvider = process.env.EXTRACTION_PROVIDER || 'openai';
+const consensusProvider = process.env.EXTRACTION_CONSENSUS_PROVIDER || null;
+const activeProviders = [extractionProvider, consensusProvider];
+
 const requiredEnvVars = [
-  'OPENAI_API_KEY',
-  'OPENAI_ASSISTANT_ID',
   'PORT',
-  'SERVER_NAME'
+  'SERVER_NAME',
+  // Provider credentials are only needed when that provider does an extraction
+  ...(activeProviders.includes('openai') ? ['OPENAI_API_KEY'] : []),
+  ...(activeProviders.includes('azure') ? ['AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT', 'AZURE_DOCUMENT_INTELLIGENCE_KEY'] : [])
 ];
 
 // Validate required environment variables
@@ -33,7 +40,74 @@ const HOUR = 60 * MINUTE;
 /**
  * @typedef {Object} OpenAIConfig
  * @property {string} apiKey - OpenAI API key from environment
- * @property {string} assistantId - OpenAI Assistant ID for processing
+ * @property {string} model - Model used for schema-enforced extraction
+ * @property {number} maxOutputTokens - Completion token limit of an extraction
+ * @property {Object<string, ModelPricing>} pricing - Prices by model name prefix
+ */
+
+/**
+ * @typedef {Object} ModelPricing
+ * @property {number} input - USD per million prompt tokens
+ * @property {number} cachedInput - USD per million cached prompt tokens
+ * @property {number} output - USD per million completion tokens
+ */
+
+/**
+ * @typedef {Object} SourcesConfig
+ * @property {string} mode - live fetches the disclosure websites, replay serves saved
+ *   responses from fixturesDir, record fetches live and saves the responses
+ * @property {string} fixturesDir - Directory of the saved search results and documents
+ */
+
+/**
+ * @typedef {Object} SenateConfig
+ * @property {boolean} enabled - Whether Senate filings are tracked next to House ones
+ * @property {string} baseUrl - Senate eFD search site
+ * @property {number} pageSize - Search results requested at a time
+ * @property {string} imageToPdfCommand - img2pdf executable used for scanned paper reports
+ */
+
+/**
+ * @typedef {Object} OCRConfig
+ * @property {boolean} enabled - Whether scanned PDFs are OCRed before extraction
+ * @property {string} command - OCRmyPDF executable
+ * @property {string} language - Tesseract language of the forms
+ * @property {number} timeout - Milliseconds an OCR run may take
+ */
+
+/**
+ * @typedef {Object} BudgetConfig
+ * @property {number|null} daily - USD that extraction may spend per UTC day, null for no limit
+ * @property {number|null} monthly - USD that extraction may spend per UTC month, null for no limit
+ */
+
+/**
+ * @typedef {Object} AzureConfig
+ * @property {string} endpoint - Document Intelligence endpoint, may point to a local stand-in
+ * @property {string} apiKey - Document Intelligence key
+ * @property {string} modelId - Model used to analyze PTRs
+ * @property {number} pollInterval - Milliseconds between analysis status checks
+ */
+
+/**
+ * @typedef {Object} ExtractionConfig
+ * @property {string} provider - Extraction provider: openai, azure, local or mock
+ * @property {string} mockFixturesDir - Directory with the mock provider fixtures
+ * @property {ConsensusConfig} consensus - Second extraction of high-stakes filings
+ * @property {number} pauseDuration - Milliseconds extraction is paused after a quota or auth failure
+ * @property {CacheConfig} cache - Cache of extraction results by PDF content
+ */
+
+/**
+ * @typedef {Object} CacheConfig
+ * @property {boolean} enabled - Whether extraction results are cached
+ * @property {string[]} bypass - Filing IDs that are always extracted again
+ */
+
+/**
+ * @typedef {Object} ConsensusConfig
+ * @property {string|null} provider - Provider of the second extraction, null disables the check
+ * @property {number} minAmount - Lowest transaction amount that makes a filing high-stakes
  */
 
 /**
@@ -48,6 +122,12 @@ const HOUR = 60 * MINUTE;
 /**
  * @typedef {Object} AppConfig
  * @property {OpenAIConfig} openai - OpenAI configuration settings
+ * @property {AzureConfig} azure - Azure Document Intelligence settings
+ * @property {ExtractionConfig} extraction - Extraction provider settings
+ * @property {BudgetConfig} budget - Spending limits of metered extraction
+ * @property {OCRConfig} ocr - OCR of scanned PDFs
+ * @property {SourcesConfig} sources - Disclosure source settings
+ * @property {SenateConfig} senate - Senate eFD source settings
  * @property {DatabaseConfig} database - Database connection settings
  * @property {number} port - Application server port
  */
@@ -67,11 +147,63 @@ export const CONFIG = {
   },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
-    assistantId: process.env.OPENAI_ASSISTANT_ID,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-2024-08-06',
+    maxOutputTokens: 16384,
     maxRetries: 3,
     timeout: 5 * MINUTE,
+    pollInterval: SECOND,
+    // Matched by longest prefix, so dated snapshots share the price of their family
+    pricing: {
+      'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+      'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+      'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+      'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+      'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4 }
+    }
+  },
+  azure: {
+    endpoint: process.env.AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT,
+    apiKey: process.env.AZURE_DOCUMENT_INTELLIGENCE_KEY,
+    modelId: process.env.AZURE_DOCUMENT_INTELLIGENCE_MODEL || 'prebuilt-layout',
     pollInterval: SECOND
   },
+  extraction: {
+    provider: extractionProvider,
+    mockFixturesDir: process.env.MOCK_EXTRACTION_FIXTURES_DIR || './src/lib/extractors/fixtures',
+    consensus: {
+      provider: consensusProvider,
+      minAmount: parseInt(process.env.EXTRACTION_CONSENSUS_MIN_AMOUNT) || 0
+    },
+    pauseDuration: (parseInt(process.env.EXTRACTION_PAUSE_MINUTES) || 60) * MINUTE,
+    cache: {
+      enabled: process.env.EXTRACTION_CACHE !== 'false',
+      bypass: (process.env.EXTRACTION_CACHE_BYPASS || '').split(',').map((id) => id.trim()).filter(Boolean)
+    }
+  },
+  sources: {
+    mode: process.env.SOURCE_MODE || 'live',
+    fixturesDir: process.env.SOURCE_FIXTURES_DIR || './fixtures/sources'
+  },
+  senate: {
+    enabled: process.env.SENATE_ENABLED !== 'false',
+    baseUrl: 'https://efdsearch.senate.gov',
+    pageSize: 100,
+    imageToPdfCommand: process.env.IMG2PDF_COMMAND || 'img2pdf'
+  },
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    command: process.env.OCR_COMMAND || 'ocrmypdf',
+    language: process.env.OCR_LANGUAGE || 'eng',
+    timeout: 5 * MINUTE
+  },
+  budget: {
+    daily: parseFloat(process.env.BUDGET_DAILY_USD) || null,
+    monthly: parseFloat(process.env.BUDGET_MONTHLY_USD) || null
+  },
+  backfill: {
+    firstYear: 2012,
+    delay: (parseInt(process.env.BACKFILL_DELAY_SECONDS) || 30) * SECOND
+  },
   files: {
     maxPdfSize: 25 * 1024 * 1024, // 25MB
     tempDir: './src/temp',
@@ -113,7 +245,7 @@ export const ERROR_MESSAGES = {
 
 export const sleep = promisify(setTimeout);
 
-// Exponential backoff for retries
+// Backoff of failed filings, the n-th entry is the delay after the n-th failure
 export const retryDelays = [
   0,              // Immediate
   3 * MINUTE,     // 3 minutes
@@ -122,19 +254,32 @@ export const retryDelays = [
   8 * HOUR,       // 8 hours
 ];
 
+// Backoff by class of extraction error, unclassified errors use retryDelays
+export const retryPolicies = {
+  [EXTRACTION_ERROR_KINDS.RATE_LIMIT]: [MINUTE, 5 * MINUTE, 15 * MINUTE, HOUR, 8 * HOUR],
+  [EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED]: [HOUR, 8 * HOUR, 24 * HOUR],
+  [EXTRACTION_ERROR_KINDS.AUTH]: [HOUR, 8 * HOUR],
+  [EXTRACTION_ERROR_KINDS.TIMEOUT]: retryDelays,
+  [EXTRACTION_ERROR_KINDS.SERVER]: retryDelays,
+  // The same PDF tends to produce the same bad output
+  [EXTRACTION_ERROR_KINDS.BAD_OUTPUT]: [0, 30 * MINUTE],
+};
+
 /**
- * Instructions for the OpenAI assistant.
- * Guides the AI in processing transaction PDFs.
+ * Instructions for the OpenAI extraction.
+ * Guides the AI in processing transaction PDFs. The output shape is
+ * enforced separately by filingJsonSchema.
  * 
  * @type {string}
  */
 export const assistantInstructions = `
-Please analyze this PDF document and extract the following information in a structured JSON format:
+Please analyze the attached PDF document, a Periodic Transaction Report filed by a member of Congress, and extract:
 
 1. Filing Information:
    - Name of the politician
    - Filing Status
    - State/District
+   - Filing date, the date the report was digitally signed or signed by hand
 
 2. Transaction Details (for each transaction):
    - Owner ID (who made the transaction)
@@ -143,36 +288,74 @@ Please analyze this PDF document and extract the following information in a stru
    - Transaction date
    - Amount of transaction (in ranges if specified)
 
-Please format the output as a JSON object with two main sections:
-1. "Filing_Information" containing the filing details
-2. "Transactions" as an array of individual transaction objects
-
-Example format:
-{
-  "Filing_Information": {
-    "Name": "Last, First",
-    "Status": "Filed",
-    "State_District": "XX00"
-  },
-  "Transactions": [
-    {
-      "ID_Owner": "Self",
-      "Asset": "Company Stock",
-      "Transaction_Type": "Purchase",
-      "Date": "2023-01-01",
-      "Amount": "$1,001 - $15,000"
-    }
-  ]
-}
-
 Important notes:
-- Maintain exact field names as shown
 - Include all transactions found in the document
 - Preserve original text formatting for asset names
 - Use consistent date format (YYYY-MM-DD)
 - Include dollar signs in amount ranges
 `;
 
+/**
+ * JSON schema the OpenAI extraction output is constrained to.
+ * Field names match the Filing_Information/Transactions shape used
+ * throughout the application.
+ * 
+ * @type {Object}
+ */
+export const filingJsonSchema = {
+  name: "periodic_transaction_report",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["Filing_Information", "Transactions"],
+    properties: {
+      Filing_Information: {
+        type: "object",
+        additionalProperties: false,
+        required: ["Name", "Status", "State_District", "Filing_Date"],
+        properties: {
+          Name: { type: "string", description: "Name of the filer as printed" },
+          Status: { type: "string", description: "Filing status, such as Member" },
+          State_District: { type: "string", description: "State and district, such as CA11" },
+          Filing_Date: {
+            type: ["string", "null"],
+            description: "Date the report was signed as YYYY-MM-DD, null if no date is printed",
+          },
+        },
+      },
+      Transactions: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["ID_Owner", "Asset", "Transaction_Type", "Date", "Amount"],
+          properties: {
+            ID_Owner: { type: "string", description: "Owner code (SP, JT, DC) or Self when blank" },
+            Asset: { type: "string", description: "Asset description including ticker and type code" },
+            Transaction_Type: { type: "string", description: "P, S, S (partial) or E as printed" },
+            Date: { type: "string", description: "Transaction date as YYYY-MM-DD" },
+            Amount: { type: "string", description: "Amount range, such as $1,001 - $15,000" },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Version of the extraction prompt, derived from the instructions, the output
+ * schema and the OpenAI model. Cached extractions of another version are not reused.
+ * 
+ * @type {string}
+ */
+export const extractionPromptVersion = createHash('sha256')
+  .update(assistantInstructions)
+  .update(JSON.stringify(filingJsonSchema))
+  .update(CONFIG.openai.model)
+  .digest('hex')
+  .slice(0, 12);
+
 /**
  * Validates the presence of a required environment variable.
  * 
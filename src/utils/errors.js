@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Application error classes.
+ * Lets callers tell expected failures apart from unexpected ones.
+ * @module utils/errors
+ */
+
+/**
+ * Error caused by invalid input from an API client.
+ * Routes answer it with a 400 response.
+ */
+export class BadRequestError extends Error {
+  /**
+   * @param {string} message - Description of the invalid input
+   */
+  constructor(message) {
+    super(message);
+    this.name = "BadRequestError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Error caused by a request for a resource that does not exist.
+ * Routes answer it with a 404 response.
+ */
+export class NotFoundError extends Error {
+  /**
+   * @param {string} message - Description of the missing resource
+   */
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+    this.statusCode = 404;
+  }
+}
+
+/**
+ * Error caused by a request that conflicts with the current state of a resource.
+ * Routes answer it with a 409 response.
+ */
+export class ConflictError extends Error {
+  /**
+   * @param {string} message - Description of the conflict
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ConflictError";
+    this.statusCode = 409;
+  }
+}
+
+/**
+ * Error raised when extracted transactions hold values that cannot be normalized.
+ * Carries one entry per rejected value so the failing rows can be reported, and
+ * the data with every value that could be normalized.
+ */
+export class NormalizationError extends Error {
+  /**
+   * @param {{row: number, field: string, value: *}[]} problems - Rejected values by row index
+   * @param {import("../db/db.js").TransactionData} [data] - Data normalized as far as possible
+   */
+  constructor(problems, data = null) {
+    super(
+      `Could not normalize transaction data: ${problems
+        .map(({ row, field, value }) => `row ${row + 1} ${field} "${value}"`)
+        .join(", ")}`
+    );
+    this.name = "NormalizationError";
+    this.problems = problems;
+    this.data = data;
+  }
+}
+
+/**
+ * Classes of extraction failures. Each class has its own retry policy.
+ * 
+ * @enum {string}
+ */
+export const EXTRACTION_ERROR_KINDS = {
+  RATE_LIMIT: "rate_limit",
+  QUOTA_EXHAUSTED: "quota_exhausted",
+  AUTH: "auth",
+  TIMEOUT: "timeout",
+  SERVER: "server",
+  BAD_OUTPUT: "bad_output",
+  BUDGET_EXCEEDED: "budget_exceeded",
+};
+
+/**
+ * Base class for failures of an extraction backend to produce filing data.
+ */
+export class ExtractionError extends Error {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {EXTRACTION_ERROR_KINDS} [kind] - Class of the failure
+   */
+  constructor(message, kind = EXTRACTION_ERROR_KINDS.BAD_OUTPUT) {
+    super(message);
+    this.name = "ExtractionError";
+    this.kind = kind;
+  }
+}
+
+/**
+ * Error raised when the extraction service rejects or fails a request.
+ */
+export class ExtractionServiceError extends ExtractionError {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {EXTRACTION_ERROR_KINDS} kind - Class of the failure
+   * @param {Object} [details] - Response details
+   * @param {number} [details.status] - HTTP status of the response
+   * @param {number} [details.retryAfter] - Milliseconds the service asked to wait
+   */
+  constructor(message, kind, { status, retryAfter } = {}) {
+    super(message, kind);
+    this.name = "ExtractionServiceError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error raised when the model refuses to extract the filing.
+ */
+export class ExtractionRefusalError extends ExtractionError {
+  /**
+   * @param {string} refusal - Refusal message returned by the model
+   */
+  constructor(refusal) {
+    super(`Model refused to extract the filing: ${refusal}`);
+    this.name = "ExtractionRefusalError";
+    this.refusal = refusal;
+  }
+}
+
+/**
+ * Error raised when the model output was cut off before the JSON was complete.
+ */
+export class ExtractionTruncatedError extends ExtractionError {
+  /**
+   * @param {number} [completionTokens] - Tokens generated before the cut-off
+   */
+  constructor(completionTokens) {
+    super(`Model output was truncated${completionTokens ? ` after ${completionTokens} tokens` : ""}`);
+    this.name = "ExtractionTruncatedError";
+    this.completionTokens = completionTokens;
+  }
+}
+
+/**
+ * Error raised when the model output is not filing JSON.
+ */
+export class InvalidExtractionOutputError extends ExtractionError {
+  /**
+   * @param {string} reason - Why the output was rejected
+   */
+  constructor(reason) {
+    super(`Model output is not valid filing JSON: ${reason}`);
+    this.name = "InvalidExtractionOutputError";
+  }
+}
+
+/**
+ * Error raised when metered extraction reached a spending limit.
+ */
+export class BudgetExceededError extends ExtractionError {
+  /**
+   * @param {'daily'|'monthly'} period - Budget period that was reached
+   * @param {number} limit - Budget of the period in USD
+   * @param {number} spent - USD spent in the period
+   * @param {Date} resumeAt - Start of the next period
+   */
+  constructor(period, limit, spent, resumeAt) {
+    super(
+      `The ${period} extraction budget of $${limit.toFixed(2)} was reached ($${spent.toFixed(2)} spent)`,
+      EXTRACTION_ERROR_KINDS.BUDGET_EXCEEDED
+    );
+    this.name = "BudgetExceededError";
+    this.period = period;
+    this.limit = limit;
+    this.spent = spent;
+    this.resumeAt = resumeAt;
+  }
+}
+
+/**
+ * Error raised when a filing needs the extraction service while extraction is paused.
+ * The filing is not failed, it waits for a check after the pause.
+ */
+export class ExtractionPausedError extends Error {
+  /**
+   * @param {string} reason - Why extraction is paused
+   * @param {Date} retryAt - When extraction resumes
+   */
+  constructor(reason, retryAt) {
+    super(`Extraction is paused until ${retryAt.toISOString()}: ${reason}`);
+    this.name = "ExtractionPausedError";
+    this.reason = reason;
+    this.retryAt = retryAt;
+  }
+}
@@ -28,9 +28,10 @@ function getProcessingTime(startTime) {
  * Format timing details
  * @param {number} startTime 
  * @param {Object} subProcessTimes - Map of subprocess names to their durations
+ * @param {Object} subProcessCosts - Map of subprocess names to their token usage and cost
  * @returns {string}
  */
-function formatTimingDetails(startTime, subProcessTimes = {}) {
+function formatTimingDetails(startTime, subProcessTimes = {}, subProcessCosts = {}) {
   const totalTime = (Date.now() - startTime) / 1000;
   
   // Format subprocess times
@@ -38,7 +39,18 @@ function formatTimingDetails(startTime, subProcessTimes = {}) {
     .map(([name, time]) => `    ${name.padEnd(20)} ${chalk.yellow(time.toFixed(2))}s`)
     .join('\n');
   
-  return `\n  Process Times:\n    ${'Total'.padEnd(20)} ${chalk.yellow(totalTime.toFixed(2))}s\n${details}`;
+  const timing = `\n  Process Times:\n    ${'Total'.padEnd(20)} ${chalk.yellow(totalTime.toFixed(2))}s\n${details}`;
+  if (Object.keys(subProcessCosts).length === 0) {
+    return timing;
+  }
+
+  // Format metered calls, a null cost means the model has no known price
+  const costs = Object.entries(subProcessCosts)
+    .map(([name, { tokens, cost }]) =>
+      `    ${name.padEnd(20)} ${chalk.yellow(tokens)} tokens  ${cost === null ? 'unpriced' : chalk.yellow(`$${cost.toFixed(4)}`)}`)
+    .join('\n');
+
+  return `${timing}\n\n  Extraction Costs:\n${costs}`;
 }
 
 /**
@@ -54,10 +66,11 @@ export function logSection(title) {
  * Log a section end with detailed timing
  * @param {number} startTime Start time of the section
  * @param {Object} subProcessTimes Map of subprocess names to their durations
+ * @param {Object} [subProcessCosts] Map of subprocess names to their token usage and cost
  */
-export function logSectionEnd(startTime, subProcessTimes = {}) {
+export function logSectionEnd(startTime, subProcessTimes = {}, subProcessCosts = {}) {
   if (startTime) {
-    console.log(formatTimingDetails(startTime, subProcessTimes));
+    console.log(formatTimingDetails(startTime, subProcessTimes, subProcessCosts));
   }
   console.log('\n' + chalk.cyan('═'.repeat(63)) + '\n');
 }
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Sorting and cursor pagination helpers for MongoDB queries.
+ * Cursors are opaque strings holding the sort value and tiebreaker of the
+ * last returned item.
+ * @module utils/pagination
+ */
+
+import { BadRequestError } from "./errors.js";
+
+/** @type {number} Page size used when the client does not ask for one */
+export const DEFAULT_PAGE_SIZE = 50;
+
+/** @type {number} Largest page size a client can ask for */
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * @typedef {Object} SortSpec
+ * @property {string} field - Document field to sort on
+ * @property {1|-1} direction - Sort direction
+ */
+
+/**
+ * Parses a sort parameter such as "date" or "-date".
+ * 
+ * @param {string|undefined} sortParam - Sort parameter from the query string
+ * @param {Object<string, string>} allowedFields - Map of sort names to document fields
+ * @param {string} defaultSort - Sort used when none is given
+ * @returns {SortSpec} The parsed sort
+ * @throws {BadRequestError} If the sort name is not allowed
+ */
+export function parseSort(sortParam, allowedFields, defaultSort) {
+  const sort = sortParam || defaultSort;
+  const direction = sort.startsWith("-") ? -1 : 1;
+  const name = sort.replace(/^[-+]/, "");
+
+  if (!allowedFields[name]) {
+    throw new BadRequestError(
+      `Invalid sort "${name}", expected one of: ${Object.keys(allowedFields).join(", ")}`
+    );
+  }
+
+  return { field: allowedFields[name], direction };
+}
+
+/**
+ * Parses the page size parameter.
+ * 
+ * @param {string|undefined} limitParam - Limit parameter from the query string
+ * @returns {number} The page size
+ * @throws {BadRequestError} If the limit is not a positive integer
+ */
+export function parseLimit(limitParam) {
+  if (limitParam === undefined) {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  const limit = Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError("Invalid limit, expected a positive integer");
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+/**
+ * Encodes the position of an item as a cursor.
+ * 
+ * @param {*} sortValue - Value of the sort field of the item
+ * @param {string} tiebreaker - Unique value that orders items with equal sort values
+ * @returns {string} The cursor
+ */
+export function encodeCursor(sortValue, tiebreaker) {
+  // Items without a sort value are encoded as null, so the cursor keeps its "v" field
+  const payload = sortValue instanceof Date
+    ? { v: sortValue.toISOString(), d: true, t: tiebreaker }
+    : { v: sortValue ?? null, t: tiebreaker };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor created by encodeCursor.
+ * 
+ * @param {string} cursor - The cursor
+ * @returns {{sortValue: *, tiebreaker: string}} The decoded position
+ * @throws {BadRequestError} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!("v" in payload) || typeof payload.t !== "string") {
+      throw new Error("Missing cursor fields");
+    }
+    return {
+      sortValue: payload.d ? new Date(payload.v) : payload.v,
+      tiebreaker: payload.t,
+    };
+  } catch (error) {
+    throw new BadRequestError("Invalid cursor");
+  }
+}
+
+/**
+ * Builds the filter that selects the items after a cursor.
+ * MongoDB sorts missing and null values before any other value, so they
+ * come first in ascending order and last in descending order.
+ * 
+ * @param {SortSpec} sort - The sort of the query
+ * @param {string|undefined} cursor - Cursor of the last item of the previous page
+ * @param {string} tiebreakerField - Field holding the tiebreaker value
+ * @returns {Object} MongoDB filter, empty when there is no cursor
+ */
+export function cursorFilter(sort, cursor, tiebreakerField) {
+  if (!cursor) {
+    return {};
+  }
+
+  const { sortValue, tiebreaker } = decodeCursor(cursor);
+  const operator = sort.direction === 1 ? "$gt" : "$lt";
+  const sameValue = { [sort.field]: sortValue, [tiebreakerField]: { [operator]: tiebreaker } };
+
+  if (sortValue === null) {
+    return sort.direction === 1
+      ? { $or: [{ [sort.field]: { $ne: null } }, sameValue] }
+      : sameValue;
+  }
+
+  return {
+    $or: [
+      { [sort.field]: { [operator]: sortValue } },
+      sameValue,
+      // Items without a value follow every other item in descending order
+      ...(sort.direction === -1 ? [{ [sort.field]: null }] : []),
+    ],
+  };
+}
+
+/**
+ * Builds the MongoDB sort for a sort spec with its tiebreaker.
+ * 
+ * @param {SortSpec} sort - The sort of the query
+ * @param {string} tiebreakerField - Field holding the tiebreaker value
+ * @returns {Object} MongoDB sort document
+ */
+export function sortDocument(sort, tiebreakerField) {
+  return { [sort.field]: sort.direction, [tiebreakerField]: sort.direction };
+}
+
+/**
+ * Reads a nested value such as "Transaction.Date" from an object.
+ * 
+ * @param {Object} item - The object
+ * @param {string} field - Dot separated field path
+ * @returns {*} The value at the path
+ */
+function getField(item, field) {
+  return field.split(".").reduce((value, key) => value?.[key], item);
+}
+
+/**
+ * Splits a page that was fetched with one extra item into items and next cursor.
+ * 
+ * @param {Object[]} items - Items fetched with limit + 1
+ * @param {number} limit - Page size
+ * @param {SortSpec} sort - The sort of the query
+ * @param {string} tiebreakerField - Field holding the tiebreaker value
+ * @returns {{data: Object[], nextCursor: string|null}} The page
+ */
+export function toPage(items, limit, sort, tiebreakerField) {
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    nextCursor: hasMore
+      ? encodeCursor(getField(last, sort.field), getField(last, tiebreakerField))
+      : null,
+  };
+}
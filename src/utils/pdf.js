@@ -4,13 +4,68 @@
  * @module utils/pdf
  */
 
-import { writeFile, unlink, mkdir, readdir, rmdir } from "node:fs/promises";
+import { readFile, writeFile, unlink, mkdir, readdir, rmdir } from "node:fs/promises";
+import { createHash } from "node:crypto";
 import { get } from "node:https";
 import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { existsSync } from "node:fs";
+import PDFParser from "pdf2json";
 import { logInfo, logSuccess, logError, logWarning } from "./logger.js";
 
+/**
+ * @typedef {Object} PDFTextItem
+ * @property {number} x - Left edge of the text in page units
+ * @property {number} y - Vertical position in page units, growing downwards
+ * @property {string} text - Decoded text content
+ */
+
+/**
+ * How the content of a PDF was produced.
+ * 
+ * @enum {string}
+ */
+export const PDF_SOURCE_TYPES = {
+  // Generated with a text layer, such as e-filed PTRs
+  TEXT: "text",
+  // Scanned or photographed paper forms, only readable through OCR
+  SCANNED: "scanned",
+  // Structured HTML reports with no PDF, such as e-filed Senate PTRs
+  HTML: "html",
+};
+
+/** Fewest readable characters per page for a PDF to count as text-based */
+const MIN_CHARACTERS_PER_PAGE = 100;
+
+/** Largest share of unreadable characters in the text layer of a text-based PDF */
+const MAX_GARBLED_RATIO = 0.1;
+
+/**
+ * @typedef {Object} PDFClassification
+ * @property {PDF_SOURCE_TYPES} sourceType - Whether the PDF is text-based or scanned
+ * @property {number} pages - Number of pages
+ * @property {number} characters - Readable characters in the text layer
+ * @property {number} garbledRatio - Share of unreadable characters in the text layer
+ */
+
+/**
+ * Resolves where a PDF is saved, creating the directory if it doesn't exist.
+ * Directories are relative to the project root.
+ * 
+ * @async
+ * @param {string} pdfId - File name of the PDF, without the extension
+ * @param {string} [outputDir="pdfs"] - Directory to save the PDF in
+ * @returns {Promise<string>} Path of the PDF file
+ */
+export async function getPDFOutputPath(pdfId, outputDir = "pdfs") {
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const pdfDir = join(__dirname, "..", "..", outputDir);
+  if (!existsSync(pdfDir)) {
+    await mkdir(pdfDir, { recursive: true });
+  }
+  return join(pdfDir, `${pdfId}.pdf`);
+}
+
 /**
  * Downloads a PDF file from a given URL and saves it locally.
  * Creates necessary directories if they don't exist.
@@ -34,15 +89,8 @@ export async function downloadPDF(url, outputDir = "pdfs") {
     const pathSegments = urlObj.pathname.split("/");
     const pdfId = pathSegments[pathSegments.length - 1].replace(".pdf", "");
 
-    // Create output directory if it doesn't exist
-    const __dirname = dirname(fileURLToPath(import.meta.url));
-    const pdfDir = join(__dirname, "..", "..", outputDir);
-    if (!existsSync(pdfDir)) {
-      await mkdir(pdfDir, { recursive: true });
-    }
-
     // Set up output path
-    const outputPath = join(pdfDir, `${pdfId}.pdf`);
+    const outputPath = await getPDFOutputPath(pdfId, outputDir);
 
     // Download and save the PDF
     const pdfData = await new Promise((resolve, reject) => {
@@ -97,3 +145,94 @@ export async function cleanupPDF(filePath) {
     // Non-critical error, don't throw
   }
 }
+
+/**
+ * Hashes the content of a PDF file, so identical uploads can be recognized
+ * whatever their URL or filing ID.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<string>} SHA-256 of the file as hex
+ */
+export async function hashPDF(filePath) {
+  const content = await readFile(filePath);
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Decodes the text of a pdf2json text run.
+ * 
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeText(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Reads the positioned text items of every page of a PDF.
+ * Scanned PDFs without a text layer produce pages without items.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<PDFTextItem[][]>} Text items per page
+ * @throws {Error} If the PDF cannot be parsed
+ */
+export async function readPDFText(filePath) {
+  const parser = new PDFParser();
+
+  const pdfData = await new Promise((resolve, reject) => {
+    parser.on("pdfParser_dataError", (error) => reject(error.parserError ?? error));
+    parser.on("pdfParser_dataReady", resolve);
+    parser.loadPDF(filePath);
+  });
+
+  return pdfData.Pages.map((page) =>
+    page.Texts
+      .map((item) => ({
+        x: item.x,
+        y: item.y,
+        text: decodeText(item.R.map((run) => run.T).join("")),
+      }))
+      .filter((item) => item.text.trim().length > 0)
+  );
+}
+
+/**
+ * Classifies a PDF as text-based or scanned from its text layer.
+ * Scanned forms have no text layer, a sparse one, or one made of unreadable
+ * characters from a failed embedded OCR.
+ * 
+ * @async
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<PDFClassification>} The classification
+ */
+export async function classifyPDF(filePath) {
+  let pageItems;
+  try {
+    pageItems = await readPDFText(filePath);
+  } catch (error) {
+    logWarning(`Could not read PDF text, treating it as scanned: ${error.message}`);
+    return { sourceType: PDF_SOURCE_TYPES.SCANNED, pages: 0, characters: 0, garbledRatio: 0 };
+  }
+
+  const text = pageItems.flat().map((item) => item.text).join("").replace(/\s/g, "");
+  const garbled = (text.match(/[\uFFFD\u0000-\u001F]/g) || []).length;
+  const characters = text.length - garbled;
+  const garbledRatio = text.length > 0 ? garbled / text.length : 0;
+  const pages = pageItems.length;
+
+  const isText = characters >= MIN_CHARACTERS_PER_PAGE * Math.max(pages, 1)
+    && garbledRatio <= MAX_GARBLED_RATIO;
+
+  return {
+    sourceType: isText ? PDF_SOURCE_TYPES.TEXT : PDF_SOURCE_TYPES.SCANNED,
+    pages,
+    characters,
+    garbledRatio,
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Reference data used to normalize transaction assets.
+ * Holds the House asset type codes and a local issuer to ticker table
+ * for assets whose description does not print a ticker.
+ * @module utils/tickerReference
+ */
+
+/**
+ * Asset type codes used by the House Clerk in PTR asset descriptions.
+ * @see https://fd.house.gov/reference/asset-type-codes.aspx
+ * 
+ * @enum {string}
+ */
+export const ASSET_TYPE_CODES = {
+  "4K": "401K and Other Non-Federal Retirement Accounts",
+  "5C": "529 College Savings Plan",
+  "5F": "529 Portfolio",
+  "5P": "529 Prepaid Tuition Plan",
+  AB: "Asset-Backed Securities",
+  BA: "Bank Accounts, Money Market Accounts and CDs",
+  BK: "Brokerage Accounts",
+  CO: "Collectibles",
+  CS: "Corporate Securities (Bonds and Notes)",
+  CT: "Cryptocurrency",
+  DB: "Defined Benefit Pension Plan",
+  DO: "Debts Owed to the Filer",
+  DS: "Delaware Statutory Trust",
+  EF: "Exchange Traded Funds (ETF)",
+  EQ: "Excepted/Qualified Blind Trust",
+  ET: "Exchange Traded Notes",
+  FA: "Farms",
+  FE: "Foreign Exchange (Currencies)",
+  FN: "Fixed Annuity",
+  FU: "Futures",
+  GS: "Government Securities and Agency Debt",
+  HE: "Hedge Funds & Private Equity Funds (EIF)",
+  HN: "Hedge Funds & Private Equity Funds (non-EIF)",
+  IC: "Investment Club",
+  IH: "IRA (Held in Cash)",
+  IP: "Intellectual Property & Royalties",
+  IR: "IRA",
+  MA: "Managed Accounts (e.g., SMA and UMA)",
+  MF: "Mutual Funds",
+  OI: "Ownership Interest (Holding Investments)",
+  OL: "Ownership Interest (Engaged in a Trade or Business)",
+  OP: "Options",
+  OT: "Other",
+  PE: "Pensions",
+  PM: "Precious Metals",
+  PS: "Stock (Not Publicly Traded)",
+  RE: "Real Estate Invest. Trust (REIT)",
+  RP: "Real Property",
+  RS: "Restricted Stock Units (RSUs)",
+  SA: "Stock Appreciation Right",
+  ST: "Stocks (including ADRs)",
+  TR: "Trust",
+  VA: "Variable Annuity",
+  VI: "Variable Insurance",
+  WU: "Whole/Universal Insurance",
+};
+
+/**
+ * Tickers of frequently traded issuers, keyed by normalized issuer name.
+ * Keys are written as toIssuerKey returns them: lowercase, periods and
+ * hyphens as spaces, without corporate suffixes, "holdings" or "and".
+ * 
+ * @type {Object<string, string>}
+ */
+export const ISSUER_TICKERS = {
+  "3m": "MMM",
+  "abbott laboratories": "ABT",
+  "abbvie": "ABBV",
+  "adobe": "ADBE",
+  "advanced micro devices": "AMD",
+  "alphabet": "GOOGL",
+  "amazon com": "AMZN",
+  "amazon": "AMZN",
+  "american express": "AXP",
+  "amgen": "AMGN",
+  "apple": "AAPL",
+  "applied materials": "AMAT",
+  "at&t": "T",
+  "bank of america": "BAC",
+  "berkshire hathaway": "BRK.B",
+  "blackrock": "BLK",
+  "boeing": "BA",
+  "broadcom": "AVGO",
+  "caterpillar": "CAT",
+  "chevron": "CVX",
+  "cisco systems": "CSCO",
+  "citigroup": "C",
+  "coca cola": "KO",
+  "comcast": "CMCSA",
+  "costco wholesale": "COST",
+  "crowdstrike": "CRWD",
+  "cvs health": "CVS",
+  "disney walt": "DIS",
+  "eli lilly": "LLY",
+  "exxon mobil": "XOM",
+  "ford motor": "F",
+  "general electric": "GE",
+  "general motors": "GM",
+  "goldman sachs group": "GS",
+  "home depot": "HD",
+  "honeywell international": "HON",
+  "intel": "INTC",
+  "international business machines": "IBM",
+  "johnson & johnson": "JNJ",
+  "jpmorgan chase": "JPM",
+  "lockheed martin": "LMT",
+  "mastercard": "MA",
+  "mcdonalds": "MCD",
+  "merck": "MRK",
+  "meta platforms": "META",
+  "microsoft": "MSFT",
+  "morgan stanley": "MS",
+  "netflix": "NFLX",
+  "nike": "NKE",
+  "nvidia": "NVDA",
+  "oracle": "ORCL",
+  "palantir technologies": "PLTR",
+  "paypal": "PYPL",
+  "pepsico": "PEP",
+  "pfizer": "PFE",
+  "procter & gamble": "PG",
+  "qualcomm": "QCOM",
+  "raytheon technologies": "RTX",
+  "rtx": "RTX",
+  "salesforce": "CRM",
+  "starbucks": "SBUX",
+  "taiwan semiconductor manufacturing": "TSM",
+  "tesla": "TSLA",
+  "texas instruments": "TXN",
+  "thermo fisher scientific": "TMO",
+  "unitedhealth group": "UNH",
+  "verizon communications": "VZ",
+  "visa": "V",
+  "walmart": "WMT",
+  "walt disney": "DIS",
+  "wells fargo": "WFC",
+};
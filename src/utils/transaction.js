@@ -1,161 +1,102 @@
 /**
- * @fileoverview Transaction data fetching and processing utilities.
- * Handles fetching and parsing transaction data from the House disclosure website.
+ * @fileoverview Filing records shared by the disclosure sources.
+ * Filings are listed and fetched through the adapters in sources/.
  * @module utils/transaction
  */
 
-import { JSDOM } from "jsdom";
+/**
+ * Chambers of Congress whose filings are tracked.
+ * 
+ * @enum {string}
+ */
+export const CHAMBERS = {
+  HOUSE: "house",
+  SENATE: "senate",
+};
 
 /**
  * @typedef {Object} Transaction
- * @property {string} id - Numeric ID from the PDF filename
+ * @property {string} id - Numeric ID from the PDF filename, or the report ID of Senate filings
+ * @property {CHAMBERS} chamber - Chamber the filing was made in
+ * @property {'pdf'|'electronic'|'paper'} format - How the report is published: a House PDF,
+ *   an e-filed Senate HTML report or a scanned paper Senate report
+ * @property {boolean} [isAmendment] - Whether the filing amends an earlier PTR of the member
+ * @property {string} politicianId - Stable politician identifier derived from the name
  * @property {string} name - Politician's full name
- * @property {string} office - Office/district information
+ * @property {string} office - Office/district information, empty for Senate filings
  * @property {string} filingYear - Year of the filing
- * @property {string} pdfUrl - Full URL to the transaction PDF
+ * @property {string} [filingDate] - Date the report was received (YYYY-MM-DD), when listed
+ * @property {string} pdfUrl - Full URL to the transaction PDF, or to the Senate report page
  */
 
 /**
- * Retrieves the most recent transaction for a given year.
+ * Derives a stable politician identifier from the name shown on the website.
+ * "Fleischmann, Hon.. Charles J. \"Chuck\"" becomes "fleischmann-charles-j-chuck".
  * 
- * @async
- * @param {number} year - The year to fetch transactions for
- * @returns {Promise<Transaction|undefined>} The most recent transaction, if any
+ * @param {string} name - Politician's name as listed on the website
+ * @returns {string} URL friendly politician identifier
  */
-export async function getLatestTransaction(year) {
-  const transactions = await getTransactions(year);
-  return transactions[0];
+export function getPoliticianId(name) {
+  return name
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    // Remove the honorific the website adds after the last name
+    .replace(/\bhon\.*\s/g, " ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
 }
 
 /**
- * Fetches and parses all transactions for a given year.
- * Filters for PTR (Periodic Transaction Report) filings only.
+ * Kinds of non-PTR reports tracked as filing events.
  * 
- * @async
- * @param {number} year - The year to fetch transactions for
- * @returns {Promise<Transaction[]>} Array of parsed transactions
+ * @enum {string}
  */
-export async function getTransactions(year) {
-  const htmlData = await fetchPolititianTransactions(year);
-
-  if (!htmlData) {
-    console.error("Failed to fetch HTML data");
-    return [];
-  }
-
-  try {
-    const dom = new JSDOM(htmlData);
-    const document = dom.window.document;
-    const rows = document.querySelectorAll("tbody tr");
-
-    const results = [];
-
-    rows.forEach((row) => {
-      const nameElement = row.querySelector('td[data-label="Name"] a');
-      const officeElement = row.querySelector('td[data-label="Office"]');
-      const filingYearElement = row.querySelector('td[data-label="Filing Year"]');
-      const filingTypeElement = row.querySelector('td[data-label="Filing"]');
-      
-      // Skip if not a PTR filing
-      if (!filingTypeElement || !filingTypeElement.textContent.includes("PTR")) {
-        return;
-      }
-
-      // Skip if any required element is missing
-      if (!nameElement || !officeElement || !filingYearElement) {
-        return;
-      }
-
-      const href = nameElement.getAttribute("href");
-      // Skip if no href or not a PDF
-      if (!href || !href.includes("ptr-pdfs")) {
-        return;
-      }
-
-      // Extract numeric ID from href
-      const matches = href.match(/\/(\d+)\.pdf$/);
-      if (!matches) {
-        console.log("Could not extract numeric ID from href:", href);
-        return;
-      }
-      const id = matches[1]; // Get the full ID from the PDF filename
-
-      const name = nameElement.textContent.trim();
-      const office = officeElement.textContent.trim();
-      const filingYear = filingYearElement.textContent.trim();
-      
-      // Ensure the URL starts with a forward slash
-      const cleanHref = href.startsWith("/") ? href : "/" + href;
-      const pdfUrl = new URL(cleanHref, "https://disclosures-clerk.house.gov").toString();
-
-      results.push({
-        id,
-        name,
-        office,
-        filingYear,
-        pdfUrl,
-      });
-    });
-
-    sortByIdDescending(results);
-    return results;
-  } catch (error) {
-    console.error("Error parsing HTML data:", error);
-    return [];
-  }
-}
+export const FILING_EVENT_TYPES = {
+  BLIND_TRUST: "blind_trust",
+  FINANCIAL_DISCLOSURE: "financial_disclosure",
+  FINANCIAL_DISCLOSURE_AMENDMENT: "financial_disclosure_amendment",
+  EXTENSION: "extension",
+  CANDIDATE_REPORT: "candidate_report",
+  NEW_FILER: "new_filer",
+  TERMINATION: "termination",
+  GIFT: "gift",
+  OTHER: "other",
+};
+
+/** Filing types as listed on the websites, matched in order */
+const FILING_EVENT_TYPE_PATTERNS = [
+  [/blind trust/i, FILING_EVENT_TYPES.BLIND_TRUST],
+  [/extension/i, FILING_EVENT_TYPES.EXTENSION],
+  [/candidate/i, FILING_EVENT_TYPES.CANDIDATE_REPORT],
+  [/new filer/i, FILING_EVENT_TYPES.NEW_FILER],
+  [/termination/i, FILING_EVENT_TYPES.TERMINATION],
+  [/gift/i, FILING_EVENT_TYPES.GIFT],
+  [/^FD\b.*amendment/i, FILING_EVENT_TYPES.FINANCIAL_DISCLOSURE_AMENDMENT],
+  [/^FD\b|annual/i, FILING_EVENT_TYPES.FINANCIAL_DISCLOSURE],
+];
 
 /**
- * Fetches raw HTML data from the House disclosure website.
- * 
- * @async
- * @param {number} year - The year to fetch transactions for
- * @throws {Error} If the HTTP request fails
- * @returns {Promise<string>} Raw HTML response text
+ * @typedef {Object} FilingEvent
+ * @property {string} eventId - Chamber and filing ID, unique per report
+ * @property {string} filingId - ID of the report on the website
+ * @property {CHAMBERS} chamber - Chamber the report was filed in
+ * @property {FILING_EVENT_TYPES} type - Kind of report
+ * @property {string} filingType - Filing type as listed on the website, such as "Blind Trust"
+ * @property {string} politicianId - Stable politician identifier derived from the name
+ * @property {string} name - Filer's name as listed
+ * @property {string} office - Office/district as listed
+ * @property {string} filingYear - Year of the filing
+ * @property {string|null} documentUrl - URL of the report document, when listed
  */
-async function fetchPolititianTransactions(year) {
-  const requestOptions = {
-    method: "POST",
-    redirect: "follow",
-  };
-
-  try {
-    const response = await fetch(
-      `https://disclosures-clerk.house.gov/FinancialDisclosure/ViewMemberSearchResult?filingYear=${year}`,
-      requestOptions
-    );
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const result = await response.text();
-    return result;
-  } catch (error) {
-    console.error("Failed to fetch politician transactions:", error);
-    throw error; // Propagate the error up
-  }
-}
 
 /**
- * Sorts an array of transactions by their numeric ID in descending order.
- * Most recent transactions (higher IDs) appear first.
+ * Classifies the filing type of a non-PTR report.
  * 
- * @param {Transaction[]} obj - Array of transactions to sort
- * @returns {Transaction[]} The sorted array (modified in place)
+ * @param {string} filingType - Filing type as listed on the website
+ * @returns {FILING_EVENT_TYPES} The kind of report
  */
-function sortByIdDescending(obj) {
-  return obj.sort((a, b) => {
-    // Convert IDs to numbers for proper numeric comparison
-    const idA = parseInt(a.id, 10);
-    const idB = parseInt(b.id, 10);
-    
-    // Handle invalid numbers
-    if (isNaN(idA) && isNaN(idB)) return 0;
-    if (isNaN(idA)) return 1;
-    if (isNaN(idB)) return -1;
-    
-    // Sort in descending order (highest number first)
-    return idB - idA;
-  });
+export function getFilingEventType(filingType) {
+  const match = FILING_EVENT_TYPE_PATTERNS.find(([pattern]) => pattern.test(filingType));
+  return match ? match[1] : FILING_EVENT_TYPES.OTHER;
 }
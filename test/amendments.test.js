@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findAmendedFiling, diffFilings } from "../src/components/amendments.js";
+
+const APPLE = { ID_Owner: "SP", Asset: "Apple Inc. - Common Stock (AAPL) [ST]", Transaction_Type: "P", Date: "01/10/2024", Amount: "$1,001 - $15,000" };
+const MICROSOFT = { ID_Owner: "JT", Asset: "Microsoft Corporation - Common Stock (MSFT) [ST]", Transaction_Type: "S", Date: "01/12/2024", Amount: "$15,001 - $50,000" };
+const NVIDIA = { ID_Owner: "SP", Asset: "NVIDIA Corporation - Common Stock (NVDA) [ST]", Transaction_Type: "P", Date: "01/15/2024", Amount: "$1,001 - $15,000" };
+const TESLA = { ID_Owner: "DC", Asset: "Tesla, Inc. - Common Stock (TSLA) [ST]", Transaction_Type: "S", Date: "01/18/2024", Amount: "$1,001 - $15,000" };
+
+/**
+ * Builds a stored filing.
+ * 
+ * @param {string} filingId - Filing ID
+ * @param {string} processedAt - ISO time the filing was processed
+ * @param {Object[]} transactions - Transactions of the filing
+ * @returns {Object} The stored filing
+ */
+function storedFiling(filingId, processedAt, transactions) {
+  return { filingId, processedAt: new Date(processedAt), Transactions: transactions };
+}
+
+test("the amendment is matched to the filing sharing the most transactions", () => {
+  const candidates = [
+    storedFiling("20024001", "2024-02-01T12:00:00Z", [APPLE, TESLA]),
+    storedFiling("20024002", "2024-01-20T12:00:00Z", [APPLE, MICROSOFT, NVIDIA]),
+  ];
+
+  const match = findAmendedFiling(candidates, { Transactions: [APPLE, MICROSOFT, { ...NVIDIA, Amount: "$15,001 - $50,000" }] });
+
+  assert.equal(match.filing.filingId, "20024002");
+  assert.equal(match.overlap, 3);
+});
+
+test("the most recent filing wins when the overlap is tied", () => {
+  const candidates = [
+    storedFiling("20024001", "2024-01-20T12:00:00Z", [APPLE, TESLA]),
+    storedFiling("20024002", "2024-02-01T12:00:00Z", [MICROSOFT, NVIDIA]),
+    storedFiling("20024003", "2024-01-25T12:00:00Z", [APPLE, NVIDIA]),
+  ];
+
+  const match = findAmendedFiling(candidates, { Transactions: [APPLE, MICROSOFT] });
+
+  assert.equal(match.filing.filingId, "20024002");
+  assert.equal(match.overlap, 1);
+});
+
+test("an amendment sharing no transaction amends no filing", () => {
+  const candidates = [
+    storedFiling("20024001", "2024-01-20T12:00:00Z", [APPLE]),
+    storedFiling("20024002", "2024-02-01T12:00:00Z", []),
+  ];
+
+  assert.equal(findAmendedFiling(candidates, { Transactions: [TESLA, { ...APPLE, Date: "01/11/2024" }] }), null);
+  assert.equal(findAmendedFiling([], { Transactions: [APPLE] }), null);
+});
+
+test("the diff lists changed, added and removed rows with their indices", () => {
+  const previous = {
+    Filing_Information: { Name: "Hon. Jane Doe", Status: "Member", State_District: "XX00" },
+    Transactions: [APPLE, MICROSOFT, NVIDIA],
+  };
+  const current = {
+    Filing_Information: { Name: "Hon. Jane Doe", Status: "Member", State_District: "XX01" },
+    Transactions: [TESLA, { ...NVIDIA, Amount: "$15,001 - $50,000" }, { ...APPLE, ID_Owner: "JT" }],
+  };
+
+  assert.deepEqual(diffFilings(previous, current), [
+    { change: "changed", field: "Filing_Information.State_District", from: "XX00", to: "XX01" },
+    // Changed and added rows use their index in the amendment
+    { change: "changed", field: "Transactions.1.Amount", from: "$1,001 - $15,000", to: "$15,001 - $50,000" },
+    { change: "changed", field: "Transactions.2.ID_Owner", from: "SP", to: "JT" },
+    { change: "added", field: "Transactions.0", from: null, to: TESLA },
+    // Removed rows use their index in the amended filing
+    { change: "removed", field: "Transactions.1", from: MICROSOFT, to: null },
+  ]);
+});
+
+test("formatting differences are not reported as changes", () => {
+  const previous = { Filing_Information: { Name: "Hon. Jane Doe" }, Transactions: [APPLE] };
+  const current = {
+    Filing_Information: { Name: "Hon.  Jane Doe" },
+    Transactions: [{ ...APPLE, Asset: "Apple Inc. Common Stock (AAPL)", Amount: "$1,001-$15,000" }],
+  };
+
+  assert.deepEqual(diffFilings(previous, current), []);
+});
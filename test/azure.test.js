@@ -0,0 +1,131 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { fileURLToPath } from "node:url";
+import { createStandInApp } from "../src/lib/azure/standIn.js";
+import { EXTRACTION_ERROR_KINDS, ExtractionServiceError } from "../src/utils/errors.js";
+
+const PDF_PATH = fileURLToPath(new URL("./fixtures/efiled-ptr.pdf", import.meta.url));
+const LAYOUT_PATH = fileURLToPath(new URL("./fixtures/azure-layout-continued.json", import.meta.url));
+
+let server;
+let azureProvider;
+/** @type {{status: number, headers: Object, error: Object}|null} Failure the service answers with */
+let failure = null;
+
+before(async () => {
+  // The stand-in sits behind a switch that makes the service fail on demand
+  const app = express();
+  app.use((req, res, next) => {
+    if (!failure) {
+      next();
+      return;
+    }
+    res.status(failure.status).set(failure.headers || {}).json({ error: failure.error });
+  });
+  app.use(createStandInApp(LAYOUT_PATH));
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  // The configuration reads the endpoint when it is first imported
+  process.env.AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT = `http://localhost:${server.address().port}`;
+  process.env.AZURE_DOCUMENT_INTELLIGENCE_KEY = "stand-in";
+  ({ default: azureProvider } = await import("../src/lib/extractors/azureProvider.js"));
+});
+
+afterEach(() => {
+  failure = null;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("the Azure provider maps the layout result of the stand-in to transactions", async () => {
+  const { data, metadata } = await azureProvider.extract(PDF_PATH);
+
+  assert.equal(metadata.provider, "azure");
+  assert.equal(metadata.modelId, "prebuilt-layout");
+  assert.deepEqual(data.Filing_Information, {
+    Name: "Hon. Jane Doe",
+    Status: "Member",
+    State_District: "XX00",
+    Filing_Date: "2024-01-26",
+  });
+
+  // The note row of the first table is skipped, and the second table
+  // continues with the columns of the first
+  assert.deepEqual(data.Transactions, [
+    {
+      ID_Owner: "SP",
+      Asset: "Apple Inc. - Common Stock (AAPL) [ST]",
+      Transaction_Type: "P",
+      Date: "2024-01-12",
+      Amount: "$1,001 - $15,000",
+    },
+    {
+      ID_Owner: "JT",
+      Asset: "Microsoft Corporation - Common Stock (MSFT) [ST]",
+      Transaction_Type: "S (partial)",
+      Date: "2024-01-15",
+      Amount: "$15,001 - $50,000",
+    },
+    {
+      ID_Owner: "Self",
+      Asset: "NVIDIA Corporation - Common Stock (NVDA) [ST]",
+      Transaction_Type: "P",
+      Date: "2024-01-22",
+      Amount: "$1,001 - $15,000",
+    },
+    {
+      ID_Owner: "DC",
+      Asset: "Tesla, Inc. - Common Stock (TSLA) [ST]",
+      Transaction_Type: "S",
+      Date: "2024-01-23",
+      Amount: "$50,001 - $100,000",
+    },
+  ]);
+});
+
+test("rejected credentials are classified as an authentication failure", async () => {
+  failure = { status: 401, error: { code: "401", message: "Access denied due to invalid subscription key." } };
+
+  await assert.rejects(azureProvider.extract(PDF_PATH), (error) => {
+    assert.ok(error instanceof ExtractionServiceError);
+    assert.equal(error.kind, EXTRACTION_ERROR_KINDS.AUTH);
+    assert.equal(error.status, 401);
+    return true;
+  });
+});
+
+test("a spent call volume quota is classified apart from a denied permission", async () => {
+  failure = {
+    status: 403,
+    error: { code: "403", message: "Out of call volume quota for FormRecognizer F0 pricing tier." },
+  };
+  await assert.rejects(azureProvider.extract(PDF_PATH), (error) => {
+    assert.equal(error.kind, EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED);
+    return true;
+  });
+
+  failure = { status: 403, error: { code: "Forbidden", message: "Public access is disabled." } };
+  await assert.rejects(azureProvider.extract(PDF_PATH), (error) => {
+    assert.equal(error.kind, EXTRACTION_ERROR_KINDS.AUTH);
+    return true;
+  });
+});
+
+test("throttling is classified as a rate limit with the delay the service asks for", async () => {
+  failure = {
+    status: 429,
+    headers: { "retry-after-ms": "5" },
+    error: { code: "429", message: "Requests to the Analyze Document operation have exceeded the rate limit." },
+  };
+
+  await assert.rejects(azureProvider.extract(PDF_PATH), (error) => {
+    assert.ok(error instanceof ExtractionServiceError);
+    assert.equal(error.kind, EXTRACTION_ERROR_KINDS.RATE_LIMIT);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfter, 5);
+    return true;
+  });
+});
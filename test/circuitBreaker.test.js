@@ -0,0 +1,59 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  assertProviderAvailable,
+  closeCircuit,
+  isExtractionPaused,
+  openCircuit,
+  recordProviderSuccess,
+} from "../src/lib/extractors/circuitBreaker.js";
+import {
+  BudgetExceededError,
+  EXTRACTION_ERROR_KINDS,
+  ExtractionError,
+  ExtractionPausedError,
+} from "../src/utils/errors.js";
+
+const METERED = { name: "openai", metered: true };
+const UNMETERED = { name: "mock" };
+
+afterEach(() => closeCircuit());
+
+test("providers are available while the circuit is closed", () => {
+  assert.equal(isExtractionPaused(), false);
+  assert.doesNotThrow(() => assertProviderAvailable(METERED));
+  assert.doesNotThrow(() => assertProviderAvailable(UNMETERED));
+});
+
+test("a budget pause only holds metered providers", () => {
+  const resumeAt = new Date(Date.now() + 60 * 60 * 1000);
+  openCircuit(new BudgetExceededError("daily", 5, 5.2, resumeAt));
+
+  assert.throws(() => assertProviderAvailable(METERED), (error) => {
+    assert.ok(error instanceof ExtractionPausedError);
+    assert.equal(error.retryAt.getTime(), resumeAt.getTime());
+    return true;
+  });
+  assert.doesNotThrow(() => assertProviderAvailable(UNMETERED));
+});
+
+test("a quota failure holds every provider until the pause ends", () => {
+  openCircuit(new ExtractionError("Quota exhausted", EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED));
+
+  assert.throws(() => assertProviderAvailable(UNMETERED), ExtractionPausedError);
+  const afterPause = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  assert.doesNotThrow(() => assertProviderAvailable(METERED, afterPause));
+});
+
+test("only a call to a provider the pause holds closes the circuit", () => {
+  const resumeAt = new Date(Date.now() + 60 * 60 * 1000);
+  openCircuit(new BudgetExceededError("daily", 5, 5.2, resumeAt));
+  recordProviderSuccess(UNMETERED);
+  assert.equal(isExtractionPaused(), true);
+  recordProviderSuccess(METERED);
+  assert.equal(isExtractionPaused(), false);
+
+  openCircuit(new ExtractionError("Invalid API key", EXTRACTION_ERROR_KINDS.AUTH));
+  recordProviderSuccess(UNMETERED);
+  assert.equal(isExtractionPaused(), false);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OWNERS, normalizeAsset, normalizeOwner, normalizeTransactionData, toIssuerKey } from "../src/components/dataNormalization.js";
+import { ISSUER_TICKERS } from "../src/utils/tickerReference.js";
+
+test("every ticker reference key is already in lookup form", () => {
+  for (const key of Object.keys(ISSUER_TICKERS)) {
+    assert.equal(toIssuerKey(key), key);
+  }
+});
+
+test("issuers without a printed ticker are looked up in the reference table", () => {
+  const cases = {
+    "CrowdStrike Holdings, Inc. - Class A Common Stock [ST]": "CRWD",
+    "PayPal Holdings, Inc. [ST]": "PYPL",
+    "Amazon.com, Inc. [ST]": "AMZN",
+    "Eli Lilly and Company - Common Stock [ST]": "LLY",
+    "Coca-Cola Company [ST]": "KO",
+    "McDonald's Corporation [ST]": "MCD",
+  };
+
+  for (const [asset, ticker] of Object.entries(cases)) {
+    const { ticker: resolvedTicker, tickerSource } = normalizeAsset(asset);
+    assert.deepEqual({ ticker: resolvedTicker, tickerSource }, { ticker, tickerSource: "reference" }, asset);
+  }
+});
+
+test("a printed ticker wins over the reference table", () => {
+  const asset = normalizeAsset("Apple Inc. - Common Stock (AAPL) [ST]");
+  assert.equal(asset.ticker, "AAPL");
+  assert.equal(asset.tickerSource, "filing");
+  assert.equal(asset.assetType, "ST");
+  assert.equal(asset.issuer, "Apple Inc.");
+});
+
+test("a blank owner is the filer", () => {
+  assert.equal(normalizeOwner(""), OWNERS.SELF);
+  assert.equal(normalizeOwner("   "), OWNERS.SELF);
+  assert.equal(normalizeOwner(undefined), OWNERS.SELF);
+  assert.equal(normalizeOwner("SP"), OWNERS.SPOUSE);
+  assert.equal(normalizeOwner("XX"), null);
+});
+
+test("a transaction without an owner normalizes without a problem", () => {
+  const data = normalizeTransactionData({
+    Filing_Information: { Name: "Hon. Jane Doe", Status: "Member", State_District: "XX00" },
+    Transactions: [
+      { ID_Owner: "", Asset: "Apple Inc. (AAPL) [ST]", Transaction_Type: "P", Date: "2024-01-12", Amount: "$1,001 - $15,000" },
+    ],
+  });
+
+  assert.equal(data.Transactions[0].owner, OWNERS.SELF);
+});
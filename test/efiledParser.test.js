@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractElectronicPTR, parseElectronicPTR } from "../src/components/efiledParser.js";
+
+/** Text-based two page PTR in the House e-filing layout */
+const EFILED_PTR = new URL("./fixtures/efiled-ptr.pdf", import.meta.url).pathname;
+
+/** Left edges of the table columns, in pdf2json units */
+const COLUMNS = { owner: 2.25, asset: 4.75, type: 18.5, date: 21.6, notificationDate: 25.4, amount: 29.75, capitalGains: 34.4 };
+
+/**
+ * Builds the text items of a line from its cells.
+ * 
+ * @param {number} y - Vertical position
+ * @param {Object<string, string>|string} cells - Text by column, or the text of a full-width line
+ * @returns {import("../src/utils/pdf.js").PDFTextItem[]} The items
+ */
+function line(y, cells) {
+  if (typeof cells === "string") {
+    return [{ x: COLUMNS.owner, y, text: cells }];
+  }
+  return Object.entries(cells).map(([column, text]) => ({ x: COLUMNS[column], y, text }));
+}
+
+/**
+ * Builds a one page PTR from its table lines.
+ * 
+ * @param {import("../src/utils/pdf.js").PDFTextItem[][]} tableLines - Lines under the header
+ * @returns {import("../src/utils/pdf.js").PDFTextItem[][]} Text items of the page
+ */
+function ptrPage(tableLines) {
+  return [[
+    ...line(1, "Filing ID #20024542"),
+    ...line(2, "Name: Hon. Jane Doe"),
+    ...line(3, "Status: Member"),
+    ...line(4, "State/District: XX00"),
+    ...line(6, {
+      owner: "ID Owner", asset: "Asset", type: "Transaction Type", date: "Date",
+      notificationDate: "Notification Date", amount: "Amount", capitalGains: "Cap. Gains > $200?",
+    }),
+    ...tableLines.flat(),
+  ]];
+}
+
+test("an e-filed PTR is read from its PDF without an extraction provider", async () => {
+  const data = await extractElectronicPTR(EFILED_PTR);
+
+  assert.deepEqual(data, {
+    Filing_Information: {
+      Name: "Hon. Jane Doe",
+      Status: "Member",
+      State_District: "XX00",
+      Filing_Date: "2024-01-19",
+    },
+    Transactions: [
+      { ID_Owner: "SP", Asset: "Apple Inc. - Common Stock (AAPL) [ST]", Transaction_Type: "P", Date: "2024-01-12", Amount: "$1,001 - $15,000" },
+      // Wrapped asset and amount cells, followed by filing status and description notes
+      { ID_Owner: "JT", Asset: "Taiwan Semiconductor Manufacturing Company Ltd. (TSM) [ST]", Transaction_Type: "S (partial)", Date: "2023-11-20", Amount: "$15,001 - $50,000" },
+      { ID_Owner: "Self", Asset: "Microsoft Corporation - Common Stock (MSFT) [ST]", Transaction_Type: "E", Date: "2024-01-15", Amount: "$50,001 - $100,000" },
+      // Second page, under a repeated header. The row after the table end is not read
+      { ID_Owner: "DC", Asset: "NVIDIA Corporation - Common Stock (NVDA) [OP]", Transaction_Type: "S", Date: "2024-01-02", Amount: "$1,001 - $15,000" },
+    ],
+  });
+});
+
+test("note lines end the wrapped cells of a row", () => {
+  const data = parseElectronicPTR(ptrPage([
+    line(7, { owner: "SP", asset: "Apple Inc. (AAPL) [ST]", type: "P", date: "01/12/2024", notificationDate: "01/16/2024", amount: "$1,001 -" }),
+    line(7.5, { amount: "$15,000" }),
+    line(8, { asset: "F S : New" }),
+    line(8.5, { asset: "S O : Joint brokerage account" }),
+    line(9, { asset: "L : Seattle, WA, US" }),
+    line(9.5, { asset: "text after the notes" }),
+  ]));
+
+  assert.equal(data.Transactions.length, 1);
+  assert.equal(data.Transactions[0].Asset, "Apple Inc. (AAPL) [ST]");
+  assert.equal(data.Transactions[0].Amount, "$1,001 - $15,000");
+});
+
+for (const tableEnd of [
+  "* For the complete list of asset type abbreviations, please visit https://fd.house.gov/reference/asset-type-codes.aspx.",
+  "I P O : No",
+  "Initial Public Offerings",
+  "Certification and Signature",
+]) {
+  test(`"${tableEnd.slice(0, 24)}" ends the transactions table`, () => {
+    const data = parseElectronicPTR(ptrPage([
+      line(7, { owner: "SP", asset: "Apple Inc. (AAPL) [ST]", type: "P", date: "01/12/2024", notificationDate: "01/16/2024", amount: "$1,001 - $15,000" }),
+      line(8, tableEnd),
+      line(9, { owner: "JT", asset: "Microsoft Corp (MSFT) [ST]", type: "S", date: "01/15/2024", notificationDate: "01/16/2024", amount: "$1,001 - $15,000" }),
+    ]));
+
+    assert.deepEqual(data.Transactions.map((transaction) => transaction.Asset), ["Apple Inc. (AAPL) [ST]"]);
+  });
+}
+
+test("a report without the Filing ID line is not an e-filed PTR", () => {
+  const [items] = ptrPage([]);
+  assert.equal(parseElectronicPTR([items.slice(1)]), null);
+});
+
+test("a PTR without a transactions table is not parsed", () => {
+  const [items] = ptrPage([]);
+  assert.equal(parseElectronicPTR([items.filter((item) => item.y !== 6)]), null);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareTransactions } from "../src/components/extractionConsensus.js";
+
+const ROWS = [
+  { Asset: "Apple Inc. (AAPL) [ST]", Date: "01/02/2024", Amount: "$1,001 - $15,000" },
+  { Asset: "Microsoft Corporation (MSFT) [ST]", Date: "01/03/2024", Amount: "$15,001 - $50,000" },
+  { Asset: "NVIDIA Corporation (NVDA) [ST]", Date: "01/04/2024", Amount: "$50,001 - $100,000" },
+];
+
+test("identical extractions agree on every row", () => {
+  const { matchedRows, mismatches } = compareTransactions(ROWS, ROWS.map((row) => ({ ...row })));
+  assert.deepEqual(matchedRows, [0, 1, 2]);
+  assert.deepEqual(mismatches, []);
+});
+
+test("a row missed by one extraction does not shift the other rows", () => {
+  const { matchedRows, mismatches } = compareTransactions(ROWS, [ROWS[0], ROWS[2]]);
+  assert.deepEqual(matchedRows, [0, 2]);
+  assert.deepEqual(mismatches, [
+    { row: 1, secondaryRow: null, fields: ["row"], primary: ROWS[1], secondary: null },
+  ]);
+});
+
+test("a row only the second extraction found is reported on its own", () => {
+  const extra = { Asset: "Tesla, Inc. (TSLA) [ST]", Date: "01/05/2024", Amount: "$1,001 - $15,000" };
+  const { matchedRows, mismatches } = compareTransactions(ROWS, [extra, ...ROWS]);
+  assert.deepEqual(matchedRows, [0, 1, 2]);
+  assert.deepEqual(mismatches, [
+    { row: null, secondaryRow: 0, fields: ["row"], primary: null, secondary: extra },
+  ]);
+});
+
+test("paired rows are compared on their amount, whatever their order", () => {
+  const changed = { ...ROWS[1], Amount: "$50,001 - $100,000" };
+  const { matchedRows, mismatches } = compareTransactions(ROWS, [ROWS[2], changed, ROWS[0]]);
+  assert.deepEqual(matchedRows, [0, 2]);
+  assert.deepEqual(mismatches, [
+    { row: 1, secondaryRow: 1, fields: ["Amount"], primary: ROWS[1], secondary: changed },
+  ]);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkFilingDeadline } from "../src/components/filingDeadline.js";
+import { carryReportedDates } from "../src/components/amendments.js";
+
+const ORIGINAL = {
+  filingId: "20024001",
+  filingDate: "2024-02-01",
+  Transactions: [
+    { Asset: "Apple Inc. (AAPL) [ST]", Date: "01/10/2024", Amount: "$1,001 - $15,000" },
+    { Asset: "Microsoft Corporation (MSFT) [ST]", Date: "01/12/2024", Amount: "$1,001 - $15,000" },
+  ],
+};
+
+test("transactions are compared with the date of their filing", () => {
+  const deadline = checkFilingDeadline(ORIGINAL.Transactions, ORIGINAL.filingDate);
+
+  assert.equal(deadline.late, false);
+  assert.deepEqual(deadline.Transactions.map(({ daysToFile, daysLate, late }) => ({ daysToFile, daysLate, late })), [
+    { daysToFile: 22, daysLate: 0, late: false },
+    { daysToFile: 20, daysLate: 0, late: false },
+  ]);
+});
+
+test("an amendment is only late for the transactions it adds", () => {
+  const amendment = {
+    Transactions: [
+      { ...ORIGINAL.Transactions[1], Amount: "$15,001 - $50,000" },
+      ORIGINAL.Transactions[0],
+      { Asset: "NVIDIA Corporation (NVDA) [ST]", Date: "02/15/2024", Amount: "$1,001 - $15,000" },
+    ],
+  };
+
+  const transactions = carryReportedDates(ORIGINAL, amendment);
+  assert.deepEqual(transactions.map((row) => row.reportedDate), ["2024-02-01", "2024-02-01", undefined]);
+  assert.equal(amendment.Transactions[1].reportedDate, undefined);
+
+  const deadline = checkFilingDeadline(transactions, "2024-05-01");
+  assert.equal(deadline.filingDate, "2024-05-01");
+  assert.equal(deadline.late, true);
+  assert.equal(deadline.lateTransactionCount, 1);
+  assert.deepEqual(deadline.Transactions.map(({ daysToFile, late }) => ({ daysToFile, late })), [
+    { daysToFile: 20, late: false },
+    { daysToFile: 22, late: false },
+    { daysToFile: 76, late: true },
+  ]);
+});
+
+test("a second amendment keeps the dates the first one carried over", () => {
+  const firstAmendment = {
+    filingId: "20024002",
+    filingDate: "2024-05-01",
+    Transactions: carryReportedDates(ORIGINAL, { Transactions: [ORIGINAL.Transactions[0]] }),
+  };
+
+  const transactions = carryReportedDates(firstAmendment, { Transactions: [ORIGINAL.Transactions[0]] });
+  assert.equal(transactions[0].reportedDate, "2024-02-01");
+  assert.equal(checkFilingDeadline(transactions, "2024-08-01").late, false);
+});
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview In-memory stand-in for the MongoDB database.
+ * Implements the part of the collection API the application uses, so the
+ * database modules run in tests without a server. Handed to the application
+ * through useDatabase of db/dbConnection.
+ * @module test/helpers/memoryDatabase
+ */
+
+import { randomUUID } from "node:crypto";
+
+/**
+ * Reads a dotted path of a document.
+ * 
+ * @param {Object} document - Document to read
+ * @param {string} path - Field path, such as "review.reviewer"
+ * @returns {*} The value, undefined if missing
+ */
+function getPath(document, path) {
+  return path.split(".").reduce((value, key) => value?.[key], document);
+}
+
+/**
+ * Writes a dotted path of a document, creating the missing objects.
+ * 
+ * @param {Object} document - Document to update
+ * @param {string} path - Field path
+ * @param {*} value - Value to write
+ */
+function setPath(document, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => (object[key] ??= {}), document);
+  parent[last] = value;
+}
+
+/**
+ * Compares two values the way a sort or range query does.
+ * 
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  // Missing values sort first, as in MongoDB
+  if (a === undefined || a === null) {
+    return b === undefined || b === null ? 0 : -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Checks whether a value equals a query value. Null matches missing fields,
+ * and an array matches when one of its elements does.
+ * 
+ * @param {*} value - Value of the document
+ * @param {*} expected - Value of the query
+ * @returns {boolean} True on a match
+ */
+function equals(value, expected) {
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some((element) => equals(element, expected));
+  }
+  if (expected instanceof Date || value instanceof Date) {
+    return compare(value, expected) === 0 && value !== undefined;
+  }
+  if (typeof expected === "object") {
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+  return value === expected;
+}
+
+/** Query operators on a single field */
+const OPERATORS = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $in: (value, expected) => expected.some((candidate) => equals(value, candidate)),
+  $nin: (value, expected) => !expected.some((candidate) => equals(value, candidate)),
+  $gt: (value, expected) => value !== undefined && value !== null && compare(value, expected) > 0,
+  $gte: (value, expected) => value !== undefined && value !== null && compare(value, expected) >= 0,
+  $lt: (value, expected) => value !== undefined && value !== null && compare(value, expected) < 0,
+  $lte: (value, expected) => value !== undefined && value !== null && compare(value, expected) <= 0,
+  $exists: (value, expected) => (value !== undefined) === Boolean(expected),
+  $regex: (value, expected) => typeof value === "string" && new RegExp(expected).test(value),
+  $options: () => true,
+};
+
+/**
+ * Checks whether a document matches a query filter.
+ * 
+ * @param {Object} document - Document to check
+ * @param {Object} filter - Query filter
+ * @returns {boolean} True on a match
+ */
+export function matches(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") {
+      return condition.some((branch) => matches(document, branch));
+    }
+    if (key === "$and") {
+      return condition.every((branch) => matches(document, branch));
+    }
+
+    const value = getPath(document, key);
+    if (condition instanceof RegExp) {
+      return typeof value === "string" && condition.test(value);
+    }
+    const isOperatorObject = condition && typeof condition === "object" && !Array.isArray(condition)
+      && !(condition instanceof Date) && Object.keys(condition).some((name) => name.startsWith("$"));
+    if (!isOperatorObject) {
+      return equals(value, condition);
+    }
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported query operator ${operator}`);
+      }
+      if (operator === "$regex") {
+        return OPERATORS.$regex(value, expected instanceof RegExp ? expected : new RegExp(expected, condition.$options));
+      }
+      return OPERATORS[operator](value, expected);
+    });
+  });
+}
+
+/**
+ * Applies an update to a document.
+ * 
+ * @param {Object} document - Document to update, changed in place
+ * @param {Object} update - Update operators, or a replacement document
+ * @param {boolean} inserting - Whether the update inserts the document
+ */
+function applyUpdate(document, update, inserting) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === "$set" || (operator === "$setOnInsert" && inserting)) {
+        setPath(document, path, structuredClone(value));
+      } else if (operator === "$unset") {
+        const keys = path.split(".");
+        const last = keys.pop();
+        const parent = keys.length > 0 ? getPath(document, keys.join(".")) : document;
+        if (parent) {
+          delete parent[last];
+        }
+      } else if (operator === "$inc") {
+        setPath(document, path, (getPath(document, path) || 0) + value);
+      } else if (operator === "$push") {
+        const list = getPath(document, path) || [];
+        const added = value && typeof value === "object" && "$each" in value ? value.$each : [value];
+        let result = [...list, ...structuredClone(added)];
+        if (value && typeof value === "object" && "$slice" in value) {
+          result = value.$slice < 0 ? result.slice(value.$slice) : result.slice(0, value.$slice);
+        }
+        setPath(document, path, result);
+      } else if (operator === "$pull") {
+        const list = getPath(document, path) || [];
+        setPath(document, path, list.filter((element) =>
+          value && typeof value === "object" && !(value instanceof Date) ? !matches(element, value) : !equals(element, value)));
+      } else if (operator !== "$setOnInsert") {
+        throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+}
+
+/**
+ * Builds the document an upsert inserts: the equality fields of its filter.
+ * 
+ * @param {Object} filter - Query filter of the upsert
+ * @returns {Object} The new document
+ */
+function seedFromFilter(filter) {
+  const document = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (!key.startsWith("$") && (value === null || typeof value !== "object" || value instanceof Date)) {
+      setPath(document, key, value);
+    }
+  }
+  return document;
+}
+
+/**
+ * Cursor over the results of a find.
+ */
+class MemoryCursor {
+  /**
+   * @param {Object[]} documents - Matching documents
+   */
+  constructor(documents) {
+    this.documents = documents;
+  }
+
+  sort(sort) {
+    const fields = Object.entries(sort);
+    this.documents.sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const order = compare(getPath(a, field), getPath(b, field));
+        if (order !== 0) {
+          return order * direction;
+        }
+      }
+      return 0;
+    });
+    return this;
+  }
+
+  skip(count) {
+    this.documents = this.documents.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count > 0) {
+      this.documents = this.documents.slice(0, count);
+    }
+    return this;
+  }
+
+  project() {
+    return this;
+  }
+
+  async toArray() {
+    return structuredClone(this.documents);
+  }
+}
+
+/**
+ * Collection of documents kept in memory.
+ */
+export class MemoryCollection {
+  /**
+   * @param {string} name - Collection name
+   */
+  constructor(name) {
+    this.name = name;
+    /** @type {Object[]} */
+    this.documents = [];
+  }
+
+  async createIndex() {
+    return "index";
+  }
+
+  find(filter = {}) {
+    return new MemoryCursor(this.documents.filter((document) => matches(document, filter)));
+  }
+
+  async findOne(filter = {}) {
+    const document = this.documents.find((candidate) => matches(candidate, filter));
+    return document ? structuredClone(document) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.documents.filter((document) => matches(document, filter)).length;
+  }
+
+  async insertOne(document) {
+    const inserted = { _id: randomUUID(), ...structuredClone(document) };
+    this.documents.push(inserted);
+    return { acknowledged: true, insertedId: inserted._id };
+  }
+
+  async insertMany(documents) {
+    for (const document of documents) {
+      await this.insertOne(document);
+    }
+    return { acknowledged: true, insertedCount: documents.length };
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const index = this.documents.findIndex((document) => matches(document, filter));
+    if (index !== -1) {
+      this.documents[index] = { _id: this.documents[index]._id, ...structuredClone(replacement) };
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (!upsert) {
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    }
+    await this.insertOne({ ...seedFromFilter(filter), ...replacement });
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+  }
+
+  async findOneAndUpdate(filter, update, { upsert = false, returnDocument = "before" } = {}) {
+    let document = this.documents.find((candidate) => matches(candidate, filter));
+    const before = document ? structuredClone(document) : null;
+    if (!document) {
+      if (!upsert) {
+        return null;
+      }
+      document = { _id: randomUUID(), ...seedFromFilter(filter) };
+      applyUpdate(document, update, true);
+      this.documents.push(document);
+    } else {
+      applyUpdate(document, update, false);
+    }
+    return returnDocument === "after" ? structuredClone(document) : before;
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const existed = this.documents.some((document) => matches(document, filter));
+    const result = await this.findOneAndUpdate(filter, update, { upsert });
+    return {
+      matchedCount: existed ? 1 : 0,
+      modifiedCount: existed ? 1 : 0,
+      upsertedCount: !existed && upsert ? 1 : 0,
+      result,
+    };
+  }
+
+  async updateMany(filter, update) {
+    const documents = this.documents.filter((document) => matches(document, filter));
+    for (const document of documents) {
+      applyUpdate(document, update, false);
+    }
+    return { matchedCount: documents.length, modifiedCount: documents.length };
+  }
+
+  async bulkWrite(operations) {
+    const upsertedIds = {};
+    for (const [index, operation] of operations.entries()) {
+      if (!operation.updateOne) {
+        throw new Error(`Unsupported bulk operation ${Object.keys(operation)[0]}`);
+      }
+      const { filter, update, upsert } = operation.updateOne;
+      const { upsertedCount } = await this.updateOne(filter, update, { upsert });
+      if (upsertedCount > 0) {
+        upsertedIds[index] = this.documents[this.documents.length - 1]._id;
+      }
+    }
+    return { upsertedIds, upsertedCount: Object.keys(upsertedIds).length };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.documents.length;
+    this.documents = this.documents.filter((document) => !matches(document, filter));
+    return { deletedCount: before - this.documents.length };
+  }
+}
+
+/**
+ * Database of in-memory collections, created on first use.
+ */
+export class MemoryDatabase {
+  constructor() {
+    /** @type {Map<string, MemoryCollection>} */
+    this.collections = new Map();
+  }
+
+  /**
+   * Returns a collection, creating it if it doesn't exist.
+   *
+   * @param {string} name - Collection name
+   * @returns {MemoryCollection} The collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+}
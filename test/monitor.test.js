@@ -0,0 +1,140 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import checkAndUpdateLatestTransactionData from "../src/services/checkLastTransaction.js";
+import transactionDataSSE, { sendSSEUpdate } from "../src/routes/transactionDataSSE.js";
+import { COLLECTIONS, useDatabase } from "../src/db/dbConnection.js";
+import { MemoryDatabase } from "./helpers/memoryDatabase.js";
+
+/** SSE event type of each update sent to the clients, as the monitor of src/index.js sends them */
+const EVENT_TYPES = { alert: "message", amendment: "amendment", filing_event: "filing_event" };
+
+let database;
+let server;
+
+before(async () => {
+  database = new MemoryDatabase();
+  useDatabase(database);
+
+  const app = express();
+  app.use("/api/sse", transactionDataSSE);
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+});
+
+after(() => {
+  useDatabase(null);
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * Connects to the SSE route and collects the events it sends. The route
+ * only answers with its first event, so the connection is not awaited.
+ * 
+ * @async
+ * @returns {Promise<{events: {event: string, data: Object}[], close: function(): void}>} The events
+ *   received so far and a way to disconnect, once the client is registered
+ */
+async function connectToSSE() {
+  const controller = new AbortController();
+  const events = [];
+  let buffer = "";
+
+  (async () => {
+    try {
+      const response = await fetch(`http://localhost:${server.address().port}/api/sse`, { signal: controller.signal });
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return;
+        }
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const message = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = message.match(/^event: (.*)$/m)?.[1];
+          const data = message.match(/^data: (.*)$/m)?.[1];
+          events.push({ event, data: JSON.parse(data) });
+        }
+      }
+    } catch {
+      // Disconnected
+    }
+  })();
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  return { events, close: () => controller.abort() };
+}
+
+test("a check stores the new filings of the replayed listings and notifies the SSE clients", async () => {
+  const client = await connectToSSE();
+  // The replayed listings are from 2024
+  mock.timers.enable({ apis: ["Date"], now: Date.parse("2024-03-01T12:00:00Z") });
+
+  const updates = [];
+  try {
+    await checkAndUpdateLatestTransactionData((update) => {
+      updates.push(update);
+      if (EVENT_TYPES[update.status]) {
+        sendSSEUpdate(update, EVENT_TYPES[update.status]);
+      }
+    });
+  } finally {
+    mock.timers.reset();
+  }
+
+  // On the first run only the latest filing of each chamber is processed, oldest first
+  assert.deepEqual(updates.map((update) => update.status), ["alert", "alert"]);
+
+  const filings = database.collection(COLLECTIONS.FILINGS).documents;
+  const houseFiling = filings.find((filing) => filing.filingId === "8220731");
+  assert.equal(houseFiling.chamber, "house");
+  assert.equal(houseFiling.politicianId, "doe-jane");
+  assert.equal(houseFiling.sourceType, "scanned");
+  assert.equal(houseFiling.extraction.provider, "mock");
+  assert.equal(houseFiling.filingDate, "2024-01-19");
+  assert.equal(houseFiling.late, false);
+  assert.equal(houseFiling.version, 1);
+  assert.equal(houseFiling.isLatest, true);
+  assert.deepEqual(houseFiling.Transactions.map(({ ticker, transactionType, owner, daysToFile }) =>
+    ({ ticker, transactionType, owner, daysToFile })), [
+    { ticker: "AAPL", transactionType: "purchase", owner: "spouse", daysToFile: 7 },
+    { ticker: "MSFT", transactionType: "partial_sale", owner: "joint", daysToFile: 4 },
+  ]);
+
+  const senateFiling = filings.find((filing) => filing.chamber === "senate");
+  assert.equal(senateFiling.filingId, "5c1ae2d4-4f0c-4b7a-9a4e-2d8f1c3b6e71");
+  assert.equal(senateFiling.extraction.provider, "senate-html");
+  assert.equal(senateFiling.filingDate, "2024-02-08");
+  assert.equal(senateFiling.Filing_Information.Filing_Date, "2024-02-08");
+  assert.deepEqual(senateFiling.Transactions.map(({ ticker, assetType, transactionType }) =>
+    ({ ticker, assetType, transactionType })), [
+    { ticker: "AAPL", assetType: "ST", transactionType: "purchase" },
+    { ticker: null, assetType: "EF", transactionType: "partial_sale" },
+  ]);
+
+  const outcomes = Object.fromEntries(database.collection(COLLECTIONS.PROCESSED_FILINGS).documents
+    .map((record) => [record.filingId, { outcome: record.outcome, attempts: record.attempts }]));
+  assert.deepEqual(outcomes, {
+    "8220731": { outcome: "processed", attempts: 1 },
+    "5c1ae2d4-4f0c-4b7a-9a4e-2d8f1c3b6e71": { outcome: "processed", attempts: 1 },
+    "9e2b7d40-1a6c-4f3e-8b5d-7c0a9f4e2b13": { outcome: "skipped", attempts: 0 },
+  });
+
+  // Reports that are not PTRs are recorded silently on the first run
+  assert.equal(database.collection(COLLECTIONS.FILING_EVENTS).documents.length, 2);
+
+  // Let the SSE messages reach the client
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  client.close();
+  assert.deepEqual(client.events.map(({ event, data }) => ({ event, status: data.status, filingId: data.transaction.filingId })), [
+    { event: "message", status: "alert", filingId: "5c1ae2d4-4f0c-4b7a-9a4e-2d8f1c3b6e71" },
+    { event: "message", status: "alert", filingId: "8220731" },
+  ]);
+  assert.equal(client.events[1].data.pdfUrl, houseFiling.pdfUrl);
+  assert.equal(client.events[1].data.late, false);
+});
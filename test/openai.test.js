@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import OpenAI from "openai";
+import { classifyError } from "../src/lib/openai.js";
+import { getRetryDelay } from "../src/db/processedFilings.js";
+import { retryPolicies } from "../src/utils/config.js";
+import {
+  EXTRACTION_ERROR_KINDS,
+  ExtractionServiceError,
+  ExtractionTruncatedError,
+} from "../src/utils/errors.js";
+
+/**
+ * Builds the error the SDK throws for an API response.
+ * 
+ * @param {number} status - HTTP status of the response
+ * @param {Object} error - Error body of the response
+ * @param {Object<string, string>} [headers] - Response headers
+ * @returns {OpenAI.APIError} The SDK error
+ */
+function apiError(status, error, headers = {}) {
+  return OpenAI.APIError.generate(status, { error }, undefined, headers);
+}
+
+test("an exhausted quota is told apart from a plain rate limit", () => {
+  const quota = classifyError(apiError(429, {
+    message: "You exceeded your current quota, please check your plan and billing details.",
+    type: "insufficient_quota",
+    code: "insufficient_quota",
+  }));
+  const rateLimit = classifyError(apiError(429, {
+    message: "Rate limit reached for gpt-4o on tokens per min.",
+    type: "tokens",
+    code: "rate_limit_exceeded",
+  }));
+
+  assert.ok(quota instanceof ExtractionServiceError);
+  assert.equal(quota.kind, EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED);
+  assert.equal(quota.status, 429);
+  assert.equal(rateLimit.kind, EXTRACTION_ERROR_KINDS.RATE_LIMIT);
+});
+
+test("a timed out request is told apart from a failed connection", () => {
+  const timeout = classifyError(new OpenAI.APIConnectionTimeoutError());
+  const connection = classifyError(new OpenAI.APIConnectionError({ message: "Connection error." }));
+
+  assert.equal(timeout.kind, EXTRACTION_ERROR_KINDS.TIMEOUT);
+  assert.equal(connection.kind, EXTRACTION_ERROR_KINDS.SERVER);
+});
+
+test("rejected credentials and server errors are classified", () => {
+  assert.equal(classifyError(apiError(401, { message: "Incorrect API key provided." })).kind, EXTRACTION_ERROR_KINDS.AUTH);
+  assert.equal(classifyError(apiError(403, { message: "Project does not have access." })).kind, EXTRACTION_ERROR_KINDS.AUTH);
+  assert.equal(classifyError(apiError(500, { message: "The server had an error." })).kind, EXTRACTION_ERROR_KINDS.SERVER);
+});
+
+test("errors that do not come from the API are kept as they are", () => {
+  const truncated = new ExtractionTruncatedError(16384);
+  const other = new Error("ENOENT: no such file or directory");
+
+  assert.equal(classifyError(truncated), truncated);
+  assert.equal(classifyError(other), other);
+});
+
+test("a Retry-After longer than the policy delay overrides it", () => {
+  const policyDelay = retryPolicies[EXTRACTION_ERROR_KINDS.RATE_LIMIT][0];
+  const longWait = classifyError(apiError(429, { message: "Slow down." }, { "retry-after": String(policyDelay / 1000 * 3) }));
+  const shortWait = classifyError(apiError(429, { message: "Slow down." }, { "retry-after-ms": "1500" }));
+
+  assert.equal(longWait.retryAfter, policyDelay * 3);
+  assert.equal(getRetryDelay(longWait, 1), policyDelay * 3);
+  assert.equal(shortWait.retryAfter, 1500);
+  assert.equal(getRetryDelay(shortWait, 1), policyDelay);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cursorFilter, decodeCursor, encodeCursor, toPage } from "../src/utils/pagination.js";
+
+test("a page ending on an item without a sort value returns a usable cursor", () => {
+  const sort = { field: "Date", direction: -1 };
+  const page = toPage([{ Date: "2024-01-02", id: "a" }, { id: "b" }, { id: "c" }], 2, sort, "id");
+
+  assert.deepEqual(decodeCursor(page.nextCursor), { sortValue: null, tiebreaker: "b" });
+  assert.deepEqual(cursorFilter(sort, page.nextCursor, "id"), { Date: null, id: { $lt: "b" } });
+});
+
+test("an ascending cursor on a missing value continues with the items that have one", () => {
+  const cursor = encodeCursor(undefined, "b");
+
+  assert.deepEqual(cursorFilter({ field: "Date", direction: 1 }, cursor, "id"), {
+    $or: [{ Date: { $ne: null } }, { Date: null, id: { $gt: "b" } }],
+  });
+});
+
+test("a descending cursor keeps the items without a value for later pages", () => {
+  const cursor = encodeCursor("2024-01-02", "a");
+
+  assert.deepEqual(cursorFilter({ field: "Date", direction: -1 }, cursor, "id"), {
+    $or: [
+      { Date: { $lt: "2024-01-02" } },
+      { Date: "2024-01-02", id: { $lt: "a" } },
+      { Date: null },
+    ],
+  });
+});
+
+test("dates survive the cursor round trip", () => {
+  const date = new Date("2024-01-02T03:04:05.000Z");
+  assert.deepEqual(decodeCursor(encodeCursor(date, "a")), { sortValue: date, tiebreaker: "a" });
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import processPDFTransactionData from "../src/components/pdfProcessing.js";
+
+/** A scanned House filing, replayed from fixtures/sources */
+const SCANNED_FILING = {
+  filingId: "8220731",
+  chamber: "house",
+  pdfUrl: "https://disclosures-clerk.house.gov/public_disc/ptr-pdfs/2024/8220731.pdf",
+  name: "Doe, Hon.. Jane",
+  office: "XX00",
+};
+
+test("a scanned filing goes through the mock provider, validation and normalization", async () => {
+  const result = await processPDFTransactionData(SCANNED_FILING);
+
+  assert.equal(result.sourceType, "scanned");
+  assert.equal(result.extraction.provider, "mock");
+  assert.equal(result.extraction.fixture, "default.json");
+  assert.deepEqual(result.extraction.ocr, { status: "disabled" });
+  assert.deepEqual(result.reviewReasons, []);
+  assert.equal(result.consensus, null);
+
+  // The default fixture takes the filer from the website
+  assert.equal(result.Filing_Information.Name, SCANNED_FILING.name);
+  assert.equal(result.Filing_Information.State_District, SCANNED_FILING.office);
+
+  assert.deepEqual(
+    result.Transactions.map(({ transactionType, owner, ticker, assetType, amountMin, amountMax }) =>
+      ({ transactionType, owner, ticker, assetType, amountMin, amountMax })),
+    [
+      { transactionType: "purchase", owner: "spouse", ticker: "AAPL", assetType: "ST", amountMin: 1001, amountMax: 15000 },
+      { transactionType: "partial_sale", owner: "joint", ticker: "MSFT", assetType: "ST", amountMin: 15001, amountMax: 50000 },
+    ]
+  );
+});
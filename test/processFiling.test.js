@@ -0,0 +1,68 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import processFiling from "../src/services/processFiling.js";
+import { closeCircuit, isExtractionPaused, openCircuit } from "../src/lib/extractors/circuitBreaker.js";
+import { listReports } from "../src/sources/index.js";
+import { COLLECTIONS, useDatabase } from "../src/db/dbConnection.js";
+import { BudgetExceededError, EXTRACTION_ERROR_KINDS, ExtractionError } from "../src/utils/errors.js";
+import { MemoryDatabase } from "./helpers/memoryDatabase.js";
+
+let database;
+let filings;
+
+before(async () => {
+  ({ filings } = await listReports(2024));
+});
+
+afterEach(() => {
+  closeCircuit();
+  useDatabase(null);
+});
+
+after(() => useDatabase(null));
+
+/**
+ * Returns the replayed filing of a chamber in a format.
+ * 
+ * @param {string} chamber - house or senate
+ * @param {string} format - pdf, electronic or paper
+ * @returns {import("../src/utils/transaction.js").Transaction} The filing
+ */
+function findFiling(chamber, format) {
+  return filings.find((filing) => filing.chamber === chamber && filing.format === format);
+}
+
+test("a Senate HTML report processed during a quota pause leaves extraction paused", async () => {
+  database = new MemoryDatabase();
+  useDatabase(database);
+  openCircuit(new ExtractionError("Quota exhausted", EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED));
+
+  const { outcome } = await processFiling(findFiling("senate", "electronic"));
+
+  assert.equal(outcome, "processed");
+  assert.equal(isExtractionPaused(), true);
+  assert.equal(database.collection(COLLECTIONS.FILINGS).documents.length, 1);
+});
+
+test("an unmetered provider call during a budget pause leaves extraction paused", async () => {
+  database = new MemoryDatabase();
+  useDatabase(database);
+  openCircuit(new BudgetExceededError("daily", 5, 5.2, new Date(Date.now() + 60 * 60 * 1000)));
+
+  const { outcome } = await processFiling(findFiling("house", "pdf"));
+
+  assert.equal(outcome, "processed");
+  assert.equal(isExtractionPaused(), true);
+});
+
+test("a filing held by a quota pause waits without being recorded", async () => {
+  database = new MemoryDatabase();
+  useDatabase(database);
+  openCircuit(new ExtractionError("Quota exhausted", EXTRACTION_ERROR_KINDS.QUOTA_EXHAUSTED));
+
+  const { outcome, retryAt } = await processFiling(findFiling("house", "pdf"));
+
+  assert.equal(outcome, "paused");
+  assert.ok(retryAt > new Date());
+  assert.equal(database.collection(COLLECTIONS.PROCESSED_FILINGS).documents.length, 0);
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FILING_OUTCOMES,
+  getRetryDelay,
+  recordFilingOutcome,
+  requeueDeadLetter,
+  getDueRetryFilings,
+} from "../src/db/processedFilings.js";
+import { COLLECTIONS, useDatabase } from "../src/db/dbConnection.js";
+import { retryDelays, retryPolicies } from "../src/utils/config.js";
+import { EXTRACTION_ERROR_KINDS, ExtractionError } from "../src/utils/errors.js";
+import { MemoryDatabase } from "./helpers/memoryDatabase.js";
+
+/** Filing the records are kept for */
+const FILING = {
+  id: "20024542",
+  chamber: "house",
+  format: "pdf",
+  pdfUrl: "https://disclosures-clerk.house.gov/public_disc/ptr-pdfs/2024/20024542.pdf",
+  name: "Doe, Hon.. Jane",
+  office: "XX00",
+  politicianId: "doe-jane",
+  filingYear: "2024",
+};
+
+let records;
+
+beforeEach(() => {
+  const database = new MemoryDatabase();
+  useDatabase(database);
+  records = database.collection(COLLECTIONS.PROCESSED_FILINGS);
+});
+
+after(() => useDatabase(null));
+
+test("the retry delay follows the policy of the error class", () => {
+  const rateLimit = new ExtractionError("Too many requests", EXTRACTION_ERROR_KINDS.RATE_LIMIT);
+  const badOutput = new ExtractionError("Truncated", EXTRACTION_ERROR_KINDS.BAD_OUTPUT);
+
+  assert.equal(getRetryDelay(rateLimit, 1), retryPolicies[EXTRACTION_ERROR_KINDS.RATE_LIMIT][0]);
+  assert.equal(getRetryDelay(rateLimit, 3), retryPolicies[EXTRACTION_ERROR_KINDS.RATE_LIMIT][2]);
+  assert.equal(getRetryDelay(badOutput, 2), retryPolicies[EXTRACTION_ERROR_KINDS.BAD_OUTPUT][1]);
+  assert.equal(getRetryDelay(badOutput, 3), null);
+});
+
+test("unclassified errors use the default schedule until it runs out", () => {
+  const error = new Error("Download failed");
+
+  assert.equal(getRetryDelay(error, 1), retryDelays[0]);
+  assert.equal(getRetryDelay(error, retryDelays.length), retryDelays[retryDelays.length - 1]);
+  assert.equal(getRetryDelay(error, retryDelays.length + 1), null);
+  assert.equal(getRetryDelay(null, 2), retryDelays[1]);
+});
+
+test("a failure schedules the next attempt from the retry delays", async () => {
+  const error = new Error("Download failed");
+  const before = Date.now();
+
+  const first = await recordFilingOutcome(FILING, FILING_OUTCOMES.FAILED, error);
+  const second = await recordFilingOutcome(FILING, FILING_OUTCOMES.FAILED, error);
+
+  assert.equal(first.attempts, 1);
+  assert.equal(second.attempts, 2);
+  assert.equal(second.outcome, FILING_OUTCOMES.FAILED);
+  assert.ok(second.nextRunAt.getTime() >= before + retryDelays[1]);
+  assert.ok(second.nextRunAt.getTime() <= Date.now() + retryDelays[1]);
+
+  const [stored] = records.documents;
+  assert.equal(stored.nextRunAt.getTime(), second.nextRunAt.getTime());
+  assert.deepEqual(stored.errorHistory.map(({ attempt, message }) => ({ attempt, message })), [
+    { attempt: 1, message: "Download failed" },
+    { attempt: 2, message: "Download failed" },
+  ]);
+});
+
+test("a failure past the end of the schedule dead-letters the filing", async () => {
+  const error = new ExtractionError("Invalid key", EXTRACTION_ERROR_KINDS.AUTH);
+  const policy = retryPolicies[EXTRACTION_ERROR_KINDS.AUTH];
+
+  for (let attempt = 1; attempt <= policy.length; attempt++) {
+    const record = await recordFilingOutcome(FILING, FILING_OUTCOMES.FAILED, error);
+    assert.equal(record.outcome, FILING_OUTCOMES.FAILED);
+  }
+  const record = await recordFilingOutcome(FILING, FILING_OUTCOMES.FAILED, error);
+
+  assert.equal(record.outcome, FILING_OUTCOMES.DEAD_LETTER);
+  assert.equal(record.attempts, policy.length + 1);
+  assert.ok(record.deadLetteredAt instanceof Date);
+
+  const [stored] = records.documents;
+  assert.equal(stored.outcome, FILING_OUTCOMES.DEAD_LETTER);
+  assert.equal(stored.nextRunAt, null);
+  assert.equal(stored.errorKind, EXTRACTION_ERROR_KINDS.AUTH);
+});
+
+test("requeueing a dead letter resets its attempts and makes it due", async () => {
+  const error = new ExtractionError("Invalid key", EXTRACTION_ERROR_KINDS.AUTH);
+  for (let attempt = 0; attempt <= retryPolicies[EXTRACTION_ERROR_KINDS.AUTH].length; attempt++) {
+    await recordFilingOutcome(FILING, FILING_OUTCOMES.FAILED, error);
+  }
+
+  const requeued = await requeueDeadLetter(FILING.id);
+
+  assert.equal(requeued.outcome, FILING_OUTCOMES.FAILED);
+  assert.equal(requeued.attempts, 0);
+  assert.equal(requeued.deadLetteredAt, undefined);
+  assert.deepEqual((await getDueRetryFilings()).map((filing) => filing.id), [FILING.id]);
+
+  // The next failure starts the schedule over
+  const record = await recordFilingOutcome(FILING, FILING_OUTCOMES.FAILED, error);
+  assert.equal(record.attempts, 1);
+  assert.equal(record.outcome, FILING_OUTCOMES.FAILED);
+});
+
+test("only dead letters are requeued", async () => {
+  await recordFilingOutcome(FILING, FILING_OUTCOMES.PROCESSED);
+
+  assert.equal(await requeueDeadLetter(FILING.id), null);
+  assert.equal(records.documents[0].outcome, FILING_OUTCOMES.PROCESSED);
+});
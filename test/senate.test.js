@@ -0,0 +1,64 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import senate from "../src/sources/senate.js";
+
+const realFetch = globalThis.fetch;
+
+const AGREEMENT = '<form><input type="hidden" name="csrfmiddlewaretoken" value="token"></form>';
+const REPORT = "<table><thead><tr><th>Transaction Date</th></tr></thead><tbody></tbody></table>";
+
+/**
+ * Replaces fetch with an eFD stand-in whose first report request hits an expired session.
+ * 
+ * @param {function(string, number): Response} respondToReport - Answer to the nth report request
+ * @returns {string[]} Requests made, as "METHOD path"
+ */
+function stubEfd(respondToReport) {
+  const requests = [];
+  let reportRequests = 0;
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    requests.push(`${options.method || "GET"} ${pathname}`);
+    if (pathname === "/search/home/") {
+      return options.method === "POST"
+        ? new Response(null, { status: 302, headers: { Location: "/search/" } })
+        : new Response(AGREEMENT, { headers: { "Set-Cookie": "csrftoken=token; Path=/" } });
+    }
+    return respondToReport(pathname, reportRequests++);
+  };
+  return requests;
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const FILING = { id: "abc-123", pdfUrl: "/search/view/ptr/abc-123/", format: "electronic" };
+
+test("a report request redirected to the agreement opens a new session", async () => {
+  const requests = stubEfd((pathname, count) => count === 0
+    ? new Response(null, { status: 302, headers: { Location: "/search/home/" } })
+    : new Response(REPORT));
+
+  const document = await senate.fetchDocument(FILING);
+
+  assert.equal(document.type, "html");
+  assert.equal(document.html, REPORT);
+  assert.equal(requests.filter((request) => request === "POST /search/home/").length, 2);
+  assert.equal(requests.filter((request) => request.endsWith(FILING.pdfUrl)).length, 2);
+});
+
+test("a report page without its table is treated as an expired session", async () => {
+  const requests = stubEfd((pathname, count) => new Response(count === 0 ? AGREEMENT : REPORT));
+
+  const document = await senate.fetchDocument(FILING);
+
+  assert.equal(document.html, REPORT);
+  assert.equal(requests.filter((request) => request.endsWith(FILING.pdfUrl)).length, 2);
+});
+
+test("a report that stays without a table fails after the new session", async () => {
+  stubEfd(() => new Response(AGREEMENT));
+
+  await assert.rejects(senate.fetchDocument(FILING), /no transactions table/);
+});
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Environment of the test run.
+ * Loaded before the tests so the configuration finds its required variables,
+ * extraction runs on the mock provider and the disclosure sources replay the
+ * synthetic fixtures in fixtures/sources, without credentials or network.
+ * @module test/setup
+ */
+
+process.env.PORT ||= "5000";
+process.env.SERVER_NAME ||= "http://localhost";
+process.env.EXTRACTION_PROVIDER = "mock";
+process.env.EXTRACTION_CONSENSUS_PROVIDER = "";
+process.env.OCR_ENABLED = "false";
+process.env.SOURCE_MODE = "replay";
+process.env.SOURCE_FIXTURES_DIR = new URL("../fixtures/sources", import.meta.url).pathname;
+
+// The test runner reads the test results from stdout, and the application
+// logs written there in between can break its parsing, so log to stderr
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fetchDocument, listReports } from "../src/sources/index.js";
+import { parseSenateElectronicPTR } from "../src/sources/senate.js";
+import { fileURLToPath } from "node:url";
+import { cleanupPDF, hashPDF, readPDFText } from "../src/utils/pdf.js";
+
+const HOUSE_PDF_FIXTURE = fileURLToPath(new URL("../fixtures/sources/house/documents/8220731.pdf", import.meta.url));
+
+test("the saved search results list the PTRs of both chambers and the other House reports", async () => {
+  const { filings, events } = await listReports(2024);
+
+  assert.deepEqual(filings.map(({ id, chamber, format, isAmendment, politicianId, name, office, filingDate }) =>
+    ({ id, chamber, format, isAmendment, politicianId, name, office, filingDate })), [
+    {
+      id: "8220731",
+      chamber: "house",
+      format: "pdf",
+      isAmendment: false,
+      politicianId: "doe-jane",
+      name: "Doe, Hon.. Jane",
+      office: "XX00",
+      filingDate: undefined,
+    },
+    {
+      id: "5c1ae2d4-4f0c-4b7a-9a4e-2d8f1c3b6e71",
+      chamber: "senate",
+      format: "electronic",
+      isAmendment: false,
+      politicianId: "roe-richard",
+      name: "Roe, Richard",
+      office: "",
+      filingDate: "2024-02-08",
+    },
+    {
+      id: "9e2b7d40-1a6c-4f3e-8b5d-7c0a9f4e2b13",
+      chamber: "senate",
+      format: "paper",
+      isAmendment: true,
+      politicianId: "roe-richard",
+      name: "Roe, Richard",
+      office: "",
+      filingDate: "2024-01-16",
+    },
+  ]);
+  assert.equal(filings[0].pdfUrl, "https://disclosures-clerk.house.gov/public_disc/ptr-pdfs/2024/8220731.pdf");
+
+  assert.deepEqual(events.map(({ eventId, type, filingType, office }) => ({ eventId, type, filingType, office })), [
+    { eventId: "house-10058812", type: "financial_disclosure", filingType: "FD Original", office: "XX00" },
+    { eventId: "house-30021934", type: "extension", filingType: "Extension", office: "Former Member (XX01)" },
+  ]);
+});
+
+test("a year without saved search results lists nothing", async () => {
+  assert.deepEqual(await listReports(1999), { filings: [], events: [] });
+});
+
+test("the saved documents are replayed by the source of their chamber", async () => {
+  const { filings } = await listReports(2024);
+  const [houseFiling, senateFiling] = filings;
+
+  const pdf = await fetchDocument(houseFiling);
+  assert.equal(pdf.type, "pdf");
+  assert.notEqual(pdf.path, HOUSE_PDF_FIXTURE);
+  assert.equal(await hashPDF(pdf.path), await hashPDF(HOUSE_PDF_FIXTURE));
+  assert.deepEqual((await readPDFText(pdf.path)).flat().map((item) => item.text), ["PERIODIC TRANSACTION REPORT"]);
+  await cleanupPDF(pdf.path);
+
+  const report = await fetchDocument(senateFiling);
+  assert.equal(report.type, "html");
+  assert.deepEqual(parseSenateElectronicPTR(report.html, senateFiling).Transactions, [
+    {
+      ID_Owner: "Spouse",
+      Asset: "Apple Inc. (AAPL) [ST]",
+      Transaction_Type: "Purchase",
+      Date: "2024-02-01",
+      Amount: "$1,001 - $15,000",
+    },
+    {
+      ID_Owner: "Joint",
+      Asset: "Vanguard Total Stock Market ETF [EF]",
+      Transaction_Type: "Sale (Partial)",
+      Date: "2024-02-05",
+      Amount: "$15,001 - $50,000",
+    },
+  ]);
+
+  await assert.rejects(fetchDocument(filings[2]), /No document saved for senate filing/);
+});